@@ -11,7 +11,8 @@ To run:
     For Twitter: create a new app called 'InfluxTwitter' at
     https://apps.twitter.com/app/new
 
-    For Rosette: If you want sentiment analysis, sign up for a trial at
+    For Rosette: sentiment is scored offline by default; if you want Rosette's
+    analysis instead (--sentiment rosette), sign up for a trial at
     https://developer.rosette.com/
 
     On Mac, set them in ~/.bash_profile
@@ -20,6 +21,7 @@ To run:
     export TWITTER_CONSUMER_SECRET=
     export TWITTER_ACCESS_TOKEN_KEY=
     export TWITTER_ACCESS_TOKEN_SECRET=
+    export TWITTER_BEARER_TOKEN=
     export ROSETTE_API_KEY=
 
     On Windows, configure the run.bat file
@@ -38,222 +40,451 @@ To learn about using Promises in Node.js, see: http://bit.ly/Node-Promises
 
 /*
 *** InfluxDB configuration ***
-Set up InfluxDB schema of points insertions to InfluxDB; create DB if necessary
+Tweet results are mapped to points by a schema mapping (see lib/schema.js and schema.example.json);
+sinks are created once the configuration is loaded below (influx.host, influx.database ...)
 */
-const dbname = "twitter";
-const measure = "tweets";
-const Influx = require("influx");
-const influx = new Influx.InfluxDB({
- host: "localhost",
- database: dbname,
- schema: [
-   {
-     measurement: measure,
-     fields: {
-       tweetid: Influx.FieldType.INTEGER,
-       relevance: Influx.FieldType.FLOAT,
-       user: Influx.FieldType.STRING,
-       volatile: Influx.FieldType.BOOLEAN,
-       raw: Influx.FieldType.STRING
-     },
-     tags: [
-       "keywords"
-     ]
-   }
- ]
-});
 
-// create the database if it doesn't already exist (happens in parallel with initialization below)
-influx.getDatabaseNames()
-  .then(names => {
-    if (!names.includes(dbname)) {
-      return influx.createDatabase(dbname);
-    }
+// after processing, save Tweet result to every configured output sink; trackId is the tweet that
+// later retweets and deletes refer to (see lib/events.js)
+function saveTweetToSinks(result, trackId) {
+  var points = tweetSchema.toPoints(result);
+  return sinks.write(points).then(function() {
+    var pending = tracker.written(trackId, points); // retweets and deletes that came in meanwhile
+    if(pending.length > 0) return sinks.write(pending);
   });
+}
 
-// after processing, save Tweet result to InfluxDB directly
-function saveTweetToInflux(result) {
-  influx.writePoints([
-    {
-      measurement: measure,
-      tags: {
-        keywords: (result.tags.length > 0 ? result.tags.join(",") : [])
-      },
-      fields: {
-        tweetid: result.tweetid,
-        relevance: result.relevance,
-        user: result.user,
-        volatile: result.volatile,
-        raw: JSON.stringify(result)
-      },
+// now define all the rest of the plumbing
+
+// helper functions over arrays
+Array.prototype.unique = function() {
+    var a = this.concat();
+    for(var i=0; i<a.length; ++i) {
+      for(var j=i+1; j<a.length; ++j) {
+        if(a[i] === a[j]) a.splice(j--, 1);
+      }
     }
-  ]).catch(err => {
-    console.error(`Error saving data to InfluxDB! ${err.stack}`);
+    return a;
+};
+Array.prototype.extend = function (other_array) {
+    other_array.forEach(function(v) { this.push(v) }, this);
+}
+
+// parse command line arguments, then load the configuration (defaults < --config file < environment < flags);
+// see lib/config.js and config.example.yml. Tweet ids stay strings.
+const argv = require("yargs").string(["sinceId", "untilId", "backfill.sinceId", "backfill.untilId"]).argv;
+const configuration = require("./lib/config");
+var config;
+try {
+  config = configuration.load(argv);
+} catch(err) {
+  console.error(err.message);
+  process.exit(1);
+}
+// structured JSON logs on stderr (lib/logger.js); --debug is the short way to say --logLevel debug.
+// Configured secrets are masked wherever they would show up in a log line.
+const logger = require("./lib/logger");
+logger.configure({ level: (config.debug ? "debug" : config.log.level), format: config.log.format });
+logger.addSecrets(configuration.secrets(config));
+const log = logger.child({ module: "collector" });
+const streamLog = logger.child({ module: "stream" });
+
+if(argv._[0] == "validate" || argv.printConfig) {
+  if(argv._[0] == "validate") console.log("Configuration is valid" + (config.file ? " (" + config.file + ")" : "") + ".");
+  if(argv.printConfig) process.stdout.write(configuration.print(config));
+  process.exit(0);
+}
+
+// map results to points; schema points at a JSON mapping file, otherwise the classic tweets measurement
+const schemaMapping = require("./lib/schema");
+const tweetSchema = schemaMapping.createSchema(config.schema ? schemaMapping.loadMapping(config.schema) : schemaMapping.defaultMapping);
+
+// self-metrics of the collector, served at /metrics and written to the _collector measurement (lib/metrics.js)
+const metrics = require("./lib/metrics").createRegistry();
+const status = { initialized: false, sources: {}, keywords: 0, reputation: null, startedAt: Date.now() }; // sources: platform => connected
+const counters = {
+  received: metrics.counter("events_received", "Stream events received"),
+  matched: metrics.counter("events_matched", "Events matching at least one keyword"),
+  dropped: metrics.counter("events_dropped", "Events not written, not relevant or excluded"),
+  reconnects: metrics.counter("stream_reconnects", "Stream reconnects"),
+  sentiment: metrics.histogram("sentiment_seconds", "Sentiment analysis latency in seconds")
+};
+metrics.counter("events_duplicate", "Events skipped as already seen", function() { return eventStats.duplicates; });
+metrics.counter("events_by_kind", "Stream events by kind", function() { return eventStats.kinds; }, "kind");
+metrics.counter("events_moderated", "Tweets caught by moderation, by reason", function() { return moderationStats.reasons; }, "reason");
+metrics.counter("moderation_actions", "Moderation actions taken (flag, drop, redact)", function() { return moderationStats.actions; }, "action");
+metrics.gauge("queue_depth", "Events in the processing pipeline", function() { return pipeline.stats().pending; });
+metrics.counter("dead_letters", "Events that failed or timed out in a pipeline stage", function() { return pipeline.stats().deadLetters; });
+[["queued", "stage_queued", "Events waiting per pipeline stage"], ["failed", "stage_failed", "Failed events per pipeline stage"]].forEach(function(spec) {
+  metrics.gauge(spec[1], spec[2], function() {
+    var stages = pipeline.stats().stages;
+    var values = {};
+    Object.keys(stages).forEach(function(name) { values[name] = stages[name][spec[0]]; });
+    return values;
+  }, "stage");
+});
+metrics.counter("links_expanded", "Shortened links expanded, failed or served from the cache", function() {
+  return _.pick(linkExpander.stats(), ["expanded", "failed", "cached"]);
+}, "result");
+metrics.counter("alerts_raised", "Alerts raised, by kind", function() { return (alerter ? alerter.stats().raised : {}); }, "kind");
+metrics.counter("alert_notifications_failed", "Alert notifications that failed, by notifier", function() { return (alerter ? alerter.stats().failed : {}); }, "notifier");
+metrics.counter("curation_actions", "Curation actions audited, by status", function() { return (curator ? curator.stats().statuses : {}); }, "status");
+metrics.gauge("approval_queue", "Curation actions waiting for approval", function() { return (curator ? curator.stats().queued : 0); });
+metrics.gauge("stream_connected", "1 while the source is connected", function() { return _.mapValues(status.sources, Number); }, "source");
+metrics.gauge("keywords", "Keywords tracked", function() { return status.keywords; });
+metrics.gauge("authors", "Authors in the reputation graph", function() { return (status.reputation ? status.reputation.size : 0); });
+metrics.gauge("uptime_seconds", "Seconds since the collector started", function() { return (Date.now() - status.startedAt) / 1000; });
+[["errors", "sink_errors"], ["buffered", "sink_buffered"], ["dropped", "sink_dropped"], ["spillQueue", "sink_spill_queue"]].forEach(function(pair) {
+  metrics.gauge(pair[1], "Write " + pair[0] + " per sink", function() {
+    var stats = sinks.stats();
+    var values = {};
+    Object.keys(stats).forEach(function(name) { values[name] = stats[name][pair[0]] || 0; });
+    return values;
+  }, "sink");
+});
+
+// classification (original, retweet, quote, reply, delete, limit ...), duplicates within a window, and
+// the tweets written so far, so retweets and deletes can be written onto their series
+const events = require("./lib/events");
+const dedupe = events.createDeduper({ maxSize: config.events.dedupeSize, window: config.events.dedupeWindow * 1000 });
+const tracker = events.createTracker({ maxSize: config.events.tracked });
+const eventStats = { duplicates: 0, kinds: {} };
+
+// word lists per language, spam patterns and the drop/flag/redact policy, applied before anything is
+// recorded or written (lib/moderation.js)
+const moderator = require("./lib/moderation").createModerator(Object.assign({}, config.moderation, {
+  duplicateWindow: config.moderation.duplicateWindow * 1000
+}));
+const moderationStats = { reasons: {}, actions: {} };
+
+// links, media, hashtags and mentions of relevant tweets, shortened links expanded (lib/enrichment.js);
+// replays only expand through a stub file so they stay offline and deterministic
+const enrichment = require("./lib/enrichment");
+const linkExpander = enrichment.createLinkExpander({
+  expand: config.links.expand && (!config.test || !!config.links.stub),
+  timeout: config.links.timeout * 1000,
+  maxRedirects: config.links.maxRedirects,
+  cacheSize: config.links.cacheSize,
+  shorteners: config.links.shorteners,
+  stub: config.links.stub
+});
+
+// keyword spikes, surges of volatile tweets and sentiment shifts, judged in process over rolling
+// windows rather than left to Kapacitor, notified (alerts.notify) and written as the alerts measurement
+// (lib/alerts). A backfill replays history, which is no news
+const alerts = require("./lib/alerts");
+const alerter = (config.alerts.enabled && argv._[0] != "backfill" ? alerts.createAlerter({
+  detector: {
+    interval: config.alerts.interval * 1000,
+    alpha: config.alerts.alpha,
+    warmup: config.alerts.warmup,
+    threshold: config.alerts.threshold,
+    minCount: config.alerts.minCount,
+    volatileRatio: config.alerts.volatileRatio,
+    volatileMin: config.alerts.volatileMin,
+    sentimentShift: config.alerts.sentimentShift
+  },
+  cooldown: config.alerts.cooldown * 1000,
+  notify: config.alerts.notify,
+  smtp: config.alerts.smtp
+}) : null);
+
+// retweets, likes, list additions and digests of the tweets the curation rules pick out, behind
+// approval, rate limits and dry runs, every decision audited in the actions measurement (lib/actions).
+// Replays only act through a mock API (twitter.apiUrl) and backfills not at all, old news again
+const curation = require("./lib/actions");
+const curator = (config.actions.enabled && argv._[0] != "backfill" ? curation.createCurator({
+  rules: config.actions.rules,
+  dryRun: config.actions.dryRun || (config.test && config.twitter.apiUrl == configuration.schema.twitter.properties.apiUrl.default),
+  approve: config.actions.approve,
+  limits: config.actions.limits,
+  limitWindow: config.actions.limitWindow * 1000,
+  queueSize: config.actions.queueSize,
+  queueTtl: config.actions.queueTtl * 1000,
+  twitter: curation.createTwitterActions({
+    apiUrl: config.twitter.apiUrl,
+    consumerKey: config.twitter.consumerKey,
+    consumerSecret: config.twitter.consumerSecret,
+    accessTokenKey: config.twitter.accessTokenKey,
+    accessTokenSecret: config.twitter.accessTokenSecret
+  }),
+  digest: Object.assign({}, config.actions.digest, { interval: config.actions.digest.interval * 1000 })
+}) : null);
+
+// configure output sinks (InfluxDB 1.x unless told otherwise); see lib/sinks/index.js for the spec format
+// example: --sink influxdb --sink file:tweets.lp --sink stdout:jsonl
+const provisioning = require("./lib/provisioning");
+const sinks = require("./lib/sinks").createSinks(config.sinks, {
+  // tweet points also get retweets and deleted written onto them later
+  schema: tweetSchema.influxSchema
+    .map(function(it) { return Object.assign({}, it, { fields: Object.assign({}, events.trackedFields, it.fields) }); })
+    .concat(events.tombstoneSchema)
+    .concat(enrichment.schema)
+    .concat(alerts.schema)
+    .concat(curation.schema)
+    .concat(require("./lib/keywords").annotationSchema)
+    .concat(metrics.influxSchema(config.metrics.measurement)),
+  host: config.influx.host,
+  database: config.influx.database,
+  // InfluxDB 2.x write API settings
+  url: config.influx.url,
+  org: config.influx.org,
+  bucket: config.influx.bucket,
+  token: config.influx.token,
+  // batch remote writes, retry with backoff and spill to disk while the database is unavailable
+  buffer: (config.buffer.enabled ? config.buffer : null),
+  // retention, hourly rollups of the tweets and migrations, set up when the sinks are initialized
+  provision: (config.provision.enabled ? {
+    retention: config.provision.retention,
+    rollups: provisioning.rollupsFor(tweetSchema, { measurement: config.provision.rollupMeasurement, interval: config.provision.rollupInterval }),
+    retries: config.provision.retries
+  } : null)
+});
+
+// the audit trail of curation: every action queued, taken, skipped or failed, as it happens
+if(curator) {
+  curator.on("audit", function(record) {
+    sinks.write([curation.toPoint(record)]);
   });
 }
 
-// now define all the rest of the plumbing
+// report write buffer counters (buffered, flushed, spilled, replayed, dropped) so falling behind is visible
+setInterval(function() {
+  logger.child({ module: "sink" }).debug("Write buffers", { stats: sinks.stats() });
+}, 60000).unref();
 
-// parse command line arguments
-const argv = require("yargs").argv;
+// and write the self-metrics next to the tweets so existing dashboards can watch the collector
+if(config.metrics.write) {
+  setInterval(function() {
+    sinks.write(metrics.toPoints(config.metrics.measurement));
+  }, config.metrics.interval * 1000).unref();
+}
 
-// create a simple step execution queue
-var queue = require("queue");
-var q = queue( { autostart: true });
+// flush whatever is still buffered once there is nothing left to do (e.g. end of test data),
+// then check the points a replay produced if asked to
+var sinksClosed = false;
+process.on("beforeExit", function() {
+  if(sinksClosed) return;
+  sinksClosed = true;
+  Promise.resolve(curator ? curator.close() : null)
+    .then(function() { return sinks.close(); })
+    .then(function() {
+      if(config.assert) assertReplayPoints(config.assert);
+    });
+});
 
-// confirm environmental variables
-if(!process.env.TWITTER_CONSUMER_KEY) { throw new Error("You must define your Twitter keys as system environment variables. See script header comments or README.rm for instructions."); }
+// every event goes through these stages, each with its own concurrency and timeout (pipeline.* settings);
+// the stream or replay is held back while maxPending events are in flight
+const stageConfig = config.pipeline;
+const pipeline = require("./lib/pipeline").createPipeline([
+  { name: "ingest", run: ingestStage },
+  { name: "moderate", run: moderateStage },
+  { name: "match", run: matchStage },
+  { name: "enrich", run: enrichStage },
+  { name: "score", run: scoreStage },
+  { name: "sink", run: sinkStage },
+  { name: "act", run: actStage }
+].map(function(stage) {
+  return Object.assign(stage, {
+    concurrency: stageConfig.concurrency[stage.name],
+    timeout: stageConfig.timeout[stage.name] * 1000
+  });
+}), {
+  maxPending: stageConfig.maxPending,
+  deadLetterFile: stageConfig.deadLetter,
+  describe: function(item) { return { tweetId: item.event && item.event.id_str, event: item.event }; }
+});
+pipeline.on("failed", function(failure) {
+  var failLog = (failure.item.log || logger.child({ tweetId: failure.item.event && failure.item.event.id_str }));
+  failLog.child({ module: "pipeline" }).error("Event failed in stage " + failure.stage + ", dead-lettered", failure.error);
+});
 
-// simplify debug message toggle
-console.debug = function(args) { if (argv.debug) { console.log("[debug] " + args); } };
+// Twitter keys are checked when the configuration is loaded: the bearer token for the twitter source,
+// the user keys for actions that aren't dry runs. The v1.1 client below reads the account's timeline
 
 //configure Twitter API
 var Twitter = require("twitter");
 var client = new Twitter({
-  consumer_key: process.env.TWITTER_CONSUMER_KEY,
-  consumer_secret: process.env.TWITTER_CONSUMER_SECRET,
-  access_token_key: process.env.TWITTER_ACCESS_TOKEN_KEY,
-  access_token_secret: process.env.TWITTER_ACCESS_TOKEN_SECRET
+  consumer_key: config.twitter.consumerKey,
+  consumer_secret: config.twitter.consumerSecret,
+  access_token_key: config.twitter.accessTokenKey,
+  access_token_secret: config.twitter.accessTokenSecret
 });
-console.debug("Twitter Consumer: " + process.env.TWITTER_CONSUMER_KEY);
-
-// configure text analysis API - eventually move this to a Kapacitor plugin, widen the inbound stream https://www.influxdata.com/time-series-platform/telegraf/
-var rste = undefined;
-if(argv.sentiment != false && process.env.ROSETTE_API_KEY && process.env.ROSETTE_API_KEY.length > 0) {
-  var RosetteApi = require("rosette-api");
-  rste = new RosetteApi(process.env.ROSETTE_API_KEY);
-  rste.parameters.language = "eng";
-}
 
-// load profanity filter
-var profanity = require("profanity-util");
+// configure text analysis - eventually move this to a Kapacitor plugin, widen the inbound stream https://www.influxdata.com/time-series-platform/telegraf/
+// sentiment.provider: lexicon (offline, default), rosette, http:<url> of a local model server, or none
+var analyzer = require("./lib/sentiment").createAnalyzer(config.sentiment.provider, {
+  lexicon: config.sentiment.lexicon,
+  rosetteKey: config.sentiment.rosetteKey
+});
+log.info("Sentiment analysis configured", { provider: (analyzer ? analyzer.name : "off") });
 
-// file system for test data caching
+// file system for test data caching, recording and replay of stream sessions
 var file = require("file-system");
 var fs = require("fs");
+var recorder = require("./lib/recorder");
 
 // retry promises such as HTTP requests
 var promiseRetry = require('promise-retry');
 
-// synchronous HTTP for initial keywords
+// connectivity check before reaching out to keyword sources
 const dns = require("dns");
-var request = require("request");
 //TODO:var deasync = require("deasync");
 
-// include jsonpath for dynamic keyword source parsing
-var jp = require("jsonpath");
+// keyword sources (jsonpath over HTTP), scheduled refresh and the last good list on disk
+var keywordSources = require("./lib/keywords");
+var keywordMatcher = require("./lib/matcher");
 
 // begin execution
 
-// push initialization into the queue, but start at end of script after all other declarations (readability)
-q.push(async function () {
+// initialization starts at end of script after all other declarations (readability)
+async function initialize() {
 
-  console.debug("Initializing execution queue.");
+  log.debug("Initializing");
+  if(argv._[0] == "provision") return provisionAndExit();
+
+  // provision the databases, create directories etc. before anything is written; a database still
+  // unreachable after the retries is logged and written to once it's back (see buffer.*)
+  await sinks.init();
 
   var ctx = { // runtime context (replacing shared golbal variables)
     // dynamic parameters
-    debug: argv.debug,
-    useTestData: argv.test,
-    cacheData: argv.cache,
+    debug: config.debug,
+    useTestData: config.test,
+    cacheData: config.cache,
+    replayFile: config.replay.file, // a single session archive instead of everything in testDataDir
+    replaySpeed: config.replay.speed, // 1 = recorded pace, N = N times faster, max = no delays
 
     // static variables
-    testDataDir: "tweets/",
-    isConnected: checkInternet(),
+    testDataDir: config.replay.dir,
+    isConnected: (config.test ? false : checkInternet()), // replays stay offline so they are deterministic
 
     // variables to load
     keywords: [],
-    friendlies: [],
-    exprFindAnyKeyword: null,
-    dynamicKeywordSources: null
+    keywordWeights: {}, // keyword => weight of the source it came from
+    reputation: null, // author reputation store
+    streams: {}, // platform => running source (lib/sources)
+    exclusions: config.keywords.exclude,
+    matcher: null,
+    // keyword sources, each { type, target, weight, max ... } (see lib/keywords/providers/index.js)
+    dynamicKeywordSources: config.keywords.sources
 
   };
 
-  // Simplified keyword source extraction for WordPress lovers :)
-  // Query syntax: https://developer.wordpress.org/rest-api/reference/tags/#list-tags
-  // Example JSON: http://paulsbruce.io/wp-json/wp/v2/tags
-  var wpbp = argv.keywordSourceWordPressBasePath;
-  if(wpbp && wpbp.length > 0)
-  {
-    if(wpbp[wpbp.length-1] != "/") wpbp += "/";
-    var srcs = ["tags","categories"].map(function(part) {
-      return {
-        url: wpbp + "wp-json/wp/v2/"+part+"?order_by=count&order=desc&hide_empty=true&per_page=100",
-        path: "$..name"
-      };
-    });
-    // try first source
-    await Promise.all([
-      extractKeywords(srcs[0])
-        .then(function() {
-          argv.keywordSources = srcs.map(function(src) { return src.path+";"+src.url; }).join(";")
-        })
-        .catch(function(err) {
-          argv.keywordSources = null
-          console.error(err)
-        })
-    ]);
-  }
-
-  // full keyword source extraction based on arbitrary JSON source;
-  // example: --keywordSources "$..value;http://yourdomain.com/jsonFeed"
-  var kwdsrc = argv.keywordSources ? argv.keywordSources.split(";") : [];
-  if(kwdsrc && kwdsrc.length > 0) {
-    if(kwdsrc.length % 2 != 0) {
-      console.error("Invalid keywordSources parameter. Must be a semicolon delimited list of jsonPath;url values.");
-    } else {
-      var sources = [];
-      for(var i=0; i<kwdsrc.length; i+=2) {
-        if(i == (kwdsrc.length-1))
-          break;
-        sources.push({
-          path: kwdsrc[i],
-          url: kwdsrc[i+1]
-        });
-      }
-      ctx.dynamicKeywordSources = sources;
-    }
-  }
-
   if((ctx.useTestData || ctx.cacheData) && !fs.existsSync(ctx.testDataDir)) {
     fs.mkdirSync(ctx.testDataDir);
   }
+  if(ctx.cacheData && !ctx.useTestData) {
+    ctx.recorder = recorder.createRecorder(ctx.testDataDir);
+  }
 
 
+  // keywords are refreshed every keywords.refresh minutes (default 60, 0 turns it off) and on SIGHUP
+  ctx.keywordManager = keywordSources.createKeywordManager({
+    sources: ctx.dynamicKeywordSources,
+    defaults: config.keywords.defaults,
+    cacheFile: (ctx.useTestData ? null : config.keywords.cache), // replays ignore local state
+    isConnected: ctx.isConnected
+  });
+  ctx.keywordManager.on("change", function(change) {
+    applyKeywords(change, ctx);
+  });
+  ctx.keywordManager.start(config.keywords.refresh * 60000);
+  process.on("SIGHUP", function() {
+    log.info("SIGHUP received, refreshing keywords and moderation lists");
+    ctx.keywordManager.refresh();
+    moderator.reload();
+  });
+  // author reputation: the saved graph first (all there is offline), then the timeline every
+  // reputation.refresh minutes
+  ctx.reputation = status.reputation = createReputation(ctx);
+  ctx.reputation.start(config.reputation.refresh * 60000);
+
+  process.on("SIGINT", function() { shutdown(ctx, "SIGINT"); });
+  process.on("SIGTERM", function() { shutdown(ctx, "SIGTERM"); });
+
+  if(config.server.enabled) ctx.server = startServer(ctx);
+
   await Promise.all([
-    loadKeywords(ctx)
-      .then((kwds) => {
-        ctx.keywords = kwds;
-        ctx.exprFindAnyKeyword = new RegExp(kwds.map(function(s) { return s.toLowerCase()}).join("|"));
-        console.debug("Keywords: " + ctx.keywords);
-      })
+    ctx.keywordManager.refresh()
     ,
-    loadFriendlies(ctx)
-      .then((frnds) => {
-        ctx.friendlies = frnds;
-        console.debug("Friendlies: " + ctx.friendlies);
-      })
+    ctx.reputation.refresh()
+      .then(function(summary) { log.debug("Author reputation loaded", summary); })
     ,
     (ctx.useTestData ? loadTestData(ctx)
       .then((td) => {
         ctx.testData = td;
-        console.debug("Loaded test data ['+ctx.testData.length+']");
+        log.debug("Loaded test data", { events: ctx.testData.length });
       })
       : function() {})
   ]);
 
-  console.debug("Initialization complete. Processing events.");
+  log.info("Initialization complete, processing events");
+  status.initialized = true;
 
-  // on to the next one; now that context is prepped, processing can begin
-  q.push(function(cb) {
+  // now that context is prepped, processing (or a backfill) can begin
+  if(argv._[0] == "backfill") {
+    runBackfill(ctx).catch(function(err) {
+      logger.child({ module: "backfill" }).error("Backfill failed", err);
+      process.exitCode = 1;
+    });
+  } else {
     beginProcessEvents(ctx);
-    cb();
-  });
-});
+  }
+}
+
+// SIGINT/SIGTERM: stop reading, let in-flight events finish (up to pipeline.drainTimeout), flush the
+// sinks, then exit; a second signal exits straight away
+var shuttingDown = false;
+function shutdown(ctx, signal) {
+  if(shuttingDown) {
+    log.warn("Second " + signal + ", exiting without draining");
+    process.exit(1);
+  }
+  shuttingDown = true;
+  log.info(signal + " received, draining in-flight events", { pending: pipeline.stats().pending });
+  _.values(ctx.streams).forEach(function(stream) { stream.stop(); });
+  pipeline.close(stageConfig.drainTimeout * 1000)
+    .then(function(drained) {
+      if(!drained) log.warn("Drain timed out; events still in flight are lost", { pending: pipeline.stats().pending });
+      return (ctx.recorder ? ctx.recorder.close() : null);
+    })
+    .then(function() {
+      return (alerter ? alerter.close() : null);
+    })
+    .then(function() {
+      return (curator ? curator.close() : null);
+    })
+    .then(function() {
+      sinksClosed = true;
+      return sinks.close();
+    })
+    .then(function() {
+      log.info("Shutdown complete", { deadLetters: pipeline.stats().deadLetters });
+      process.exit(0);
+    })
+    .catch(function(err) {
+      log.error("Shutdown failed", err);
+      process.exit(1);
+    });
+}
 
 
 
 
 
+// the provision command: set up every sink's database, print what was done and exit
+function provisionAndExit() {
+  return Promise.all(sinks.sinks.map(function(sink) { return (sink.sink || sink).init(); }))
+    .then(function(summaries) {
+      console.log(JSON.stringify(summaries.filter(Boolean), null, 2));
+      process.exit(0);
+    }, function(err) {
+      log.error("Provisioning failed", err);
+      process.exit(1);
+    });
+}
+
 // use dns against google to determine internet connectivity, return syncronously
 function checkInternet() {
     let isConnected = dns.lookup("google.com",function(err) {
@@ -262,84 +493,164 @@ function checkInternet() {
     return Promise.resolve(isConnected);
 }
 
-// pull keywords from personal blog, what's in my wheelhouse, so not all of Twitter firehose is streamed
-async function loadKeywords(ctx) {
-  var results = [];
-  if(ctx.isConnected && ctx.dynamicKeywordSources.length > 0) {
-    console.debug("Extracting keywords from sources...");
-    await Promise.all(
-      ctx.dynamicKeywordSources.map( async (src) => {
-        var values = await extractKeywords(src);
-        results.extend(values);
-      })
-    );
+// swap in a new keyword list; the list and its matcher change together, within one tick, so no event
+// is ever matched against a mix of old and new; stream rules follow
+function applyKeywords(change, ctx) {
+  var matcher = keywordMatcher.createMatcher({
+    keywords: change.keywords,
+    weights: change.weights,
+    exclusions: ctx.exclusions,
+    formula: config.relevance.formula, // count, weighted or exponential
+    saturation: config.relevance.saturation,
+    hashtagWeight: config.relevance.hashtagWeight
+  });
+  ctx.keywords = change.keywords;
+  ctx.keywordWeights = change.weights;
+  ctx.matcher = matcher;
+  status.keywords = ctx.keywords.length;
+  logger.child({ module: "matcher" }).debug("Keywords applied", { keywords: ctx.keywords });
+
+  if(change.changed) {
+    logger.child({ module: "keywords" }).info("Keywords changed", { from: change.from, added: change.added, removed: change.removed });
+    sinks.write([keywordSources.toAnnotationPoint(change)]);
   }
-  if(results.length < 1) // use static data in case of no network connectivity
-  {
-    console.debug("Using static keywords.");
-    results = "API,API design,API documentation,testing".split(",");
+  if(ctx.streams.twitter && !change.initial) {
+    ctx.streams.twitter.syncRules(ctx.keywords)
+      .catch(function(err) { streamLog.error("Could not update stream rules", err); });
   }
-  // truncate to keywords that meet Twitter track/filter requirements
-  results = results.unique()
-    .filter(function(it) { return it.length <= 60; })
-    .slice(0, 400)
-    .sort();
-
-  return results;
 }
-async function extractKeywords(source) {
-  var json = await get(source.url)
-    .then(JSON.parse)
-    .catch(function(err) {
-      console.error("Could not parse source '" + source + "'", err)
+
+// health, readiness, metrics and admin routes (see lib/server.js)
+function startServer(ctx) {
+  var server = require("./lib/server")({
+    host: config.server.host,
+    port: config.server.port,
+    adminToken: config.server.adminToken
+  });
+
+  server.route("GET", "/healthz", function() {
+    return { status: "ok", uptime: (Date.now() - status.startedAt) / 1000 };
+  });
+
+  // ready once initialized, with every source connected (replays have none) and every sink reachable
+  server.route("GET", "/readyz", function() {
+    return sinks.ping().then(function(reachable) {
+      var checks = {
+        initialized: status.initialized,
+        sources: (ctx.useTestData ? true : config.sources.every(function(platform) { return status.sources[platform]; })),
+        sinks: reachable
+      };
+      var ready = checks.initialized && checks.sources && _.every(_.values(reachable));
+      return { status: (ready ? 200 : 503), body: { ready: ready, checks: checks } };
     });
-  return json.map(function(obj) { return jp.value(obj, source.path); });
-}
+  });
 
-async function loadFriendlies(ctx) {
-  var friendlies = [];
-  if(ctx.isConnected) { // collect a list of users to really pay attention to, based on my retweets (who i've trusted enough)
-    console.debug("Extracting friendlies from Twitter timeline...");
-     friendlies = await client.get("statuses/user_timeline", { include_rts: true, count:200 })
-      .then(function(tweets) {
-          return tweets
-            .filter(function(it) { return it.retweeted })
-            .map(function(it) { return it.retweeted_status.user.screen_name.toLowerCase(); })
-            .unique()
-            .sort();
-      })
-      .catch(function(err) {
-        console.debug("Failed to extract friendlies from online sources. " + err)
-        return []
+  server.route("GET", "/metrics", function() {
+    return { status: 200, contentType: "text/plain; version=0.0.4", body: metrics.prometheus() };
+  });
+
+  server.route("GET", "/admin/keywords", function() {
+    return {
+      keywords: ctx.keywords,
+      weights: ctx.keywordWeights,
+      exclusions: ctx.exclusions,
+      sources: ctx.dynamicKeywordSources.map(keywordSources.providers.sourceKey)
+    };
+  });
+
+  // posts pushed by other programs (lib/sources/webhook.js), once the webhook source runs
+  if(config.sources.indexOf("webhook") > -1) {
+    server.route("POST", config.webhook.path, function(req) {
+      return (ctx.streams.webhook ? ctx.streams.webhook.handle(req) : { status: 503, body: { error: "Not accepting posts yet" } });
+    });
+  }
+
+  server.route("POST", "/admin/keywords/reload", function() {
+    return ctx.keywordManager.refresh().then(function(change) {
+      return change ? _.pick(change, ["from", "added", "removed", "changed"]) : { changed: false };
+    });
+  });
+
+  server.route("GET", "/admin/authors", function() {
+    return { authors: ctx.reputation.top(50), lists: ctx.reputation.lists() };
+  });
+
+  server.route("POST", "/admin/authors/reload", function() {
+    return ctx.reputation.refresh();
+  });
+
+  server.route("GET", "/admin/alerts", function() {
+    return (alerter ? { recent: alerter.recent(), trending: alerter.trending(20) } : { enabled: false });
+  });
+
+  // curation actions waiting for approval, approved or rejected by id (?id=)
+  server.route("GET", "/admin/actions", function() {
+    return (curator ? { queued: curator.queued(), recent: curator.recent(), stats: curator.stats() } : { enabled: false });
+  });
+
+  ["approve", "reject"].forEach(function(decision) {
+    server.route("POST", "/admin/actions/" + decision, function(req) {
+      if(!curator) return { status: 404, body: { error: "Curation actions are not enabled" } };
+      var id = require("url").parse(req.url, true).query.id;
+      return curator[decision](id).then(function(record) {
+        return (record ? record : { status: 404, body: { error: "No queued action " + id } });
       });
-  } else {
-    friendlies = "TechCrunch,TheNewStack,Vice,CNN".split(","); // load with some arbitrary defaults
+    });
+  });
+
+  server.start();
+  return server;
+}
+
+// the authors to really pay attention to, based on who I retweet, reply to and mention (who I've
+// trusted enough); replays ignore the saved graph and the timeline so they are deterministic
+function createReputation(ctx) {
+  var store = require("./lib/reputation").createReputationStore({
+    file: (ctx.useTestData ? null : config.reputation.file),
+    lists: config.reputation.lists,
+    allow: config.friendlies.defaults,
+    halfLife: config.reputation.halfLife,
+    timeline: (ctx.isConnected && config.twitter.accessTokenKey ? function() {
+      return client.get("statuses/user_timeline", { include_rts: true, count: 200 });
+    } : null)
+  });
+  store.load();
+  return store;
+}
+
+// a session entry may carry a post of the common model ({ t, post, platform }) instead of an event,
+// so replays cover the other platforms; it becomes the event its source would have emitted
+function toReplayEntry(entry) {
+  if(!entry.post) return entry;
+  var sources = require("./lib/sources");
+  try {
+    return { t: entry.t, event: sources.toEvent(sources.createPost(entry.post, entry.platform)) };
+  } catch(err) {
+    log.warn("Skipping a post the session can't replay", { post: entry.post }, err);
+    return null;
   }
-  return friendlies;
 }
 
+// load recorded sessions ([{ t, event }]); falls back to single cached events, then static data
 async function loadTestData(ctx) {
   var testData = [];
   if(ctx.useTestData) {
-    console.debug("Loading test data from cached responses in file-system.");
-    var dir = ctx.testDataDir;
-    var files = [];
-    file.recurseSync(dir, ["*.json"], function(filepath, relative, filename) {
-      files.push(filename);
-    });
-    files.sort().reverse();
-    var iFile;
-    for(iFile=0; iFile<files.length; iFile++) {
-      if(iFile >= 50) break;
-      var event = JSON.parse(fs.readFileSync(dir+files[iFile]));
-      testData.push(event);
+    log.debug("Loading test data from recorded sessions", { dir: ctx.testDataDir, file: ctx.replayFile });
+    var sessions = ctx.replayFile ? [ctx.replayFile] : recorder.listSessions(ctx.testDataDir);
+    for(var i=0; i<sessions.length; i++) {
+      testData.extend((await recorder.readSession(sessions[i])).map(toReplayEntry).filter(Boolean));
     }
-    for(; iFile<files.length; iFile++) {
-      fs.unlinkSync(dir+files[iFile]);
+    if(testData.length < 1) { // events cached one per file by earlier versions
+      var dir = ctx.testDataDir;
+      file.recurseSync(dir, ["*.json"], function(filepath, relative, filename) {
+        var event = JSON.parse(fs.readFileSync(dir+filename));
+        testData.push({ t: Number(event.timestamp_ms) || 0, event: event });
+      });
+      testData.sort(function(a, b) { return a.t - b.t; });
     }
     if(testData.length < 1) {
-      console.debug("No data on file-system, using static test data.");
-      testData = createTestData();
+      log.info("No recorded sessions, using static test data");
+      testData = createTestData().map(function(event) { return { t: Number(event.timestamp_ms), event: event }; });
     }
   }
   return testData;
@@ -349,137 +660,298 @@ function beginProcessEvents(ctx) {
 
   if(ctx.useTestData) {
 
-    ctx.testData.forEach(function(event) {
-      q.push(function() {
-        onTwitterEvent(event, ctx);
-      });
+    recorder.replay(ctx.testData, ctx.replaySpeed, function(event) {
+      return ingest(event, ctx);
+    })
+    .then(function(count) {
+      log.info("Replay complete", { events: count });
     });
 
   } else {
 
-    // retry twitter stream up to 5 times
-    promiseRetry(function (retry, number) { // https://www.npmjs.com/package/promise-retry
-        console.debug('Twitter connection attempt '+ number);
-
-        return createTwitterStream(ctx)
-          .catch(function(err) {
-            console.log('promiseRetry err ' + err)
-            if(number <= 5)
-              retry(err);
-            else
-              throw err;
-          });
-    })
-    .catch(err => {
-      console.log('Epic failure to establish Twitter stream after multiple attempts.')
-      throw err;
+    config.sources.forEach(function(platform) {
+      if(platform != "twitter") return listenTo(ctx, createSource(ctx, platform));
+
+      // retry setting up the twitter stream up to 5 times; once running, it reconnects by itself
+      promiseRetry(function (retry, number) { // https://www.npmjs.com/package/promise-retry
+          streamLog.debug("Twitter connection attempt", { attempt: number });
+
+          return createTwitterStream(ctx)
+            .catch(function(err) {
+              streamLog.warn("Twitter connection attempt failed", { attempt: number }, err);
+              if(number <= 5)
+                retry(err);
+              else
+                throw err;
+            });
+      })
+      .catch(err => {
+        streamLog.fatal("Could not establish the Twitter stream after multiple attempts", err);
+        throw err;
+      });
     });
   }
 }
 
+// the v2 filtered stream replaces the retired user stream; keywords are sent to Twitter as stream rules
 async function createTwitterStream(ctx) {
-  return new Promise(function(resolve, reject) {
-    try {
-      client.stream("user", { }, function(stream) { // https://www.npmjs.com/package/twitter
-        console.log("Listening to twitter user feed for new events.");
-        stream.on("data", function(event) {
-
-          q.push(function() {
-            onTwitterEvent(event, ctx);
-          });
-
-          if(ctx.cacheData) {
-            q.push(function() {
-              var filePath = ctx.testDataDir+event.id_str+".json";
-              fs.writeFile(filePath, JSON.stringify(event), function(err) {
-                if(err) { console.error("Could not save file: " + filePath + "\n" + JSON.stringify(err)); }
-              });
-            });
-          }
-        });
-        stream.on("error", function(err) {
-          console.error('stream::error '+JSON.stringify(err))
-          reject(err);
-        });
-        resolve(stream);
+  var twitterV2 = require("./lib/sources/twitterV2");
+  var stream = ctx.streams.twitter || listenTo(ctx, twitterV2.createFilteredStream({
+    apiUrl: config.twitter.apiUrl, // e.g. http://localhost:8089 for mock/twitterStream.js
+    bearerToken: config.twitter.bearerToken,
+    maxRules: config.twitter.maxRules,
+    maxRuleLength: config.twitter.maxRuleLength
+  }), true);
+
+  await stream.syncRules(ctx.keywords);
+  stream.start();
+  return stream;
+}
+
+// sources other than Twitter, posts in the common model (lib/sources/index.js); they don't filter
+// by keyword, matching does
+function createSource(ctx, platform) {
+  switch(platform) {
+    case "mastodon":
+      return require("./lib/sources/mastodon").createStream({
+        instance: config.mastodon.instance,
+        accessToken: config.mastodon.accessToken,
+        stream: config.mastodon.stream
       });
-    } catch(err) {
-      console.error('createTwitterStream::catch '+err)
-      reject(err);
-    }
-  })
+    case "bluesky":
+      return require("./lib/sources/bluesky").createStream({ url: config.bluesky.url });
+    case "webhook":
+      ctx.server.keepAlive(); // nothing else may be waiting for events
+      return require("./lib/sources/webhook").createWebhook({ token: config.webhook.token, maxBytes: config.webhook.maxBytes });
+  }
 }
 
-// Handle a raw twitter event, potentially passing it on into InfluxDB
-// Static JSON example of Twitter event structure: https://gist.github.com/hrp/900964
-function onTwitterEvent(event, ctx) {
+// feed a source's events to the pipeline, holding the source back while the pipeline is full;
+// started straight away unless the caller starts it
+function listenTo(ctx, stream, deferStart) {
+  var platform = stream.platform;
+  var sourceLog = streamLog.child({ source: platform });
+  ctx.streams[platform] = stream;
+  status.sources[platform] = false;
+
+  stream.on("connected", function() {
+    status.sources[platform] = true;
+    sourceLog.info("Listening for new events");
+  });
+  stream.on("reconnect", function() {
+    status.sources[platform] = false;
+    counters.reconnects.inc();
+  });
+  stream.on("data", function(event) {
+    var held = ingest(event, ctx);
+    if(held && !stream.paused) {
+      sourceLog.warn("Pipeline full, pausing the source", { pending: pipeline.stats().pending });
+      stream.pause();
+      held.then(function() {
+        sourceLog.info("Pipeline drained, resuming the source");
+        stream.resume();
+      });
+    }
+  });
+  stream.on("error", function(err) {
+    sourceLog.error("Source error", err);
+  });
 
-  console.info(event.user.screen_name + " -> " + event.text.replace("\n',' "));
+  if(!deferStart) stream.start();
+  return stream;
+}
 
-  var blockedwords = profanity.check(event.text);
-  if(blockedwords.length > 0) { // will be used to inform points of volatility for later stage auto-retweet
-    console.debug("Profanity filter caught: " + JSON.stringify(blockedwords) + " in " + event.text);
+// fill the gap before the stream started: page through recent search (or --timeline) for a window
+// and push results through the same pipeline, keeping their original timestamps
+// example: node collectTweets.js backfill --since 2017-08-28T00:00:00Z --until 2017-08-29T00:00:00Z
+async function runBackfill(ctx) {
+  var backfillLog = logger.child({ module: "backfill" });
+  var backfill = require("./lib/backfill")({
+    apiUrl: config.twitter.apiUrl,
+    bearerToken: config.twitter.bearerToken,
+    since: config.backfill.since ? new Date(config.backfill.since) : null,
+    until: config.backfill.until ? new Date(config.backfill.until) : undefined,
+    timeline: config.backfill.timeline,
+    sinceId: config.backfill.sinceId,
+    untilId: config.backfill.untilId,
+    checkpointFile: config.backfill.checkpoint
+  });
+  if(tweetSchema.mapping.timestamp != "tweet") {
+    backfillLog.warn("Schema timestamps are set to 'write'; backfilled tweets will be stored at the time they're written");
   }
 
-  var matches = event.text.toLowerCase().match(ctx.exprFindAnyKeyword);
+  // stored ids are read back from the post_id field, so a schema without one can't skip anything
+  var knownIds = null;
+  if(!tweetSchema.mapping.fields.post_id) {
+    backfillLog.warn("The schema has no post_id field; backfill won't skip tweets already written", { schema: config.schema });
+  } else {
+    knownIds = await sinks.tweetIds(tweetSchema.measurement, backfill.since, backfill.until)
+      .catch(function(err) {
+        backfillLog.warn("Could not read stored tweet ids; backfill won't skip tweets already written", err);
+        return null;
+      });
+  }
+  backfillLog.info("Backfilling", { since: backfill.since.toISOString(), until: backfill.until.toISOString(), stored: (knownIds ? knownIds.length : 0) });
 
-  var result = {
-    "event": event,
-    "tweetid": event.id_str,
-    "relevance": 0,
-    "user": event.user.screen_name,
-    "volatile": (blockedwords.length > 0), // profanity
-    "tags": [],
-    "sentiment": null
-  };
-  var bSentiment = false;
-  if (matches && matches.length > 0) {
+  // a page is checkpointed once its tweets are through the pipeline and out of the write buffers
+  var summary = await backfill.run(ctx.keywords, function(event) {
+    return ingest(event, ctx);
+  }, knownIds, function() {
+    return pipeline.drain().then(function() { return sinks.flush(); });
+  });
+  backfillLog.info("Backfill complete", summary);
+}
 
-      matches = matches.unique();
+// hand a raw event (Twitter's, or a post of another source in the same shape) to the pipeline; the Promise returned while the pipeline is full resolves
+// once it has room again, and sources wait for it (backpressure)
+function ingest(event, ctx) {
+  if(pipeline.push({ event: event, ctx: ctx })) return null;
+  if(shuttingDown) return null; // dead-lettered, nothing to wait for
+  return new Promise(function(resolve) { pipeline.once("drain", resolve); });
+}
 
-      // default relevance to three or more keywords = 100%
-      result.relevance = Math.min(1.0, (matches.length / 3));
+// Pipeline stages: each takes the item { event, ctx, log, moderation, result, entities } and returns it for the next stage,
+// or null when the event goes no further. Every log line about the event carries its tweetId.
+// Static JSON example of Twitter event structure: https://gist.github.com/hrp/900964
 
-      result.tags.extend(matches); // add tags based on keywords that matched
-      result.tags = result.tags.unique();
-      bSentiment = (rste ? true : false);
+// classify and count the event; only tweets seen for the first time go on. Deletes become tombstones,
+// and messages that are no tweet at all are dead-lettered. Stream messages other than tweets are
+// recorded here, tweets once moderation has had its say
+function ingestStage(item) {
+  var event = item.event;
+  var classified = events.classify(event);
+  counters.received.inc();
+  eventStats.kinds[classified.kind] = (eventStats.kinds[classified.kind] || 0) + 1;
+  if(["delete", "limit", "notice"].indexOf(classified.kind) > -1 && item.ctx.recorder) {
+    item.ctx.recorder.record(event);
+  }
 
-      if(bSentiment) {
-        q.push(function() { processSentiments(event, matches, result, ctx) });
-      }
+  switch(classified.kind) {
+    case "delete":
+      var marks = tracker.deleted(classified.id);
+      logger.child({ module: "pipeline", tweetId: classified.id }).debug("Delete notice", { tracked: marks !== null });
+      return sinks.write([events.toTombstonePoint(classified, marks !== null)].concat(marks || []))
+        .then(function() { return null; });
+    case "limit":
+      streamLog.warn("Twitter held back matching tweets", { missed: classified.missed });
+      return null;
+    case "notice":
+      streamLog.debug("Stream notice", { type: classified.type, notice: event[classified.type] });
+      return null;
+    case "unknown":
+      throw new Error("Not a tweet: missing id_str, text or user");
   }
-  if(!bSentiment) {
-    q.push(function() { afterMatchFound(result, ctx); }); // after no match determination made
+
+  item.kind = classified.kind;
+  item.log = logger.child({ tweetId: event.id_str, user: event.user.screen_name });
+  var eventLog = item.log.child({ module: "pipeline" });
+  if(dedupe.seen(event.id_str)) {
+    eventStats.duplicates++;
+    eventLog.debug("Duplicate event skipped", { kind: item.kind });
+    return null;
   }
+  eventLog.debug("Event received", { kind: item.kind, text: event.text });
+  item.originalId = classified.originalId;
+  return item;
 }
 
-// once a Twitter event is deemed relevant via keywords(tags), write to InfluxDB
-function afterMatchFound(result, ctx) {
+// severity and reason codes (lib/moderation.js); at or above moderation.threshold the policy drops
+// the tweet or masks its listed words. What goes on is what gets recorded, redactions included
+function moderateStage(item) {
+  var event = item.event;
+  var moderation = item.moderation = moderator.check(event);
+  if(moderation.reasons.length > 0) {
+    moderation.reasons.forEach(function(reason) {
+      moderationStats.reasons[reason] = (moderationStats.reasons[reason] || 0) + 1;
+    });
+    moderationStats.actions[moderation.action] = (moderationStats.actions[moderation.action] || 0) + 1;
+    item.log.child({ module: "moderation" }).debug("Moderation caught the tweet", moderation);
+  }
+
+  if(moderation.action === "drop") {
+    counters.dropped.inc();
+    return null;
+  }
+  if(moderation.action === "redact" && moderation.words.length > 0) {
+    event = item.event = moderator.redactEvent(event, moderation.words);
+  }
+  if(item.ctx.recorder) item.ctx.recorder.record(event);
+  return item;
+}
 
-  if(ctx.friendlies.indexOf(result.user.toLowerCase()) > -1) {
-    result.relevance += ((1.0 - result.relevance) * 0.5); // up the relevance because it comes from a friendly
+// retweets of a tweet already written only raise its retweet count; then match keywords (tags),
+// events matching none stop here
+function matchStage(item) {
+  var event = item.event;
+  var matchLog = item.log.child({ module: "matcher" });
+  if(item.kind === "retweet") {
+    var counted = tracker.retweet(item.originalId);
+    if(counted) {
+      item.log.child({ module: "pipeline" }).debug("Retweet counted onto the original", { originalId: item.originalId });
+      return (counted.length > 0 ? sinks.write(counted) : Promise.resolve()).then(function() { return null; });
+    }
+    item.trackId = item.originalId; // stands in for an original the collector hasn't seen
   }
 
-  if(result.tags.length > 0) { // result.relevance
-    console.debug("Found relevant match" + (result.volatile ? " [VOLATILE]" : "") + ".");
-    console.debug(result.tweetid + " ["+result.relevance+"]: " + JSON.stringify(result.tags));
-    // send through to InfluxDB
-    saveTweetToInflux(result)
-  } else {
-    console.debug("Event not found to be relevant.");
+  var match = item.ctx.matcher.match(event);
+  if(match.excluded.length > 0) {
+    matchLog.debug("Excluded", { exclusions: match.excluded });
+  }
+  if(match.terms.length < 1) {
+    counters.dropped.inc();
+    matchLog.debug("Event not found to be relevant");
+    return null;
   }
+
+  tracker.track(item.trackId || event.id_str); // retweets arriving from now on count onto this one
+  item.terms = match.terms;
+  item.result = {
+    "event": event,
+    "tweetid": event.id_str,
+    "relevance": match.relevance,
+    "score": match.score, // sum of matched keyword weights
+    "matches": match.matches, // [{ keyword, term, kind, weight }]
+    "user": event.user.screen_name,
+    // listed words found; volatile tweets are left alone by the curation actions unless a rule says otherwise
+    "volatile": _.intersection(item.moderation.reasons, ["profanity", "blocklist"]).length > 0,
+    "moderation": _.pick(item.moderation, ["severity", "reasons"]),
+    "tags": match.terms.unique(), // add tags based on keywords that matched
+    "sentiment": null
+  };
+  return item;
+}
+
+// facts about the event that scoring and later stages use: the author's reputation and the tweet's
+// links (shortened ones expanded), media, hashtags and mentions; tweets of denied authors stop here
+function enrichStage(item) {
+  var reputation = item.ctx.reputation;
+  if(reputation.blocked(item.result.user)) {
+    counters.dropped.inc();
+    item.log.child({ module: "reputation" }).debug("Author is denied, event dropped");
+    return null;
+  }
+
+  item.result.reputation = reputation.reputation(item.result.user); // 0..1
+  var entities = enrichment.extract(item.event);
+  return linkExpander.expandAll(entities.links).then(function(links) {
+    item.entities = Object.assign(entities, { links: links });
+    item.log.child({ module: "enrichment" }).debug("Entities", { domains: _.uniq(_.map(links, "domain")), hashtags: entities.hashtags, mentions: entities.mentions });
+    return item;
+  });
 }
 
-// send event text to sentiment analysis for clarified tag filtering
+// send event text to sentiment analysis for clarified tag filtering, then settle the relevance;
+// a failed analysis leaves the tweet without sentiment rather than failing it
 // eventually move this to Kapacitor plugin for offline analysis
-function processSentiments(event, matches, result, ctx) {
-  if(!rste) return;
-  console.debug("Found match...sending to sentiment analysis.");
-  rste.parameters.content = event.text;
-  rste.rosette("sentiment", function(err, sen) {
-    if(err) {
-      console.error("Error processing sentiments.", err);
-    } else {
+function scoreStage(item) {
+  var result = item.result;
+  var matches = item.terms;
+  var sentimentLog = item.log.child({ module: "sentiment" });
+  if(!analyzer) return boostReputable(item);
+
+  sentimentLog.debug("Found match, sending to sentiment analysis", { provider: analyzer.name, terms: matches });
+  return counters.sentiment.time(function() { return analyzer.analyze(item.event.text, { lang: item.event.lang, terms: matches }); })
+    .then(function(sen) {
       result.sentiment = sen;
       var confidences = [];
       sen.entities.forEach(function(entity) {
@@ -489,8 +961,8 @@ function processSentiments(event, matches, result, ctx) {
           case "TITLE":
           case "LOCATION":
             // if entity clarified, add to confidences for later summation
-            if(matches.indexOf(entity.mention.toLowerCase()) > -1) {
-              console.debug("Clarified topic: " + entity.mention);
+            if(entity.sentiment && matches.indexOf(entity.mention.toLowerCase()) > -1) {
+              sentimentLog.debug("Clarified topic", { mention: entity.mention });
               confidences.push(entity.sentiment.confidence);
             }
             break;
@@ -501,50 +973,81 @@ function processSentiments(event, matches, result, ctx) {
         var avg = sum / confidences.length;
         result.relevance = avg;
       }
-    }
-    // once completed, push to next step
-    q.push(function() { afterMatchFound(result, ctx); })
-  });
+    })
+    .catch(function(err) {
+      sentimentLog.error("Error processing sentiments", err);
+    })
+    .then(function() {
+      return boostReputable(item);
+    });
 }
 
+// up the relevance of tweets from reputable authors, the full boost for a reputation of 1
+function boostReputable(item) {
+  var result = item.result;
+  result.relevance += ((1.0 - result.relevance) * config.reputation.boost * result.reputation);
+  return item;
+}
 
+// once a Twitter event is deemed relevant via keywords(tags), write to InfluxDB and any other configured sinks,
+// then count it towards its keywords' trends; alerts it raises are written too
+function sinkStage(item) {
+  var result = item.result;
+  counters.matched.inc();
+  item.log.child({ module: "sink" }).debug("Found relevant match", { relevance: result.relevance, tags: result.tags, volatile: result.volatile });
+  return saveTweetToSinks(result, item.trackId || result.tweetid)
+    .then(function() {
+      var points = enrichment.toPoints(item.entities, {
+        id: result.tweetid,
+        platform: schemaMapping.platformOf(result.event),
+        keywords: result.tags,
+        timestamp: (tweetSchema.mapping.timestamp == "tweet" ? schemaMapping.tweetTime(result) : undefined)
+      });
+      if(points.length > 0) return sinks.write(points);
+    })
+    .then(function() {
+      if(!alerter) return;
+      var raised = alerter.observe({
+        keywords: result.tags,
+        volatile: result.volatile,
+        sentiment: (result.sentiment ? result.sentiment.score : null),
+        time: schemaMapping.tweetTime(result)
+      });
+      if(raised.length > 0) return sinks.write(raised.map(alerts.toPoint));
+    })
+    .then(function() { return item; });
+}
 
+// run the curation rules over the tweet written (lib/actions); what they pick is queued for approval
+// or acted on in the background, so slow Twitter calls don't hold up the pipeline
+function actStage(item) {
+  if(!curator) return item;
+  var result = item.result;
+  var event = result.event;
+  var picked = curator.consider({
+    id: result.tweetid,
+    user: result.user,
+    userId: event.user.id_str,
+    platform: schemaMapping.platformOf(event),
+    text: (event.extended_tweet ? event.extended_tweet.full_text : event.text),
+    url: event.post_url || `https://twitter.com/${result.user}/status/${result.tweetid}`,
+    relevance: result.relevance,
+    sentiment: (result.sentiment ? result.sentiment.score : null),
+    reputation: result.reputation,
+    volatile: result.volatile,
+    keywords: result.tags,
+    time: schemaMapping.tweetTime(result)
+  });
+  if(picked.length > 0) item.log.child({ module: "actions" }).debug("Picked by curation rules", { rules: picked });
+  return item;
+}
 
 
 
-// strictly helper functions
 
-// simple helper for HTTP get requests
-async function get(url) {
-  return new Promise(function (resolve, reject) {
-    var userAgent = {"User-Agent": "Mozilla/5.0 (Windows NT 6.1; WOW64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/47.0.2526.111 Safari/537.36"};
-    request({
-       url: url,
-       headers: userAgent
-    },
-    function (error, res, body) {
-      if (!error && res.statusCode == 200) {
-        resolve(body);
-      } else {
-        reject(error);
-      }
-    });
-  });
-}
 
-// helper functions over arrays
-Array.prototype.unique = function() {
-    var a = this.concat();
-    for(var i=0; i<a.length; ++i) {
-      for(var j=i+1; j<a.length; ++j) {
-        if(a[i] === a[j]) a.splice(j--, 1);
-      }
-    }
-    return a;
-};
-Array.prototype.extend = function (other_array) {
-    other_array.forEach(function(v) { this.push(v) }, this);
-}
+
+// strictly helper functions
 
 function createTestData() {
   var results = [];
@@ -553,10 +1056,44 @@ function createTestData() {
   return results;
 }
 
-// create filter for tweet data to just tweets, per Twitter documentation
+// compare the points a replay wrote to the memory sink against an expected file;
+// --updateAssert rewrites the file from this run instead. The outcome is a test report, so it goes to
+// the console rather than the log.
+function assertReplayPoints(expectedFile) {
+  var memory = sinks.sinks.find(function(sink) { return sink.name == "memory"; });
+  if(!memory) {
+    console.error("--assert needs the memory sink (--sink memory).");
+    process.exitCode = 1;
+    return;
+  }
+  // normalize through JSON (dates become strings) and order, so only content matters
+  var actual = JSON.parse(JSON.stringify(memory.points))
+    .sort(function(a, b) { return JSON.stringify(a) < JSON.stringify(b) ? -1 : 1; });
+  if(config.updateAssert) {
+    fs.writeFileSync(expectedFile, JSON.stringify(actual, null, 2) + "\n");
+    console.log("Wrote " + actual.length + " expected points to " + expectedFile);
+    return;
+  }
+  var expected = JSON.parse(fs.readFileSync(expectedFile, "utf8"));
+  var mismatches = [];
+  for(var i=0; i<Math.max(actual.length, expected.length); i++) {
+    if(!_.isEqual(actual[i], expected[i])) {
+      mismatches.push("point " + i + "\n  expected: " + JSON.stringify(expected[i]) + "\n  actual:   " + JSON.stringify(actual[i]));
+    }
+  }
+  if(mismatches.length > 0) {
+    console.error("Replay assertion failed: " + actual.length + " points written, " + expected.length + " expected.\n" + mismatches.join("\n"));
+    process.exitCode = 1;
+  } else {
+    console.log("Replay assertion passed: " + actual.length + " points match " + expectedFile);
+  }
+}
+
 _ = require("lodash")
-const isTweet = _.conforms({ contributors: _.isObject, id_str: _.isString, text: _.isString });
 
 
-// finally, make sure the step execution queue is running
-q.start();
+// finally, start up
+initialize().catch(function(err) {
+  log.fatal("Initialization failed", err);
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+// periodic digest of the tweets digest rules collect, written as Markdown and/or HTML files
+//
+//   digests/digest-2017-08-29T13-00-00Z.md   the most relevant tweets since the last one, best first
+//
+// An empty period writes nothing. Entries are { id, user, text, url, relevance, sentiment, keywords, time }.
+var fs = require("fs");
+var path = require("path");
+var _ = require("lodash");
+
+var defaults = {
+  dir: "digests/",
+  interval: 86400000, // ms between digests
+  formats: ["markdown", "html"],
+  max: 25, // tweets per digest
+  title: "Twitter digest"
+};
+
+var extensions = { markdown: ".md", html: ".html" };
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, function(c) {
+    return { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" }[c];
+  });
+}
+
+// only web links; a javascript: or data: URL in a digest would run when clicked
+function webUrl(url) {
+  return (/^https?:\/\//i.test(String(url || "")) ? String(url) : null);
+}
+
+function oneLine(text) {
+  return String(text || "").replace(/\s+/g, " ").trim();
+}
+
+function facts(entry) {
+  var parts = [`relevance ${entry.relevance.toFixed(2)}`];
+  if(typeof entry.sentiment === "number") parts.push(`sentiment ${entry.sentiment.toFixed(2)}`);
+  if(entry.keywords.length > 0) parts.push(entry.keywords.join(", "));
+  return parts.join(" · ");
+}
+
+// { markdown, html } of a digest's entries, already sorted and cut to size
+function render(entries, options) {
+  var opts = _.defaults({}, options, defaults);
+  var period = `${opts.from.toISOString()} – ${opts.to.toISOString()}`;
+  var markdown = [`# ${opts.title}`, "", `${entries.length} tweets, ${period}`, ""]
+    .concat(entries.map(function(entry) {
+      // brackets and stars in tweets would turn into links and emphasis
+      var text = oneLine(entry.text).replace(/([\\`*_[\]])/g, "\\$1");
+      var url = webUrl(entry.url);
+      var link = (url ? ` ([link](${url}))` : "");
+      return `- **@${entry.user}**: ${text}${link}  \n  ${facts(entry)}`;
+    }))
+    .join("\n") + "\n";
+  var html = [
+    "<!DOCTYPE html>",
+    `<html><head><meta charset="utf-8"><title>${escapeHtml(opts.title)}</title></head><body>`,
+    `<h1>${escapeHtml(opts.title)}</h1>`,
+    `<p>${entries.length} tweets, ${escapeHtml(period)}</p>`,
+    "<ul>"
+  ].concat(entries.map(function(entry) {
+    var url = webUrl(entry.url);
+    return `<li><strong>@${escapeHtml(entry.user)}</strong>: ${escapeHtml(oneLine(entry.text))}` +
+      (url ? ` (<a href="${escapeHtml(url)}">link</a>)` : "") + `<br><small>${escapeHtml(facts(entry))}</small></li>`;
+  })).concat(["</ul>", "</body></html>"]).join("\n") + "\n";
+  return { markdown: markdown, html: html };
+}
+
+function createDigest(options) {
+  var opts = _.defaults({}, options, defaults);
+  var entries = new Map(); // tweet id => entry, since the last digest
+  var since = new Date();
+  var timer = null;
+
+  function publish() {
+    var from = since;
+    var to = since = new Date();
+    if(entries.size < 1) return Promise.resolve(null);
+    var best = _.orderBy(Array.from(entries.values()), ["relevance"], ["desc"]).slice(0, opts.max);
+    entries.clear();
+    var rendered = render(best, Object.assign({}, opts, { from: from, to: to }));
+    var base = path.join(opts.dir, "digest-" + to.toISOString().replace(/\.\d+Z$/, "Z").replace(/:/g, "-"));
+    if(!fs.existsSync(opts.dir)) fs.mkdirSync(opts.dir, { recursive: true });
+    var files = opts.formats.map(function(format) { return base + extensions[format]; });
+    return Promise.all(opts.formats.map(function(format, i) {
+      return fs.promises.writeFile(files[i], rendered[format]);
+    })).then(function() {
+      return { files: files, count: best.length, from: from, to: to };
+    });
+  }
+
+  return {
+    add: function(entry) {
+      entries.set(entry.id, entry);
+    },
+
+    size: function() { return entries.size; },
+    publish: publish,
+
+    // publish every interval ms; onPublish(err, digest) hears how it went
+    start: function(onPublish) {
+      timer = setInterval(function() {
+        publish().then(function(digest) { if(digest) onPublish(null, digest); }, onPublish);
+      }, opts.interval);
+      if(timer.unref) timer.unref();
+    },
+
+    stop: function() {
+      clearInterval(timer);
+    }
+  };
+}
+
+module.exports = {
+  formats: Object.keys(extensions),
+  render: render,
+  createDigest: createDigest
+};
@@ -0,0 +1,356 @@
+/*
+Curation actions: retweet, like, add to a list or collect into a digest the tweets rules pick out
+
+  var curator = createCurator({ rules: ["retweet#minRelevance=0.9&minReputation=0.5"], dryRun: false, twitter: createTwitterActions(keys) });
+  curator.on("audit", function(record) { ... });
+  curator.consider({ id, user, userId, platform, text, url, relevance, sentiment, reputation, volatile, keywords, time })
+
+Rules are specs "action:target#condition=value", like alert notifiers:
+
+  retweet#minRelevance=0.8              retweet the tweet
+  like#minSentiment=0.3                 like it
+  list:1234567890#minReputation=0.5     add its author to a list (by list id)
+  digest#minRelevance=0.6               collect it for the periodic digest (digest.js)
+
+A tweet has to meet every condition of a rule: minRelevance, maxRelevance, minSentiment, maxSentiment
+(tweets without sentiment meet neither), minReputation (the author's, 0..1), volatile (true, false
+or any; retweet, like and list leave volatile tweets alone unless told otherwise) and keywords (comma
+separated, any of them). Options: name (the rule in the audit, its action by default) and approve
+(true or false, instead of the approve option).
+
+Safety gates, in this order:
+
+  approval    the action waits in a queue for approve(id) or reject(id); queueSize of them are kept
+              for queueTtl ms at most, older ones expire
+  rate limit  at most limits[action] of an action per limitWindow ms (0 for no limit), the rest are
+              skipped; a 429 from Twitter pauses the action until Twitter's reset
+  dry run     what would be done is logged and audited instead of done; it counts towards the limits
+
+Retweet, like and list only apply to tweets (platform twitter); posts of other platforms can only
+go into digests. A tweet is acted on once per action and target, however many rules pick it. The
+calls go to options.twitter, { retweet(tweetId), like(tweetId), addToList(listId, userId) } each
+returning a Promise (twitter.js), so they can be replaced offline. They run in the background, one
+at a time; a failing call is audited, never in the way of the tweets.
+
+Every decision and outcome is emitted as an "audit" record
+{ id, time, action, target, rule, status, tweetid, user, relevance, count, message } with a status
+from statuses; toPoint makes it a point of the actions measurement. Record times are unique, a
+millisecond later than the last one when they'd tie, so points of the same action, status and rule
+don't overwrite each other.
+*/
+var EventEmitter = require("events");
+var querystring = require("querystring");
+var _ = require("lodash");
+var FieldType = require("influx").FieldType;
+var digest = require("./digest");
+var log = require("../logger").child({ module: "actions" });
+
+const actions = ["retweet", "like", "list", "digest"];
+const outward = ["retweet", "like", "list"]; // taken on Twitter, in public
+const statuses = ["queued", "approved", "rejected", "expired", "rate_limited", "dry_run", "done", "failed", "collected", "published"];
+
+var defaults = {
+  rules: [],
+  dryRun: true,
+  approve: false, // queue every action for approval
+  limits: { retweet: 10, like: 30, list: 20 },
+  limitWindow: 3600000, // ms
+  queueSize: 100,
+  queueTtl: 86400000, // ms an action waits for approval
+  history: 50, // recent audit records kept for the admin route
+  twitter: null,
+  digest: {} // see digest.js
+};
+
+var conditions = {
+  minRelevance: function(tweet, min) { return tweet.relevance >= min; },
+  maxRelevance: function(tweet, max) { return tweet.relevance <= max; },
+  minSentiment: function(tweet, min) { return typeof tweet.sentiment === "number" && tweet.sentiment >= min; },
+  maxSentiment: function(tweet, max) { return typeof tweet.sentiment === "number" && tweet.sentiment <= max; },
+  minReputation: function(tweet, min) { return (tweet.reputation || 0) >= min; },
+  volatile: function(tweet, volatile) { return !!tweet.volatile === volatile; },
+  keywords: function(tweet, keywords) {
+    return _.intersection(keywords, tweet.keywords.map(function(it) { return it.toLowerCase(); })).length > 0;
+  }
+};
+
+function parseFlag(value, spec) {
+  if(value === true || value === "true") return true;
+  if(value === false || value === "false") return false;
+  throw new Error(`'${value}' must be true or false (${spec})`);
+}
+
+// "action:target#condition=value" => { name, action, target, approve, when: { condition: value } }
+function parseRule(spec) {
+  var text = String(spec).trim();
+  var options = {};
+  var hash = text.indexOf("#");
+  if(hash > -1) {
+    options = querystring.parse(text.substring(hash + 1));
+    text = text.substring(0, hash);
+  }
+  var i = text.indexOf(":");
+  var rule = {
+    action: (i < 0 ? text : text.substring(0, i)),
+    target: (i < 0 ? undefined : text.substring(i + 1)),
+    when: {}
+  };
+  if(actions.indexOf(rule.action) < 0) {
+    throw new Error(`Unknown action '${rule.action}' (${spec}). Valid actions are: ${actions.join(", ")}`);
+  }
+  if(rule.action === "list" && !rule.target) throw new Error(`The list action needs a list id, e.g. list:1234567890 (${spec})`);
+  if(rule.action !== "list" && rule.target) throw new Error(`The ${rule.action} action takes no target (${spec})`);
+
+  var volatile = (outward.indexOf(rule.action) > -1 ? "false" : "any");
+  Object.keys(options).forEach(function(key) {
+    var value = options[key];
+    if(key === "name") {
+      rule.name = value;
+    } else if(key === "approve") {
+      rule.approve = parseFlag(value, spec);
+    } else if(key === "volatile") {
+      volatile = value;
+    } else if(key === "keywords") {
+      rule.when.keywords = String(value).toLowerCase().split(",");
+    } else if(conditions[key]) {
+      if(value === "" || isNaN(Number(value))) throw new Error(`${key} must be a number (${spec})`);
+      rule.when[key] = Number(value);
+    } else {
+      throw new Error(`Unknown rule option '${key}' (${spec}). Valid options are: ${Object.keys(conditions).concat(["name", "approve"]).join(", ")}`);
+    }
+  });
+  if(volatile !== "any") rule.when.volatile = parseFlag(volatile, spec);
+  rule.name = rule.name || rule.action + (rule.target ? ":" + rule.target : "");
+  return rule;
+}
+
+function meets(rule, tweet) {
+  return Object.keys(rule.when).every(function(condition) { return conditions[condition](tweet, rule.when[condition]); });
+}
+
+// what an action does on Twitter
+var calls = {
+  retweet: function(twitter, entry) { return twitter.retweet(entry.tweet.id); },
+  like: function(twitter, entry) { return twitter.like(entry.tweet.id); },
+  list: function(twitter, entry) { return twitter.addToList(entry.target, entry.tweet.userId); }
+};
+
+function createCurator(options) {
+  var opts = _.defaults({}, options, defaults);
+  opts.limits = _.defaults({}, opts.limits, defaults.limits);
+  var rules = opts.rules.map(function(spec) {
+    var rule = parseRule(spec);
+    if(rule.approve === undefined) rule.approve = opts.approve;
+    return rule;
+  });
+  if(!opts.dryRun && !opts.twitter && rules.some(function(rule) { return outward.indexOf(rule.action) > -1; })) {
+    throw new Error("Retweet, like and list actions need a Twitter client unless it's a dry run");
+  }
+  var curator = new EventEmitter();
+  var digests = digest.createDigest(opts.digest);
+  var taken = {}; // action => times taken within the limit window
+  var pausedUntil = {}; // action => ms, after a 429
+  var queue = []; // entries waiting for approval, oldest first
+  var recent = [];
+  var calling = Promise.resolve(); // Twitter calls, one at a time
+  var nextId = 1;
+  var lastTime = 0; // ms of the last audit record
+  var stats = {};
+
+  function describe(entry) {
+    return {
+      id: entry.id,
+      action: entry.action,
+      target: entry.target,
+      rule: entry.rule,
+      tweetid: entry.tweet.id,
+      user: entry.tweet.user,
+      relevance: entry.tweet.relevance
+    };
+  }
+
+  function audit(fields, status, message) {
+    lastTime = Math.max(Date.now(), lastTime + 1);
+    var record = Object.assign({ time: new Date(lastTime) }, fields, { status: status });
+    if(message) record.message = message;
+    stats[status] = (stats[status] || 0) + 1;
+    recent.unshift(record);
+    recent.length = Math.min(recent.length, opts.history);
+    curator.emit("audit", record);
+    return record;
+  }
+
+  // true, and counted, while the action is within its limit
+  function allowed(action, now) {
+    if(pausedUntil[action] > now) return false;
+    var times = (taken[action] || []).filter(function(time) { return time > now - opts.limitWindow; });
+    taken[action] = times;
+    if(opts.limits[action] > 0 && times.length >= opts.limits[action]) return false;
+    times.push(now);
+    return true;
+  }
+
+  function run(entry) {
+    var now = Date.now();
+    var fields = describe(entry);
+    if(!allowed(entry.action, now)) {
+      log.info("Action skipped, rate limited", fields);
+      return Promise.resolve(audit(fields, "rate_limited"));
+    }
+    if(opts.dryRun) {
+      log.info("Dry run, would " + entry.action, fields);
+      return Promise.resolve(audit(fields, "dry_run"));
+    }
+    // a 429 answered to a call before this one pauses it too
+    var running = calling.then(function() {
+      if(pausedUntil[entry.action] > Date.now()) {
+        log.info("Action skipped, rate limited by Twitter", fields);
+        return audit(fields, "rate_limited");
+      }
+      return Promise.resolve()
+        .then(function() { return calls[entry.action](opts.twitter, entry); })
+        .then(function() {
+          log.info("Action taken: " + entry.action, fields);
+          return audit(fields, "done");
+        }, function(err) {
+          if(err.statusCode === 429) pausedUntil[entry.action] = err.rateLimitReset || Date.now() + 900000;
+          log.warn("Action failed: " + entry.action, fields, err);
+          return audit(fields, "failed", err.message);
+        });
+    });
+    calling = running;
+    return running;
+  }
+
+  function expire() {
+    var now = Date.now();
+    while(queue.length > 0 && (queue[0].queuedAt <= now - opts.queueTtl || queue.length > opts.queueSize)) {
+      audit(describe(queue.shift()), "expired");
+    }
+  }
+
+  function enqueue(entry) {
+    entry.queuedAt = Date.now();
+    queue.push(entry);
+    audit(describe(entry), "queued");
+    expire();
+  }
+
+  // the queued entry with this id, taken off the queue; null when there's none (any more)
+  function dequeue(id) {
+    expire();
+    var i = _.findIndex(queue, function(entry) { return entry.id === String(id); });
+    return (i < 0 ? null : queue.splice(i, 1)[0]);
+  }
+
+  function published(result) {
+    log.info("Digest published", { files: result.files, count: result.count });
+    return audit({ id: String(nextId++), action: "digest", target: result.files.join(","), rule: "digest", count: result.count }, "published");
+  }
+
+  if(rules.some(function(rule) { return rule.action === "digest"; })) {
+    digests.start(function(err, result) {
+      if(err) return log.warn("Digest could not be written", err);
+      published(result);
+    });
+  }
+
+  return Object.assign(curator, {
+    rules: rules,
+
+    // run the rules over a tweet; actions are queued or run in the background. Returns the names of
+    // the rules that picked it
+    consider: function(tweet) {
+      var picked = [];
+      var seen = {};
+      rules.forEach(function(rule) {
+        var key = rule.action + ":" + (rule.target || "");
+        if(seen[key] || !meets(rule, tweet)) return;
+        if(outward.indexOf(rule.action) > -1 && tweet.platform !== "twitter") return;
+        seen[key] = true;
+        picked.push(rule.name);
+        var entry = { id: String(nextId++), action: rule.action, target: rule.target, rule: rule.name, tweet: tweet };
+        if(rule.action === "digest") {
+          digests.add(tweet);
+          audit(describe(entry), "collected");
+        } else if(rule.approve) {
+          enqueue(entry);
+        } else {
+          run(entry);
+        }
+      });
+      return picked;
+    },
+
+    // resolve the audit record of the outcome, null when there is no such queued action
+    approve: function(id) {
+      var entry = dequeue(id);
+      if(!entry) return Promise.resolve(null);
+      audit(describe(entry), "approved");
+      return run(entry);
+    },
+
+    reject: function(id) {
+      var entry = dequeue(id);
+      return Promise.resolve(entry ? audit(describe(entry), "rejected") : null);
+    },
+
+    queued: function() {
+      expire();
+      return queue.map(function(entry) {
+        return Object.assign(describe(entry), { text: entry.tweet.text, url: entry.tweet.url, queuedAt: new Date(entry.queuedAt) });
+      });
+    },
+
+    recent: function() { return recent.slice(); },
+
+    stats: function() {
+      return { statuses: stats, queued: queue.length, digest: digests.size() };
+    },
+
+    // wait for actions under way, write what the digest has collected so far and stop
+    close: function() {
+      digests.stop();
+      return calling
+        .then(function() { return digests.publish(); })
+        .then(function(result) { if(result) published(result); });
+    }
+  });
+}
+
+var measurement = "actions";
+var schema = [
+  {
+    measurement: measurement,
+    fields: {
+      id: FieldType.STRING,
+      tweetid: FieldType.STRING,
+      user: FieldType.STRING,
+      target: FieldType.STRING,
+      relevance: FieldType.FLOAT,
+      count: FieldType.INTEGER,
+      message: FieldType.STRING
+    },
+    tags: ["action", "status", "rule"]
+  }
+];
+
+// an audit record as a point of the actions measurement
+function toPoint(record) {
+  return {
+    measurement: measurement,
+    tags: _.pick(record, ["action", "status", "rule"]),
+    fields: _.omitBy(_.pick(record, Object.keys(schema[0].fields)), _.isNil),
+    timestamp: record.time
+  };
+}
+
+module.exports = {
+  actions: actions,
+  statuses: statuses,
+  parseRule: parseRule,
+  createCurator: createCurator,
+  createTwitterActions: require("./twitter"),
+  schema: schema,
+  toPoint: toPoint
+};
@@ -0,0 +1,68 @@
+// Twitter API v2 actions on behalf of the account: retweet, like and add an author to a list
+// https://developer.twitter.com/en/docs/twitter-api/tweets/retweets/api-reference/post-users-id-retweets
+//
+// Signed with the account's OAuth 1.0a user keys (twitter.consumerKey ... accessTokenSecret); apiUrl
+// can point at a local mock server (see mock/twitterStream.js) to run the actions offline. Failed
+// calls reject with statusCode, and rateLimitReset (ms) when Twitter says when to come back.
+var request = require("request");
+var _ = require("lodash");
+
+var defaults = {
+  apiUrl: "https://api.twitter.com",
+  consumerKey: null,
+  consumerSecret: null,
+  accessTokenKey: null,
+  accessTokenSecret: null,
+  timeout: 10000
+};
+
+function createTwitterActions(options) {
+  var opts = _.defaults({}, options, defaults);
+  var apiUrl = opts.apiUrl.replace(/\/+$/, "");
+  var oauth = {
+    consumer_key: opts.consumerKey,
+    consumer_secret: opts.consumerSecret,
+    token: opts.accessTokenKey,
+    token_secret: opts.accessTokenSecret
+  };
+  var me = null; // the account's user id, asked once
+
+  function api(method, path, body) {
+    return new Promise(function(resolve, reject) {
+      request({ method: method, url: apiUrl + path, oauth: oauth, json: body || true, timeout: opts.timeout },
+        function(error, res, resBody) {
+          if(error) return reject(error);
+          if(res.statusCode >= 300) {
+            var err = new Error(`Twitter API ${method} ${path} failed with HTTP ${res.statusCode}: ${JSON.stringify(resBody)}`);
+            err.statusCode = res.statusCode;
+            if(res.headers["x-rate-limit-reset"]) err.rateLimitReset = Number(res.headers["x-rate-limit-reset"]) * 1000;
+            return reject(err);
+          }
+          resolve(resBody);
+        });
+    });
+  }
+
+  function userId() {
+    if(me) return Promise.resolve(me);
+    return api("GET", "/2/users/me").then(function(body) { return (me = body.data.id); });
+  }
+
+  return {
+    name: "twitter",
+
+    retweet: function(tweetId) {
+      return userId().then(function(id) { return api("POST", `/2/users/${id}/retweets`, { tweet_id: tweetId }); });
+    },
+
+    like: function(tweetId) {
+      return userId().then(function(id) { return api("POST", `/2/users/${id}/likes`, { tweet_id: tweetId }); });
+    },
+
+    addToList: function(listId, authorId) {
+      return api("POST", `/2/lists/${encodeURIComponent(listId)}/members`, { user_id: authorId });
+    }
+  };
+}
+
+module.exports = createTwitterActions;
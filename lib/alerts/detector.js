@@ -0,0 +1,163 @@
+/*
+Trend and spike detection over rolling per-keyword windows
+
+  var detector = createDetector({ interval: 60000, threshold: 3 });
+  detector.observe({ keywords: ["api"], volatile: false, sentiment: 0.4, time: new Date() })   => [alert ...]
+
+Time is cut into windows of interval ms. Each keyword counts its tweets, volatile tweets and
+sentiment in the current window; when the window closes its volume and average sentiment go into an
+exponentially weighted moving average (alpha) with its variance, the keyword's baseline. Quiet
+windows count as zero, so a keyword that went silent has a low baseline to spike from.
+
+Judged while the window fills, so an alert comes as soon as the threshold is crossed:
+
+  spike       at least minCount tweets, threshold standard deviations over the baseline (once warmup
+              windows have made one); the deviation is at least that of a Poisson count, so a
+              keyword that is usually near zero needs more than a handful of tweets
+  volatile    at least volatileMin volatile tweets, making up volatileRatio of the window
+  sentiment   at least minCount tweets whose average sentiment is sentimentShift away from the
+              baseline's (0 turns it off)
+
+Each kind fires once per keyword and window. Alerts are
+{ kind, keyword, time, window, count, baseline, zscore, volatile, sentiment, message }.
+*/
+var _ = require("lodash");
+
+var defaults = {
+  interval: 60000, // ms per window
+  alpha: 0.1, // weight of the latest window in the baseline
+  warmup: 10, // windows before spikes and sentiment shifts are judged
+  threshold: 3, // z-score of a spike
+  minCount: 10,
+  volatileRatio: 0.3,
+  volatileMin: 5,
+  sentimentShift: 0.5,
+  maxGap: 100 // quiet windows folded into the baseline at most; after that it's as good as zero
+};
+
+var kinds = ["spike", "volatile", "sentiment"];
+
+function round(value, digits) {
+  var factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function createDetector(options) {
+  var opts = _.defaults({}, options, defaults);
+  var keywords = new Map(); // keyword => state
+
+  function windowOf(time) {
+    return Math.floor(time / opts.interval) * opts.interval;
+  }
+
+  function stateOf(keyword, start) {
+    var state = keywords.get(keyword);
+    if(!state) {
+      state = { start: start, count: 0, volatile: 0, sentimentSum: 0, sentimentCount: 0, fired: {},
+        mean: 0, variance: 0, windows: 0, sentimentMean: 0, sentimentWindows: 0 };
+      keywords.set(keyword, state);
+    }
+    return state;
+  }
+
+  // fold the current window, and the quiet ones after it, into the baseline
+  function close(state, start) {
+    var gap = Math.min((start - state.start) / opts.interval, opts.maxGap);
+    for(var i=0; i<gap; i++) {
+      var value = (i === 0 ? state.count : 0);
+      if(state.windows === 0) {
+        state.mean = value;
+      } else {
+        var diff = value - state.mean;
+        state.mean += opts.alpha * diff;
+        state.variance = (1 - opts.alpha) * (state.variance + opts.alpha * diff * diff);
+      }
+      state.windows++;
+    }
+    if(state.sentimentCount > 0) {
+      var average = state.sentimentSum / state.sentimentCount;
+      state.sentimentMean = (state.sentimentWindows === 0 ? average : state.sentimentMean + opts.alpha * (average - state.sentimentMean));
+      state.sentimentWindows++;
+    }
+    Object.assign(state, { start: start, count: 0, volatile: 0, sentimentSum: 0, sentimentCount: 0, fired: {} });
+  }
+
+  function zscore(state) {
+    var deviation = Math.max(Math.sqrt(state.variance), Math.sqrt(Math.max(state.mean, 1)));
+    return (state.count - state.mean) / deviation;
+  }
+
+  function alert(kind, keyword, state, time, message) {
+    state.fired[kind] = true;
+    return {
+      kind: kind,
+      keyword: keyword,
+      time: new Date(time),
+      window: opts.interval / 1000,
+      count: state.count,
+      baseline: round(state.mean, 3),
+      zscore: round(zscore(state), 3),
+      volatile: state.volatile,
+      sentiment: (state.sentimentCount > 0 ? round(state.sentimentSum / state.sentimentCount, 3) : null),
+      message: message
+    };
+  }
+
+  function judge(keyword, state, time) {
+    var alerts = [];
+    var seconds = opts.interval / 1000;
+    var z = zscore(state);
+    if(!state.fired.spike && state.windows >= opts.warmup && state.count >= opts.minCount && z >= opts.threshold) {
+      alerts.push(alert("spike", keyword, state, time,
+        `Spike in "${keyword}": ${state.count} tweets in ${seconds}s, usually ${round(state.mean, 1)} (z ${round(z, 1)})`));
+    }
+    if(!state.fired.volatile && state.volatile >= opts.volatileMin && state.volatile / state.count >= opts.volatileRatio) {
+      alerts.push(alert("volatile", keyword, state, time,
+        `Volatile tweets surging in "${keyword}": ${state.volatile} of ${state.count} in ${seconds}s`));
+    }
+    if(!state.fired.sentiment && opts.sentimentShift > 0 && state.sentimentWindows >= Math.max(opts.warmup, 1) && state.sentimentCount >= opts.minCount) {
+      var average = state.sentimentSum / state.sentimentCount;
+      if(Math.abs(average - state.sentimentMean) >= opts.sentimentShift) {
+        alerts.push(alert("sentiment", keyword, state, time,
+          `Sentiment about "${keyword}" ${average < state.sentimentMean ? "dropped" : "rose"} to ${round(average, 2)} in ${seconds}s, usually ${round(state.sentimentMean, 2)}`));
+      }
+    }
+    return alerts;
+  }
+
+  return {
+    // count a relevant tweet for each of its keywords; tweets older than a keyword's window count
+    // into it, so the order they arrive in doesn't matter much. Returns the alerts raised
+    observe: function(tweet) {
+      var time = (tweet.time ? new Date(tweet.time).getTime() : Date.now());
+      var start = windowOf(time);
+      var alerts = [];
+      _.uniq(tweet.keywords).forEach(function(keyword) {
+        var state = stateOf(keyword, start);
+        if(start > state.start) close(state, start);
+        state.count++;
+        if(tweet.volatile) state.volatile++;
+        if(typeof tweet.sentiment === "number") {
+          state.sentimentSum += tweet.sentiment;
+          state.sentimentCount++;
+        }
+        alerts = alerts.concat(judge(keyword, state, time));
+      });
+      return alerts;
+    },
+
+    // the keywords busiest in their current window, with their baselines
+    trending: function(limit) {
+      var rows = [];
+      keywords.forEach(function(state, keyword) {
+        rows.push({ keyword: keyword, count: state.count, baseline: round(state.mean, 3), zscore: round(zscore(state), 3), volatile: state.volatile, windows: state.windows });
+      });
+      return _.orderBy(rows, ["zscore", "count"], ["desc", "desc"]).slice(0, limit || 20);
+    }
+  };
+}
+
+module.exports = {
+  kinds: kinds,
+  createDetector: createDetector
+};
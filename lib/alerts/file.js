@@ -0,0 +1,23 @@
+// append alerts to a file as JSON lines, e.g. --alerts.notify file:alerts.jsonl
+var fs = require("fs");
+
+function createFileNotifier(options) {
+  var filePath = options.target;
+  if(!filePath) {
+    throw new Error("The file notifier requires a path, e.g. file:alerts.jsonl");
+  }
+
+  return {
+    name: "file",
+
+    notify: function(alert) {
+      return new Promise(function(resolve, reject) {
+        fs.appendFile(filePath, JSON.stringify(alert) + "\n", function(err) {
+          if(err) reject(err); else resolve();
+        });
+      });
+    }
+  };
+}
+
+module.exports = createFileNotifier;
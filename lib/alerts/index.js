@@ -0,0 +1,192 @@
+/*
+Alerts: keyword spikes, surges of volatile tweets and sentiment shifts, sent to notifiers
+
+  var alerter = createAlerter({ detector: { interval: 60000 }, cooldown: 900000, notify: ["slack:https://hooks.slack.com/..."] });
+  alerter.observe({ keywords: ["api"], volatile: false, sentiment: 0.4, time: new Date() })   => [alert ...]
+
+The detector (detector.js) raises alerts from the relevant tweets it is shown. An alert of the same
+kind for the same keyword within cooldown ms of the last one is suppressed; the others are returned
+(for the alerts measurement, toPoint) and sent to every notifier. Notifying happens in the
+background and a failing notifier is logged, never in the way of the tweets.
+
+Notifiers are configured with specs "type:target#option=value", like keyword sources:
+
+  webhook:https://ops.example.com/hooks/twitter   the alert as JSON (a bare URL means the same)
+  slack:https://hooks.slack.com/services/...      Slack-compatible incoming webhook message
+  smtp:ops@example.com,oncall@example.com         email through options.smtp { url, from }
+  file:alerts.jsonl                               JSON lines appended to a file
+
+Options for every type: cooldown (seconds, on top of the global one, e.g. to mail less often than
+Slack hears) and kinds (those the notifier cares about, e.g. kinds=spike,volatile).
+
+A notifier is { name, notify(alert) => Promise, close() (optional) }.
+*/
+var querystring = require("querystring");
+var _ = require("lodash");
+var FieldType = require("influx").FieldType;
+var detector = require("./detector");
+var log = require("../logger").child({ module: "alerts" });
+
+const types = {
+  webhook: require("./webhook"),
+  slack: require("./slack"),
+  smtp: require("./smtp"),
+  file: require("./file")
+};
+
+var defaults = {
+  detector: {},
+  cooldown: 900000, // ms between alerts of a kind for a keyword
+  notify: [],
+  smtp: {},
+  timeout: 10000, // ms per webhook request
+  history: 50 // recent alerts kept for the admin route
+};
+
+// split "type:target#option=value"; a bare URL is shorthand for the webhook notifier
+function parseNotifierSpec(spec) {
+  if(typeof spec === "object") return spec;
+  spec = String(spec).trim();
+  var parsed = {};
+  var hash = spec.indexOf("#");
+  if(hash > -1) {
+    Object.assign(parsed, querystring.parse(spec.substring(hash + 1)));
+    spec = spec.substring(0, hash);
+  }
+  if(/^https?:\/\//.test(spec)) {
+    parsed.type = "webhook";
+    parsed.target = spec;
+  } else {
+    var i = spec.indexOf(":");
+    parsed.type = (i < 0 ? spec : spec.substring(0, i));
+    parsed.target = (i < 0 ? undefined : spec.substring(i + 1));
+  }
+  if(parsed.cooldown !== undefined) parsed.cooldown = Number(parsed.cooldown);
+  if(parsed.kinds !== undefined) parsed.kinds = String(parsed.kinds).split(",");
+  return parsed;
+}
+
+function createNotifier(spec, options) {
+  var parsed = parseNotifierSpec(spec);
+  var factory = types[parsed.type];
+  if(!factory) {
+    throw new Error("Unknown notifier type '" + parsed.type + "'. Valid types are: " + Object.keys(types).join(", "));
+  }
+  if(parsed.cooldown !== undefined && !(parsed.cooldown >= 0)) {
+    throw new Error("Notifier cooldown must be a number of seconds (" + spec + ")");
+  }
+  var unknownKinds = _.difference(parsed.kinds || [], detector.kinds);
+  if(unknownKinds.length > 0) {
+    throw new Error("Unknown alert kinds " + unknownKinds.join(", ") + " (" + spec + "). Valid kinds are: " + detector.kinds.join(", "));
+  }
+  var notifier = factory(Object.assign({}, options, parsed));
+  notifier.cooldown = (parsed.cooldown || 0) * 1000;
+  notifier.kinds = parsed.kinds || detector.kinds;
+  return notifier;
+}
+
+function createAlerter(options) {
+  var opts = _.defaults({}, options, defaults);
+  var trends = detector.createDetector(opts.detector);
+  var notifiers = opts.notify.map(function(spec) { return createNotifier(spec, { smtp: opts.smtp, timeout: opts.timeout }); });
+  var last = {}; // "notifier kind keyword" => time of the last alert let through, "" for the global cooldown
+  var recent = [];
+  var pending = new Set();
+  var stats = { raised: {}, suppressed: 0, notified: {}, failed: {} };
+
+  // true, and remembered, when the cooldown since the last such alert is over
+  function due(scope, alert, cooldown) {
+    var key = scope + " " + alert.kind + " " + alert.keyword;
+    var time = alert.time.getTime();
+    if(last[key] !== undefined && time - last[key] < cooldown) return false;
+    last[key] = time;
+    return true;
+  }
+
+  function send(notifier, alert) {
+    var sending = Promise.resolve()
+      .then(function() { return notifier.notify(alert); })
+      .then(function() {
+        stats.notified[notifier.name] = (stats.notified[notifier.name] || 0) + 1;
+      }, function(err) {
+        stats.failed[notifier.name] = (stats.failed[notifier.name] || 0) + 1;
+        log.warn("Alert notification failed", { notifier: notifier.name, kind: alert.kind, keyword: alert.keyword }, err);
+      })
+      .then(function() { pending.delete(sending); });
+    pending.add(sending);
+  }
+
+  return {
+    observe: function(tweet) {
+      return trends.observe(tweet).filter(function(alert) {
+        if(!due("", alert, opts.cooldown)) {
+          stats.suppressed++;
+          return false;
+        }
+        stats.raised[alert.kind] = (stats.raised[alert.kind] || 0) + 1;
+        log.info(alert.message, _.omit(alert, ["message"]));
+        recent.unshift(alert);
+        recent.length = Math.min(recent.length, opts.history);
+        notifiers.forEach(function(notifier, i) {
+          if(notifier.kinds.indexOf(alert.kind) < 0) return;
+          if(notifier.cooldown > 0 && !due(String(i), alert, notifier.cooldown)) return;
+          send(notifier, alert);
+        });
+        return true;
+      });
+    },
+
+    recent: function() { return recent.slice(); },
+    trending: trends.trending,
+    stats: function() { return stats; },
+
+    // wait for notifications under way, e.g. before exiting
+    flush: function() {
+      return Promise.all(Array.from(pending));
+    },
+
+    close: function() {
+      return this.flush().then(function() {
+        return Promise.all(notifiers.map(function(notifier) { return (notifier.close ? notifier.close() : null); }));
+      });
+    }
+  };
+}
+
+var measurement = "alerts";
+var schema = [
+  {
+    measurement: measurement,
+    fields: {
+      message: FieldType.STRING,
+      count: FieldType.INTEGER,
+      baseline: FieldType.FLOAT,
+      zscore: FieldType.FLOAT,
+      volatile: FieldType.INTEGER,
+      sentiment: FieldType.FLOAT
+    },
+    tags: ["kind", "keyword"]
+  }
+];
+
+// an alert as a point of the alerts measurement, e.g. for annotations on a dashboard
+function toPoint(alert) {
+  var fields = _.pick(alert, ["message", "count", "baseline", "zscore", "volatile"]);
+  if(alert.sentiment !== null) fields.sentiment = alert.sentiment;
+  return {
+    measurement: measurement,
+    tags: { kind: alert.kind, keyword: alert.keyword },
+    fields: fields,
+    timestamp: alert.time
+  };
+}
+
+module.exports = {
+  types: types,
+  kinds: detector.kinds,
+  parseNotifierSpec: parseNotifierSpec,
+  createNotifier: createNotifier,
+  createAlerter: createAlerter,
+  schema: schema,
+  toPoint: toPoint
+};
@@ -0,0 +1,30 @@
+// post alerts to a Slack incoming webhook, or anything taking the same JSON (Mattermost, Rocket.Chat ...)
+var http = require("../http");
+
+var colors = { spike: "warning", volatile: "danger", sentiment: "#439FE0" };
+
+function createSlackNotifier(options) {
+  var url = options.target;
+  if(!url || !/^https?:\/\//.test(url)) {
+    throw new Error("The slack notifier requires an incoming webhook URL, e.g. slack:https://hooks.slack.com/services/...");
+  }
+
+  return {
+    name: "slack",
+
+    notify: function(alert) {
+      var fields = [
+        { title: "Keyword", value: alert.keyword, short: true },
+        { title: "Tweets", value: alert.count + " in " + alert.window + "s (usually " + alert.baseline + ")", short: true }
+      ];
+      if(alert.volatile > 0) fields.push({ title: "Volatile", value: String(alert.volatile), short: true });
+      if(alert.sentiment !== null) fields.push({ title: "Sentiment", value: String(alert.sentiment), short: true });
+      return http.postJson(url, {
+        text: alert.message,
+        attachments: [{ color: colors[alert.kind], fields: fields, ts: Math.floor(alert.time.getTime() / 1000) }]
+      }, { timeout: options.timeout });
+    }
+  };
+}
+
+module.exports = createSlackNotifier;
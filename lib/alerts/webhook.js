@@ -0,0 +1,19 @@
+// POST every alert as JSON to a URL, e.g. --alerts.notify webhook:https://ops.example.com/hooks/twitter
+var http = require("../http");
+
+function createWebhookNotifier(options) {
+  var url = options.target;
+  if(!url || !/^https?:\/\//.test(url)) {
+    throw new Error("The webhook notifier requires a URL, e.g. webhook:https://ops.example.com/hooks/twitter");
+  }
+
+  return {
+    name: "webhook",
+
+    notify: function(alert) {
+      return http.postJson(url, alert, { timeout: options.timeout });
+    }
+  };
+}
+
+module.exports = createWebhookNotifier;
@@ -0,0 +1,177 @@
+/*
+Historical backfill: page through Twitter v2 recent search (or a user timeline) for a time window
+and hand each tweet to the normal processing pipeline, so restarts don't leave gaps in dashboards
+
+  node collectTweets.js backfill --since 2017-08-28T00:00:00Z [--until ...] [--timeline paulsbruce]
+
+Search queries are built from the current keywords the same way stream rules are. Progress (the
+pagination token of each query) is checkpointed to a file after every page the consumer is done
+with, so an interrupted backfill started again with the same window resumes where it left off
+without losing the page that was in flight. Tweets whose ids are already
+stored are skipped; ids are compared as strings (the sinks read the post_id string field, not the
+integer tweetid, which JSON would round to double precision).
+*/
+var fs = require("fs");
+var _ = require("lodash");
+var twitterV2 = require("./sources/twitterV2");
+var log = require("./logger").child({ module: "backfill" });
+
+var defaults = {
+  checkpointFile: "backfill.checkpoint.json",
+  pageSize: 100,
+  maxQueryLength: 512,
+  maxSearchAge: 7 * 24 * 3600 * 1000 // recent search only reaches back seven days
+};
+
+function sleep(ms) {
+  return new Promise(function(resolve) { setTimeout(resolve, ms); });
+}
+
+function loadCheckpoint(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch(err) {
+    return null;
+  }
+}
+
+// write to a temporary file first so a crash mid-write can't corrupt the checkpoint
+function saveCheckpoint(filePath, checkpoint) {
+  fs.writeFileSync(filePath + ".tmp", JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(filePath + ".tmp", filePath);
+}
+
+function createBackfill(options) {
+  var opts = _.defaults({}, options, defaults);
+  var api = twitterV2.createApiClient(opts);
+  var until = opts.until || new Date(Date.now() - 30000); // search end_time must be a little in the past
+  var since = opts.since;
+  if(!since || isNaN(since.getTime())) {
+    throw new Error("Backfill needs a start of window, e.g. --since 2017-08-28T00:00:00Z");
+  }
+  if(!opts.timeline && Date.now() - since.getTime() > opts.maxSearchAge) {
+    since = new Date(Date.now() - opts.maxSearchAge + 60000);
+    log.warn("Recent search only covers the last 7 days; backfilling from a later start", { since: since.toISOString() });
+  }
+
+  // the window as asked for; defaults and clamping depend on the clock, so a resumed run keeps
+  // the window its checkpoint was started with
+  var requested = {
+    since: opts.since.toISOString(),
+    until: opts.until ? opts.until.toISOString() : null,
+    timeline: opts.timeline || null
+  };
+
+  var checkpoint = loadCheckpoint(opts.checkpointFile);
+  if(checkpoint && !_.isEqual(checkpoint.requested, requested)) {
+    log.warn("Checkpoint is for a different window; starting over", { file: opts.checkpointFile });
+    checkpoint = null;
+  }
+  checkpoint = checkpoint || {
+    requested: requested,
+    window: { since: since.toISOString(), until: until.toISOString() },
+    jobs: {}
+  };
+  var window = checkpoint.window;
+
+  // retry the same page through rate limiting and server errors
+  function fetchPage(path, qs) {
+    var backoff = 0;
+    return (function attempt() {
+      return api("GET", path, null, qs).catch(function(err) {
+        if(err.statusCode === 429) {
+          var wait = err.rateLimitReset ? Math.max(err.rateLimitReset - Date.now(), 1000) : 60000;
+          log.warn("Backfill rate limited", { waitSeconds: Math.round(wait / 1000) });
+          return sleep(wait).then(attempt);
+        }
+        if(!err.statusCode || err.statusCode >= 500) {
+          backoff = twitterV2.nextBackoff(backoff, "http");
+          if(backoff > 60000) throw err;
+          log.warn("Backfill request failed, retrying", { backoffMs: backoff }, err);
+          return sleep(backoff).then(attempt);
+        }
+        throw err;
+      });
+    })();
+  }
+
+  function jobsFor(keywords) {
+    if(opts.timeline) return Promise.resolve(["timeline:" + opts.timeline]);
+    var built = twitterV2.buildRules(keywords, { maxRules: Infinity, maxRuleLength: opts.maxQueryLength });
+    if(built.skipped.length > 0) log.warn("Keywords too long for a search query", { skipped: built.skipped });
+    return Promise.resolve(built.rules.map(function(rule) { return rule.value; }));
+  }
+
+  function endpointFor(job) {
+    if(job.indexOf("timeline:") !== 0) {
+      return Promise.resolve({ path: "/2/tweets/search/recent", qs: { query: job }, tokenParam: "next_token" });
+    }
+    var username = job.substring("timeline:".length);
+    return fetchPage("/2/users/by/username/" + encodeURIComponent(username)).then(function(res) {
+      if(!res.data) throw new Error(`No Twitter user named '${username}'.`);
+      return { path: "/2/users/" + res.data.id + "/tweets", qs: {}, tokenParam: "pagination_token" };
+    });
+  }
+
+  // run the backfill; onEvent receives v1.1-shaped events and may return a Promise to hold back the
+  // next page until the consumer has room; knownIds are ids already stored. onPage, if given, is
+  // waited for after each page and before its checkpoint: a Promise resolving once the page's events
+  // are written
+  function run(keywords, onEvent, knownIds, onPage) {
+    var stored = new Set((knownIds || []).map(String));
+    var seen = new Set();
+    var summary = { fetched: 0, skipped: 0, processed: 0 };
+
+    return jobsFor(keywords).then(function(jobs) {
+      return jobs.reduce(function(chain, job) {
+        return chain.then(function() {
+          var state = checkpoint.jobs[job] = checkpoint.jobs[job] || { nextToken: null, done: false, pages: 0 };
+          if(state.done) return log.debug("Backfill job already complete", { job: job });
+          if(state.nextToken) log.info("Resuming backfill job", { job: job, page: state.pages + 1 });
+
+          return endpointFor(job).then(function(endpoint) {
+            return (function page() {
+              var qs = Object.assign({}, twitterV2.tweetParams, endpoint.qs, {
+                start_time: window.since,
+                end_time: window.until,
+                max_results: opts.pageSize
+              });
+              if(opts.sinceId) qs.since_id = opts.sinceId;
+              if(opts.untilId) qs.until_id = opts.untilId;
+              if(state.nextToken) qs[endpoint.tokenParam] = state.nextToken;
+
+              return fetchPage(endpoint.path, qs).then(function(res) {
+                var held = (res.data || []).map(function(tweet) {
+                  summary.fetched++;
+                  if(seen.has(tweet.id) || stored.has(tweet.id)) return summary.skipped++;
+                  seen.add(tweet.id);
+                  summary.processed++;
+                  return onEvent(twitterV2.toV1Event({ data: tweet, includes: res.includes }));
+                });
+                return Promise.all(held)
+                  .then(function() { if(onPage) return onPage(); })
+                  .then(function() { return res; });
+              }).then(function(res) {
+                state.pages++;
+                state.nextToken = (res.meta && res.meta.next_token) || null;
+                state.done = !state.nextToken;
+                saveCheckpoint(opts.checkpointFile, checkpoint);
+                if(!state.done) return page();
+              });
+            })();
+          });
+        });
+      }, Promise.resolve());
+    }).then(function() {
+      return summary;
+    });
+  }
+
+  return {
+    since: new Date(window.since),
+    until: new Date(window.until),
+    run: run
+  };
+}
+
+module.exports = createBackfill;
@@ -0,0 +1,660 @@
+/*
+Configuration: one YAML or JSON file, environment variables and command line flags
+
+  node collectTweets.js --config influxtwitter.yml [flags]
+  node collectTweets.js validate --config influxtwitter.yml
+  node collectTweets.js --config influxtwitter.yml --print-config
+
+Later layers win: built-in defaults, the config file (--config, or INFLUXTWITTER_CONFIG), environment
+variables, then command line flags. Any setting can be given in the environment as
+INFLUXTWITTER_<PATH>, path segments joined by "__" (INFLUXTWITTER_INFLUX__HOST=db), or on the
+command line with dots (--influx.host db); the older flags (--sink, --keywordSources ...) still work
+and are mapped onto the settings below.
+
+Secrets (settings marked secret) are best referenced as { env: NAME } or { file: path } rather than
+written into the file; the defaults read the usual environment variables.
+
+See config.example.yml for every setting.
+*/
+var fs = require("fs");
+var path = require("path");
+var _ = require("lodash");
+var yaml = require("js-yaml");
+var keywordProviders = require("./keywords/providers");
+var alerts = require("./alerts");
+var provisioning = require("./provisioning");
+var curation = require("./actions");
+var digest = require("./actions/digest");
+
+function secret(envName) {
+  return { type: "string", secret: true, default: (envName ? { env: envName } : null) };
+}
+
+// setting descriptors: type (string, number, boolean, array, object), default, enum, min, items
+var schema = {
+  debug: { type: "boolean", default: false, description: "shorthand for log.level debug" },
+  log: {
+    type: "object",
+    properties: {
+      level: { type: "string", enum: ["trace", "debug", "info", "warn", "error", "fatal", "silent"], default: "info" },
+      format: { type: "string", enum: ["json", "pretty"], default: "json" }
+    }
+  },
+  test: { type: "boolean", default: false, description: "replay recorded sessions instead of reading the sources" },
+  cache: { type: "boolean", default: false, description: "record stream sessions for replay" },
+  sources: { type: "array", items: { type: "string", enum: ["twitter", "mastodon", "bluesky", "webhook"] }, default: ["twitter"] },
+  schema: { type: "string", default: null, description: "schema mapping file" },
+  sinks: { type: "array", items: { type: "string" }, default: ["influxdb"] },
+  influx: {
+    type: "object",
+    properties: {
+      host: { type: "string", default: "localhost" },
+      database: { type: "string", default: "twitter" },
+      url: { type: "string", default: { env: "INFLUX_URL" }, fromEnv: true },
+      org: { type: "string", default: { env: "INFLUX_ORG" }, fromEnv: true },
+      bucket: { type: "string", default: { env: "INFLUX_BUCKET" }, fromEnv: true },
+      token: secret("INFLUX_TOKEN")
+    }
+  },
+  buffer: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean", default: true },
+      batchSize: { type: "number", default: 500, min: 1 },
+      flushInterval: { type: "number", default: 1000, min: 1 },
+      spillDir: { type: "string", default: "spill/" }
+    }
+  },
+  pipeline: {
+    type: "object",
+    properties: {
+      maxPending: { type: "number", default: 1000, min: 1, description: "events in flight before the source is held back" },
+      concurrency: {
+        type: "object",
+        properties: {
+          ingest: { type: "number", default: 1, min: 1 },
+          moderate: { type: "number", default: 1, min: 1 },
+          match: { type: "number", default: 1, min: 1 },
+          enrich: { type: "number", default: 4, min: 1 },
+          score: { type: "number", default: 4, min: 1 },
+          sink: { type: "number", default: 2, min: 1 },
+          act: { type: "number", default: 1, min: 1 }
+        }
+      },
+      timeout: {
+        type: "object",
+        description: "seconds per event and stage, 0 waits forever",
+        properties: {
+          ingest: { type: "number", default: 5, min: 0 },
+          moderate: { type: "number", default: 5, min: 0 },
+          match: { type: "number", default: 5, min: 0 },
+          enrich: { type: "number", default: 10, min: 0 },
+          score: { type: "number", default: 30, min: 0 },
+          sink: { type: "number", default: 30, min: 0 },
+          act: { type: "number", default: 5, min: 0 }
+        }
+      },
+      drainTimeout: { type: "number", default: 30, min: 0, description: "seconds to finish in-flight events on shutdown" },
+      deadLetter: { type: "string", default: "deadletter.jsonl", description: "events that failed a stage, one JSON line each" }
+    }
+  },
+  events: {
+    type: "object",
+    properties: {
+      dedupeSize: { type: "number", default: 50000, min: 1, description: "tweet ids remembered to skip duplicates" },
+      dedupeWindow: { type: "number", default: 86400, min: 1, description: "seconds a tweet id counts as seen" },
+      tracked: { type: "number", default: 10000, min: 1, description: "written tweets remembered for retweet counts and deletes" }
+    }
+  },
+  moderation: {
+    type: "object",
+    properties: {
+      lists: { type: "string", default: "moderation.yml", description: "block/allow word lists per language" },
+      builtin: { type: "boolean", default: true, description: "also check profanity-util's word list" },
+      policy: { type: "string", enum: ["flag", "drop", "redact"], default: "flag", description: "what happens at or above the threshold" },
+      threshold: { type: "number", default: 0.5, min: 0, description: "severity (0..1) the policy applies from" },
+      maxHashtags: { type: "number", default: 5, min: 0 },
+      maxMentions: { type: "number", default: 5, min: 0 },
+      duplicateAccounts: { type: "number", default: 3, min: 2, description: "accounts sending the same text that make it spam" },
+      duplicateWindow: { type: "number", default: 3600, min: 1, description: "seconds the same text is compared across accounts" }
+    }
+  },
+  twitter: {
+    type: "object",
+    properties: {
+      consumerKey: secret("TWITTER_CONSUMER_KEY"),
+      consumerSecret: secret("TWITTER_CONSUMER_SECRET"),
+      accessTokenKey: secret("TWITTER_ACCESS_TOKEN_KEY"),
+      accessTokenSecret: secret("TWITTER_ACCESS_TOKEN_SECRET"),
+      bearerToken: secret("TWITTER_BEARER_TOKEN"),
+      apiUrl: { type: "string", default: "https://api.twitter.com" },
+      maxRules: { type: "number", default: 5, min: 1 },
+      maxRuleLength: { type: "number", default: 512, min: 1 }
+    }
+  },
+  mastodon: {
+    type: "object",
+    properties: {
+      instance: { type: "string", default: "https://mastodon.social" },
+      accessToken: secret("MASTODON_ACCESS_TOKEN"),
+      stream: { type: "string", default: "public", description: "public, public:local, public:remote or hashtag:<tag>" }
+    }
+  },
+  bluesky: {
+    type: "object",
+    properties: {
+      url: { type: "string", default: "wss://jetstream2.us-east.bsky.network/subscribe", description: "Jetstream endpoint" }
+    }
+  },
+  webhook: {
+    type: "object",
+    properties: {
+      path: { type: "string", default: "/ingest", description: "route on the HTTP server (server.*)" },
+      token: secret("WEBHOOK_TOKEN"),
+      maxBytes: { type: "number", default: 1048576, min: 1 }
+    }
+  },
+  provision: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean", default: true, description: "set up retention, rollups and migrations before writing; false only creates the database" },
+      retention: {
+        type: "object",
+        properties: {
+          raw: { type: "string", default: "INF", description: "how long points are kept in a new database, e.g. 7d, 52w or INF" },
+          rollups: { type: "string", default: "365d", description: "how long rollups are kept" }
+        }
+      },
+      rollupInterval: { type: "string", default: "1h" },
+      rollupMeasurement: { type: "string", default: "tweets_hourly" },
+      retries: { type: "number", default: 5, min: 0, description: "attempts per step while the database is unreachable" }
+    }
+  },
+  keywords: {
+    type: "object",
+    properties: {
+      sources: { type: "array", items: { type: "source" }, default: [] },
+      defaults: { type: "array", items: { type: "string" }, default: "API,API design,API documentation,testing".split(",") },
+      exclude: { type: "array", items: { type: "string" }, default: [] },
+      refresh: { type: "number", default: 60, min: 0, description: "minutes; 0 turns it off" },
+      cache: { type: "string", default: "keywords.cache.json" }
+    }
+  },
+  relevance: {
+    type: "object",
+    properties: {
+      formula: { type: "string", enum: ["weighted", "count", "exponential"], default: "weighted" },
+      saturation: { type: "number", default: 3, min: 0.001 },
+      hashtagWeight: { type: "number", default: 1, min: 0, description: "weight factor for keywords found only as hashtags, 0 to ignore hashtags" }
+    }
+  },
+  links: {
+    type: "object",
+    properties: {
+      expand: { type: "boolean", default: true, description: "follow links on URL shorteners to where they lead" },
+      timeout: { type: "number", default: 3, min: 0.1, description: "seconds per link" },
+      maxRedirects: { type: "number", default: 5, min: 1 },
+      cacheSize: { type: "number", default: 10000, min: 1, description: "expanded links remembered" },
+      shorteners: { type: "array", items: { type: "string" }, default: "bit.ly,buff.ly,ow.ly,dlvr.it,tinyurl.com,goo.gl,is.gd,j.mp,lnkd.in,trib.al,ift.tt,fb.me,t.co,amzn.to,tiny.cc,rebrand.ly".split(",") },
+      stub: { type: "string", default: null, description: "JSON file of { short: expanded } used instead of requests" }
+    }
+  },
+  sentiment: {
+    type: "object",
+    properties: {
+      provider: { type: "string", default: "lexicon", description: "lexicon, rosette, http:<url> or none" },
+      lexicon: { type: "string", default: null },
+      rosetteKey: secret("ROSETTE_API_KEY")
+    }
+  },
+  alerts: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean", default: true, description: "watch keywords for spikes and write the alerts measurement" },
+      interval: { type: "number", default: 60, min: 1, description: "seconds per window" },
+      alpha: { type: "number", default: 0.1, min: 0.001, description: "weight of the latest window in the baseline" },
+      warmup: { type: "number", default: 10, min: 0, description: "windows before spikes are judged" },
+      threshold: { type: "number", default: 3, min: 0, description: "z-score of a spike" },
+      minCount: { type: "number", default: 10, min: 1, description: "tweets in a window for a spike or sentiment shift" },
+      volatileRatio: { type: "number", default: 0.3, min: 0 },
+      volatileMin: { type: "number", default: 5, min: 1 },
+      sentimentShift: { type: "number", default: 0.5, min: 0, description: "0 turns sentiment alerts off" },
+      cooldown: { type: "number", default: 900, min: 0, description: "seconds between alerts of a kind for a keyword" },
+      notify: { type: "array", items: { type: "string" }, default: [], description: "notifier specs, e.g. slack:<url>, smtp:<address>" },
+      smtp: {
+        type: "object",
+        properties: {
+          url: secret("ALERT_SMTP_URL"),
+          from: { type: "string", default: "influxtwitter@localhost" }
+        }
+      }
+    }
+  },
+  actions: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean", default: false, description: "run the curation rules over relevant tweets" },
+      dryRun: { type: "boolean", default: true, description: "log and audit the actions instead of taking them" },
+      rules: { type: "array", items: { type: "string" }, default: [], description: "rule specs, e.g. retweet#minRelevance=0.9, digest#minRelevance=0.6" },
+      approve: { type: "boolean", default: false, description: "queue every action for approval (/admin/actions)" },
+      limitWindow: { type: "number", default: 3600, min: 1, description: "seconds the limits count over" },
+      limits: {
+        type: "object",
+        description: "actions per limitWindow, 0 for no limit",
+        properties: {
+          retweet: { type: "number", default: 10, min: 0 },
+          like: { type: "number", default: 30, min: 0 },
+          list: { type: "number", default: 20, min: 0 }
+        }
+      },
+      queueSize: { type: "number", default: 100, min: 1, description: "actions waiting for approval, older ones expire" },
+      queueTtl: { type: "number", default: 86400, min: 1, description: "seconds an action waits for approval" },
+      digest: {
+        type: "object",
+        properties: {
+          interval: { type: "number", default: 86400, min: 1, description: "seconds between digests" },
+          dir: { type: "string", default: "digests/" },
+          formats: { type: "array", items: { type: "string" }, default: ["markdown", "html"] },
+          max: { type: "number", default: 25, min: 1, description: "tweets per digest" },
+          title: { type: "string", default: "Twitter digest" }
+        }
+      }
+    }
+  },
+  reputation: {
+    type: "object",
+    properties: {
+      file: { type: "string", default: "reputation.json", description: "saved author graph, loaded at startup" },
+      lists: { type: "string", default: "authors.txt", description: "allow/deny list file" },
+      refresh: { type: "number", default: 60, min: 0, description: "minutes between timeline refreshes, 0 never" },
+      halfLife: { type: "number", default: 30, min: 0.01, description: "days for an interaction's weight to halve" },
+      boost: { type: "number", default: 0.5, min: 0, description: "relevance boost for a fully reputable author" }
+    }
+  },
+  friendlies: {
+    type: "object",
+    properties: {
+      defaults: { type: "array", items: { type: "string" }, default: [], description: "authors allowed on top of reputation.lists" }
+    }
+  },
+  replay: {
+    type: "object",
+    properties: {
+      dir: { type: "string", default: "tweets/" },
+      file: { type: "string", default: null },
+      speed: { type: ["string", "number"], default: "max", description: "1 = recorded pace, N = N times faster, max = no delays" }
+    }
+  },
+  backfill: {
+    type: "object",
+    properties: {
+      since: { type: "string", default: null },
+      until: { type: "string", default: null },
+      timeline: { type: "string", default: null },
+      sinceId: { type: "string", default: null },
+      untilId: { type: "string", default: null },
+      checkpoint: { type: "string", default: "backfill.checkpoint.json" }
+    }
+  },
+  server: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean", default: true },
+      host: { type: "string", default: "127.0.0.1" },
+      port: { type: "number", default: 9464, min: 0 },
+      adminToken: secret("COLLECTOR_ADMIN_TOKEN")
+    }
+  },
+  metrics: {
+    type: "object",
+    properties: {
+      write: { type: "boolean", default: true, description: "write self-metrics to the sinks" },
+      interval: { type: "number", default: 60, min: 1, description: "seconds" },
+      measurement: { type: "string", default: "_collector" }
+    }
+  },
+  assert: { type: "string", default: null, description: "expected points file checked after a replay" },
+  updateAssert: { type: "boolean", default: false }
+};
+
+// older command line flags => setting paths
+var flags = {
+  debug: "debug",
+  logLevel: "log.level",
+  logFormat: "log.format",
+  test: "test",
+  cache: "cache",
+  schema: "schema",
+  sink: "sinks",
+  source: "sources",
+  buffer: "buffer.enabled",
+  batchSize: "buffer.batchSize",
+  flushInterval: "buffer.flushInterval",
+  spillDir: "buffer.spillDir",
+  twitterApiUrl: "twitter.apiUrl",
+  maxStreamRules: "twitter.maxRules",
+  maxStreamRuleLength: "twitter.maxRuleLength",
+  keywordCache: "keywords.cache",
+  keywordRefresh: "keywords.refresh",
+  exclude: "keywords.exclude",
+  relevanceSaturation: "relevance.saturation",
+  sentimentLexicon: "sentiment.lexicon",
+  replay: "replay.file",
+  speed: "replay.speed",
+  since: "backfill.since",
+  until: "backfill.until",
+  timeline: "backfill.timeline",
+  sinceId: "backfill.sinceId",
+  untilId: "backfill.untilId",
+  checkpoint: "backfill.checkpoint",
+  assert: "assert",
+  updateAssert: "updateAssert"
+};
+
+function descriptorAt(settingPath) {
+  var parts = settingPath.split(".");
+  var node = { type: "object", properties: schema };
+  for(var i=0; i<parts.length; i++) {
+    if(!node.properties || !node.properties[parts[i]]) return null;
+    node = node.properties[parts[i]];
+  }
+  return node;
+}
+
+function defaultsOf(properties) {
+  return _.mapValues(properties, function(descriptor) {
+    return descriptor.type === "object" ? defaultsOf(descriptor.properties) : _.cloneDeep(descriptor.default);
+  });
+}
+
+// strings from the environment or the command line, read as the setting's type
+function coerce(value, descriptor) {
+  if(typeof value !== "string" || !descriptor) return value;
+  switch(descriptor.type) {
+    case "number": return (value.trim() !== "" && !isNaN(Number(value)) ? Number(value) : value);
+    case "boolean": return (value === "true" ? true : (value === "false" ? false : value));
+    case "array": return value.split(",").map(function(it) { return it.trim(); }).filter(function(it) { return it.length > 0; });
+    default: return value;
+  }
+}
+
+function readFile(filePath) {
+  var text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch(err) {
+    throw new Error(`Could not read config file '${filePath}'. ${err.message}`);
+  }
+  try {
+    var parsed = (/\.json$/i.test(filePath) ? JSON.parse(text) : yaml.safeLoad(text));
+    return parsed || {};
+  } catch(err) {
+    throw new Error(`Config file '${filePath}' is not valid ${/\.json$/i.test(filePath) ? "JSON" : "YAML"}. ${err.message}`);
+  }
+}
+
+function fromEnv(env) {
+  var config = {};
+  Object.keys(env).forEach(function(name) {
+    if(name.indexOf("INFLUXTWITTER_") !== 0 || name === "INFLUXTWITTER_CONFIG") return;
+    var settingPath = name.substring("INFLUXTWITTER_".length).split("__").map(_.camelCase).join(".");
+    var descriptor = descriptorAt(settingPath);
+    _.set(config, settingPath, coerce(env[name], descriptor));
+  });
+  return config;
+}
+
+function fromArgv(argv) {
+  var config = {};
+  Object.keys(flags).forEach(function(flag) {
+    if(argv[flag] === undefined) return;
+    var value = argv[flag];
+    if(flag === "sink" || flag === "source") value = [].concat(value);
+    if(flag === "exclude") value = [].concat(value).join(",");
+    _.set(config, flags[flag], coerce(value, descriptorAt(flags[flag])));
+  });
+
+  // --sentiment rosette, --no-sentiment; --sentiment.provider also works
+  if(typeof argv.sentiment === "string" || argv.sentiment === false) {
+    _.set(config, "sentiment.provider", argv.sentiment === false ? "none" : argv.sentiment);
+  }
+  if(typeof argv.relevance === "string") _.set(config, "relevance.formula", argv.relevance);
+
+  // keyword sources add to those in the file: --keywordSource type:target (repeatable), and the
+  // older --keywordSourceWordPressBasePath and --keywordSources "jsonPath;url;jsonPath;url"
+  var sources = [].concat(argv.keywordSource || []);
+  if(argv.keywordSourceWordPressBasePath) sources.push("wordpress:" + argv.keywordSourceWordPressBasePath);
+  if(argv.keywordSources) {
+    var kwdsrc = String(argv.keywordSources).split(";");
+    if(kwdsrc.length % 2 != 0) {
+      throw new Error("Invalid keywordSources parameter. Must be a semicolon delimited list of jsonPath;url values.");
+    }
+    for(var i=0; i<kwdsrc.length; i+=2) sources.push({ type: "json", target: kwdsrc[i+1], path: kwdsrc[i] });
+  }
+  if(sources.length > 0) config.addKeywordSources = sources;
+
+  // dotted settings, e.g. --influx.host db or --pipeline.concurrency.score 8
+  function coerceSection(value, properties) {
+    return _.mapValues(value, function(setting, name) {
+      var descriptor = properties[name];
+      if(descriptor && descriptor.type === "object" && _.isPlainObject(setting)) return coerceSection(setting, descriptor.properties);
+      return coerce(setting, descriptor);
+    });
+  }
+  Object.keys(schema).forEach(function(key) {
+    if(schema[key].type === "object" && _.isPlainObject(argv[key])) {
+      config[key] = _.merge(config[key] || {}, coerceSection(argv[key], schema[key].properties));
+    }
+  });
+  return config;
+}
+
+// settings from over replace those in base, section by section; lists and { env } / { file }
+// references are replaced whole
+function layer(base, over, properties) {
+  properties = properties || schema;
+  Object.keys(over).forEach(function(key) {
+    var descriptor = properties[key];
+    if(descriptor && descriptor.type === "object" && _.isPlainObject(over[key])) {
+      layer(base[key], over[key], descriptor.properties);
+    } else {
+      base[key] = _.cloneDeep(over[key]);
+    }
+  });
+  return base;
+}
+
+function validateValue(value, descriptor, settingPath, errors) {
+  if(value === null || value === undefined) return;
+  if((descriptor.secret || descriptor.fromEnv) && _.isPlainObject(value)) {
+    if(typeof value.env !== "string" && typeof value.file !== "string") {
+      errors.push(`${settingPath} must be a string, { env: NAME } or { file: path }`);
+    }
+    return;
+  }
+  switch(descriptor.type) {
+    case "object":
+      if(!_.isPlainObject(value)) return errors.push(`${settingPath} must be a mapping of settings`);
+      Object.keys(value).forEach(function(key) {
+        var child = descriptor.properties[key];
+        if(!child) return errors.push(`unknown setting ${settingPath ? settingPath + "." : ""}${key}`);
+        validateValue(value[key], child, (settingPath ? settingPath + "." : "") + key, errors);
+      });
+      return;
+    case "array":
+      if(!Array.isArray(value)) return errors.push(`${settingPath} must be a list`);
+      value.forEach(function(item, i) { validateValue(item, descriptor.items, `${settingPath}[${i}]`, errors); });
+      return;
+    case "source":
+      return validateSource(value, settingPath, errors);
+    case "number":
+      if(typeof value !== "number" || isNaN(value)) return errors.push(`${settingPath} must be a number (got ${JSON.stringify(value)})`);
+      if(descriptor.min !== undefined && value < descriptor.min) errors.push(`${settingPath} must be at least ${descriptor.min} (got ${value})`);
+      return;
+    default:
+      if([].concat(descriptor.type).indexOf(typeof value) < 0) {
+        return errors.push(`${settingPath} must be a ${[].concat(descriptor.type).join(" or ")} (got ${JSON.stringify(value)})`);
+      }
+      if(descriptor.enum && descriptor.enum.indexOf(value) < 0) {
+        errors.push(`${settingPath} must be one of ${descriptor.enum.join(", ")} (got ${JSON.stringify(value)})`);
+      }
+  }
+}
+
+// a keyword source: "type:target#options" or { type, target, weight, max, path, parts }
+function validateSource(value, settingPath, errors) {
+  var source;
+  try {
+    source = keywordProviders.parseSourceSpec(value);
+  } catch(err) {
+    return errors.push(`${settingPath}: ${err.message}`);
+  }
+  if(!keywordProviders.providers[source.type]) {
+    errors.push(`${settingPath} has unknown type '${source.type}'; valid types are ${Object.keys(keywordProviders.providers).join(", ")}`);
+  }
+  if(typeof source.target !== "string" || source.target.length < 1) errors.push(`${settingPath} needs a target`);
+  ["weight", "max"].forEach(function(option) {
+    if(source[option] !== undefined && !(Number(source[option]) > 0)) errors.push(`${settingPath} ${option} must be a positive number`);
+  });
+}
+
+// { env: NAME } / { file: path } => the value; a missing variable is simply unset
+function resolveSecret(value, settingPath, env) {
+  if(!_.isPlainObject(value)) return value;
+  if(value.env) return (env[value.env] !== undefined && env[value.env] !== "" ? env[value.env] : null);
+  try {
+    return fs.readFileSync(path.resolve(value.file), "utf8").trim();
+  } catch(err) {
+    throw new Error(`Could not read ${settingPath} from '${value.file}'. ${err.message}`);
+  }
+}
+
+function resolveSecrets(config, properties, prefix, env) {
+  Object.keys(properties).forEach(function(key) {
+    var descriptor = properties[key];
+    if(descriptor.type === "object") return resolveSecrets(config[key], descriptor.properties, prefix + key + ".", env);
+    if(descriptor.secret || descriptor.fromEnv) config[key] = resolveSecret(config[key], prefix + key, env);
+  });
+}
+
+// checks that need the whole config; command is the one run (backfill, provision ...), if any
+function checkRequirements(config, errors, command) {
+  var reading = !config.test && command !== "provision"; // provisioning reads no sources
+  if(reading && config.sources.indexOf("twitter") > -1) {
+    if(!config.twitter.bearerToken) errors.push("twitter.bearerToken is required by the twitter source (set TWITTER_BEARER_TOKEN)");
+  }
+  if(reading && config.sources.indexOf("webhook") > -1 && !config.server.enabled) {
+    errors.push("the webhook source needs the HTTP server (server.enabled)");
+  }
+  if(config.webhook.path.indexOf("/admin/") === 0 || config.webhook.path[0] !== "/") {
+    errors.push(`webhook.path must start with / and not be an /admin route (got ${JSON.stringify(config.webhook.path)})`);
+  }
+  // durations; the rollup interval can't be forever
+  [["provision.retention.raw", false], ["provision.retention.rollups", false], ["provision.rollupInterval", true]].forEach(function(setting) {
+    var value = _.get(config, setting[0]);
+    try {
+      var seconds = provisioning.durationSeconds(value);
+      if(setting[1] && !(seconds > 0)) errors.push(`${setting[0]} must be a duration above zero, e.g. 1h (got ${JSON.stringify(value)})`);
+    } catch(err) {
+      errors.push(`${setting[0]}: ${err.message}`);
+    }
+  });
+  config.alerts.notify.forEach(function(spec) {
+    try {
+      alerts.createNotifier(spec, { smtp: config.alerts.smtp });
+    } catch(err) {
+      errors.push(`alerts.notify: ${err.message}`);
+    }
+  });
+  var rules = [];
+  config.actions.rules.forEach(function(spec) {
+    try {
+      rules.push(curation.parseRule(spec));
+    } catch(err) {
+      errors.push(`actions.rules: ${err.message}`);
+    }
+  });
+  _.difference(config.actions.digest.formats, digest.formats).forEach(function(format) {
+    errors.push(`actions.digest.formats has unknown format '${format}'; valid formats are ${digest.formats.join(", ")}`);
+  });
+  // retweets, likes and list changes are signed with the account's user keys
+  var acting = config.actions.enabled && !config.actions.dryRun && !config.test &&
+    rules.some(function(rule) { return rule.action !== "digest"; });
+  if(acting) {
+    ["consumerKey", "consumerSecret", "accessTokenKey", "accessTokenSecret"].forEach(function(key) {
+      if(!config.twitter[key]) errors.push(`twitter.${key} is required to take actions on Twitter, unless actions.dryRun (set ${schema.twitter.properties[key].default.env})`);
+    });
+  }
+  ["since", "until"].forEach(function(key) {
+    var value = config.backfill[key];
+    if(value && isNaN(new Date(value).getTime())) errors.push(`backfill.${key} must be a date, e.g. 2017-08-28T00:00:00Z (got ${JSON.stringify(value)})`);
+  });
+}
+
+// build the configuration from argv (yargs) and the environment; the error thrown for an invalid
+// configuration lists every problem in err.errors
+function load(argv, env) {
+  env = env || process.env;
+  var configFile = argv.config || env.INFLUXTWITTER_CONFIG;
+  var fileConfig = (configFile ? readFile(configFile) : {});
+  var cli = fromArgv(argv);
+  var addSources = cli.addKeywordSources || [];
+  delete cli.addKeywordSources;
+
+  var errors = [];
+  validateValue(fileConfig, { type: "object", properties: schema }, "", errors);
+  var envConfig = fromEnv(env);
+  validateValue(envConfig, { type: "object", properties: schema }, "", errors);
+  validateValue(cli, { type: "object", properties: schema }, "", errors);
+  if(errors.length > 0) throw configError(errors, configFile);
+
+  var config = layer(layer(layer(defaultsOf(schema), fileConfig), envConfig), cli);
+  config.keywords.sources = config.keywords.sources.concat(addSources);
+  validateValue(config.keywords.sources, schema.keywords.properties.sources, "keywords.sources", errors);
+  resolveSecrets(config, schema, "", env);
+  checkRequirements(config, errors, (argv._ || [])[0]);
+  if(errors.length > 0) throw configError(errors, configFile);
+
+  config.keywords.sources = config.keywords.sources.map(keywordProviders.parseSourceSpec);
+  config.file = configFile || null;
+  return config;
+}
+
+function configError(errors, configFile) {
+  var err = new Error("Invalid configuration" + (configFile ? " (" + configFile + ")" : "") + ":\n  " + errors.join("\n  "));
+  err.errors = errors;
+  return err;
+}
+
+// the effective configuration as YAML, secrets masked
+function print(config) {
+  var masked = _.cloneDeep(_.omit(config, "file"));
+  (function mask(value, properties) {
+    Object.keys(properties).forEach(function(key) {
+      var descriptor = properties[key];
+      if(descriptor.type === "object") return mask(value[key], descriptor.properties);
+      if(descriptor.secret && value[key]) value[key] = "********";
+    });
+  })(masked, schema);
+  return yaml.safeDump(masked, { skipInvalid: true });
+}
+
+// the resolved secret values, so the logger can mask them wherever they turn up
+function secrets(config) {
+  var values = [];
+  (function collect(value, properties) {
+    Object.keys(properties).forEach(function(key) {
+      var descriptor = properties[key];
+      if(descriptor.type === "object") return collect(value[key], descriptor.properties);
+      if(descriptor.secret && value[key]) values.push(value[key]);
+    });
+  })(config, schema);
+  return values;
+}
+
+module.exports = {
+  schema: schema,
+  load: load,
+  print: print,
+  secrets: secrets
+};
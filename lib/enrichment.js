@@ -0,0 +1,197 @@
+/*
+Tweet entities: links, media, hashtags and mentions, with shortened links expanded
+
+  var entities = extract(event)   { links: [{ url, domain, kind }], hashtags: [...], mentions: [...] }
+  var expander = createLinkExpander({ timeout: 3000, shorteners: ["bit.ly"] });
+  expander.expandAll(entities.links).then(function(links) { ... })
+
+Entities come from the tweet's entities (extended_tweet's for long tweets), or are picked out of
+the text when the event has none. Links are the expanded_url Twitter gives; those on a known URL
+shortener are followed further (HEAD requests, redirects) and the result is cached, so a link
+shared a thousand times is resolved once. A link that can't be resolved in time stays as it is.
+With a stub ({ short: long } or a JSON file of it) no request is made at all, for replays and
+offline runs.
+
+Domains are normalized: lowercase, without "www.", "m." or "mobile." and with a few aliases folded
+(youtu.be is youtube.com), so the same site always counts as one.
+
+Relevant tweets write a tweet_links point per domain (tags domain, kind link or the media type) and
+a tweet_hashtags point per hashtag, both tagged with the tweet's keywords and platform.
+*/
+var fs = require("fs");
+var _ = require("lodash");
+var FieldType = require("influx").FieldType;
+var http = require("./http");
+var log = require("./logger").child({ module: "enrichment" });
+
+var defaults = {
+  expand: true,
+  timeout: 3000, // ms per link
+  maxRedirects: 5,
+  cacheSize: 10000,
+  shorteners: "bit.ly,buff.ly,ow.ly,dlvr.it,tinyurl.com,goo.gl,is.gd,j.mp,lnkd.in,trib.al,ift.tt,fb.me,t.co,amzn.to,tiny.cc,rebrand.ly".split(","),
+  stub: null, // { short: long } or a JSON file of it; replaces requests
+  resolve: http.resolveUrl // function(url, { timeout, maxRedirects }) => Promise of the final URL
+};
+
+var aliases = {
+  "youtu.be": "youtube.com",
+  "x.com": "twitter.com",
+  "mobile.twitter.com": "twitter.com",
+  "redd.it": "reddit.com"
+};
+
+// "https://www.Example.com/a" => "example.com"; null for anything that isn't a URL
+function normalizeDomain(url) {
+  var host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch(err) {
+    return null;
+  }
+  host = host.replace(/\.$/, "").replace(/^(www\d*|m|mobile)\./, "");
+  return aliases[host] || host;
+}
+
+function entitiesOf(event) {
+  var extended = event.extended_tweet || {};
+  return {
+    text: String(extended.full_text || event.text || ""),
+    entities: extended.entities || event.entities || null,
+    media: _.get(extended, "extended_entities.media") || _.get(event, "extended_entities.media") || _.get(extended, "entities.media") || _.get(event, "entities.media") || []
+  };
+}
+
+function extract(event) {
+  var found = entitiesOf(event);
+  var ents = found.entities;
+  var urls = (ents && ents.urls ? ents.urls.map(function(it) { return it.expanded_url || it.url; }) : (found.text.match(/https?:\/\/\S+/g) || []));
+  var media = found.media.map(function(it) { return { url: it.media_url_https || it.media_url, kind: it.type || "photo" }; });
+  var hashtags = (ents && ents.hashtags ? ents.hashtags.map(function(it) { return it.text; }) : (found.text.match(/#[\p{L}\p{N}_]+/gu) || []).map(function(it) { return it.substring(1); }));
+  var mentions = (ents && ents.user_mentions ? ents.user_mentions.map(function(it) { return it.screen_name; }) : (found.text.match(/@\w+/g) || []).map(function(it) { return it.substring(1); }));
+
+  return {
+    links: urls.filter(Boolean).map(function(url) { return { url: url, domain: normalizeDomain(url), kind: "link" }; })
+      .concat(media.filter(function(it) { return it.url; }).map(function(it) { return { url: it.url, domain: normalizeDomain(it.url), kind: it.kind }; }))
+      .filter(function(link) { return link.domain; }),
+    hashtags: _.uniq(hashtags.map(function(tag) { return tag.toLowerCase(); })),
+    mentions: _.uniq(mentions.map(function(name) { return name.toLowerCase(); }))
+  };
+}
+
+function readStub(stub) {
+  if(!stub || _.isPlainObject(stub)) return stub || null;
+  try {
+    return JSON.parse(fs.readFileSync(stub, "utf8"));
+  } catch(err) {
+    throw new Error(`Could not read link stub '${stub}'. ${err.message}`);
+  }
+}
+
+function createLinkExpander(options) {
+  var opts = _.defaults({}, options, defaults);
+  var stub = readStub(opts.stub);
+  var cache = new Map(); // url => Promise of the expanded url, least recently used first
+  var stats = { expanded: 0, failed: 0, cached: 0 };
+
+  function shortened(link) {
+    return link.kind === "link" && opts.shorteners.indexOf(link.domain) > -1;
+  }
+
+  function lookup(url) {
+    if(stub) return Promise.resolve(stub[url] || url);
+    return opts.resolve(url, { timeout: opts.timeout, maxRedirects: opts.maxRedirects })
+      .then(function(expanded) {
+        stats.expanded++;
+        return expanded;
+      }, function(err) {
+        stats.failed++;
+        log.debug("Could not expand link", { url: url, error: err.message });
+        return url;
+      });
+  }
+
+  function expand(url) {
+    var known = cache.get(url);
+    if(known) {
+      stats.cached++;
+      cache.delete(url);
+      cache.set(url, known);
+      return known;
+    }
+    var expanded = lookup(url);
+    cache.set(url, expanded);
+    if(cache.size > opts.cacheSize) cache.delete(cache.keys().next().value);
+    return expanded;
+  }
+
+  return {
+    expand: expand,
+
+    // the links with shortened ones followed to where they lead; never rejects
+    expandAll: function(links) {
+      if(!opts.expand) return Promise.resolve(links);
+      return Promise.all(links.map(function(link) {
+        if(!shortened(link)) return link;
+        return expand(link.url).then(function(url) {
+          var domain = normalizeDomain(url);
+          return (url !== link.url && domain ? { url: url, domain: domain, kind: link.kind, short: link.url } : link);
+        });
+      }));
+    },
+
+    stats: function() { return Object.assign({ size: cache.size }, stats); }
+  };
+}
+
+var linksMeasure = "tweet_links";
+var hashtagsMeasure = "tweet_hashtags";
+var schema = [
+  {
+    measurement: linksMeasure,
+    fields: {
+      tweetid: FieldType.STRING,
+      url: FieldType.STRING,
+      links: FieldType.INTEGER,
+      expanded: FieldType.BOOLEAN
+    },
+    tags: ["domain", "kind", "keywords", "platform"]
+  },
+  {
+    measurement: hashtagsMeasure,
+    fields: {
+      tweetid: FieldType.STRING
+    },
+    tags: ["hashtag", "keywords", "platform"]
+  }
+];
+
+// one tweet_links point per domain and kind (a tweet linking a site twice counts links: 2), one
+// tweet_hashtags point per hashtag; timestamp is the tweet's or undefined (the time of writing)
+function toPoints(entities, tweet) {
+  var keywords = Object.assign({ platform: tweet.platform }, tweet.keywords.length > 0 ? { keywords: tweet.keywords.join(",") } : {});
+  var links = _.map(_.groupBy(entities.links, function(link) { return link.kind + " " + link.domain; }), function(group) {
+    return {
+      measurement: linksMeasure,
+      tags: Object.assign({ domain: group[0].domain, kind: group[0].kind }, keywords),
+      fields: { tweetid: tweet.id, url: group[0].url, links: group.length, expanded: !!group[0].short },
+      timestamp: tweet.timestamp
+    };
+  });
+  return links.concat(entities.hashtags.map(function(hashtag) {
+    return {
+      measurement: hashtagsMeasure,
+      tags: Object.assign({ hashtag: hashtag }, keywords),
+      fields: { tweetid: tweet.id },
+      timestamp: tweet.timestamp
+    };
+  }));
+}
+
+module.exports = {
+  normalizeDomain: normalizeDomain,
+  extract: extract,
+  createLinkExpander: createLinkExpander,
+  schema: schema,
+  toPoints: toPoints
+};
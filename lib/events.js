@@ -0,0 +1,174 @@
+/*
+Stream event classification, de-duplication and retweet/delete bookkeeping
+
+classify(event) names what a stream message is:
+
+  original   a tweet of its own
+  retweet    retweeted_status is set; retweets are checked first, a retweet of a quote is a retweet
+  quote      quoted_status / is_quote_status
+  reply      in_reply_to_status_id_str
+  delete     { delete: { status: { id_str, user_id_str } } }, the tweet (or post, with platform) was removed
+  limit      { limit: { track } }, Twitter held back that many matching tweets
+  notice     other stream messages (warning, disconnect, scrub_geo, status_withheld ...)
+  unknown    anything else
+
+createDeduper keeps the ids seen within a time window, the oldest forgotten first once it is full.
+
+createTracker remembers where the tweets the collector wrote went (measurement, tags and timestamp of
+their points), so retweets are counted onto the original's series (field "retweets") instead of
+being written again, and deletes mark the original's points (field "deleted"). The first retweet of
+a tweet the collector hasn't seen stands in for the original.
+*/
+var _ = require("lodash");
+var FieldType = require("influx").FieldType;
+
+// a tweet, as opposed to the other messages a stream sends
+const isTweet = _.conforms({ id_str: _.isString, text: _.isString, user: _.isObject });
+
+var notices = ["warning", "disconnect", "scrub_geo", "status_withheld", "user_withheld", "friends", "event", "control"];
+
+var kinds = ["original", "retweet", "quote", "reply", "delete", "limit", "notice", "unknown"];
+
+function classify(event) {
+  if(!event || typeof event !== "object") return { kind: "unknown" };
+  if(event.delete && event.delete.status) {
+    return {
+      kind: "delete",
+      platform: event.platform || "twitter",
+      id: String(event.delete.status.id_str || event.delete.status.id),
+      userId: event.delete.status.user_id_str,
+      timestamp: (event.delete.timestamp_ms ? new Date(Number(event.delete.timestamp_ms)) : new Date())
+    };
+  }
+  if(event.limit) return { kind: "limit", missed: Number(event.limit.track) || 0 };
+  var notice = _.find(notices, function(key) { return event[key] !== undefined; });
+  if(notice && !isTweet(event)) return { kind: "notice", type: notice };
+  if(!isTweet(event)) return { kind: "unknown" };
+
+  if(event.retweeted_status && event.retweeted_status.id_str) {
+    return { kind: "retweet", id: event.id_str, originalId: event.retweeted_status.id_str };
+  }
+  if(event.quoted_status || event.is_quote_status) {
+    return { kind: "quote", id: event.id_str, originalId: (event.quoted_status ? event.quoted_status.id_str : event.quoted_status_id_str) };
+  }
+  if(event.in_reply_to_status_id_str) {
+    return { kind: "reply", id: event.id_str, originalId: event.in_reply_to_status_id_str };
+  }
+  return { kind: "original", id: event.id_str };
+}
+
+// an LRU of ids with a time window; seen(id) is true for an id already seen within the window
+function createDeduper(options) {
+  var opts = _.defaults({}, options, { maxSize: 50000, window: 24 * 3600 * 1000 });
+  var ids = new Map(); // id => time first seen, oldest first
+
+  return {
+    seen: function(id) {
+      var now = Date.now();
+      var at = ids.get(id);
+      if(at !== undefined && now - at < opts.window) return true;
+      ids.delete(id);
+      ids.set(id, now);
+      if(ids.size > opts.maxSize) ids.delete(ids.keys().next().value);
+      return false;
+    },
+
+    get size() { return ids.size; }
+  };
+}
+
+// the measurement, tags and timestamp of points, to write more fields into the same series
+function seriesOf(points) {
+  return points.map(function(point) { return _.pick(point, ["measurement", "tags", "timestamp"]); });
+}
+
+function onto(series, fields) {
+  return series.map(function(it) { return Object.assign({}, it, { fields: fields }); });
+}
+
+function createTracker(options) {
+  var opts = _.defaults({}, options, { maxSize: 10000 });
+  var tweets = new Map(); // tweet id => { series, retweets, deleted }, least recently used first
+
+  function remember(id, entry) {
+    tweets.delete(id);
+    tweets.set(id, entry);
+    if(tweets.size > opts.maxSize) tweets.delete(tweets.keys().next().value);
+    return entry;
+  }
+
+  return {
+    // a tweet on its way to the sinks; retweets of it are counted from now on
+    track: function(id) {
+      return remember(id, tweets.get(id) || { series: null, retweets: 0, deleted: false });
+    },
+
+    // its points were written; returns points for retweets and deletes that arrived in the meantime
+    written: function(id, points) {
+      var entry = tweets.get(id);
+      if(!entry) return [];
+      entry.series = seriesOf(points);
+      var more = [];
+      if(entry.retweets > 0) more = more.concat(onto(entry.series, { retweets: entry.retweets }));
+      if(entry.deleted) more = more.concat(onto(entry.series, { deleted: true }));
+      return more;
+    },
+
+    // null when the original isn't tracked; otherwise the points updating its retweet count
+    // (none yet while the original is still on its way)
+    retweet: function(originalId) {
+      var entry = tweets.get(originalId);
+      if(!entry) return null;
+      remember(originalId, entry);
+      entry.retweets++;
+      return entry.series ? onto(entry.series, { retweets: entry.retweets }) : [];
+    },
+
+    // null when the tweet isn't tracked; otherwise the points marking it deleted
+    deleted: function(id) {
+      var entry = tweets.get(id);
+      if(!entry) return null;
+      entry.deleted = true;
+      return entry.series ? onto(entry.series, { deleted: true }) : [];
+    },
+
+    get size() { return tweets.size; }
+  };
+}
+
+// fields written onto a tweet's points after the fact
+var trackedFields = {
+  retweets: FieldType.INTEGER,
+  deleted: FieldType.BOOLEAN
+};
+
+// every delete notice, tracked tweet or not, so dashboards can leave removed tweets out
+var tombstoneMeasure = "tweet_deletes";
+var tombstoneSchema = [
+  {
+    measurement: tombstoneMeasure,
+    fields: {
+      tweetid: FieldType.STRING,
+      user_id: FieldType.STRING,
+      tracked: FieldType.BOOLEAN
+    },
+    tags: ["platform"]
+  }
+];
+
+function toTombstonePoint(classified, tracked) {
+  var fields = { tweetid: classified.id, tracked: !!tracked };
+  if(classified.userId) fields.user_id = classified.userId;
+  return { measurement: tombstoneMeasure, tags: { platform: classified.platform }, fields: fields, timestamp: classified.timestamp };
+}
+
+module.exports = {
+  kinds: kinds,
+  isTweet: isTweet,
+  classify: classify,
+  createDeduper: createDeduper,
+  createTracker: createTracker,
+  trackedFields: trackedFields,
+  tombstoneSchema: tombstoneSchema,
+  toTombstonePoint: toTombstonePoint
+};
@@ -0,0 +1,67 @@
+// simple helpers for HTTP requests, shared by keyword sources, enrichment and alert notifiers
+var request = require("request");
+
+var userAgent = {"User-Agent": "Mozilla/5.0 (Windows NT 6.1; WOW64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/47.0.2526.111 Safari/537.36"};
+
+// resolves the whole response ({ statusCode, headers, body }) for callers that need headers, e.g. paging
+function getResponse(url, options) {
+  return new Promise(function (resolve, reject) {
+    request(Object.assign({
+       url: url,
+       headers: userAgent
+    }, options),
+    function (error, res, body) {
+      if (!error && res.statusCode == 200) {
+        resolve(res);
+      } else {
+        reject(error || new Error("HTTP " + res.statusCode + " from " + url));
+      }
+    });
+  });
+}
+
+function get(url, options) {
+  return getResponse(url, options).then(function(res) { return res.body; });
+}
+
+// follow a link's redirects with HEAD requests and resolve the URL it ends up at, whatever the final status
+function resolveUrl(url, options) {
+  return new Promise(function (resolve, reject) {
+    request(Object.assign({
+       method: "HEAD",
+       url: url,
+       headers: userAgent,
+       followAllRedirects: true
+    }, options),
+    function (error, res) {
+      if (error) return reject(error);
+      resolve(res.request.uri.href);
+    });
+  });
+}
+
+// POST a JSON body; resolves the response body, rejects on errors and non-2xx answers
+function postJson(url, body, options) {
+  return new Promise(function (resolve, reject) {
+    request(Object.assign({
+       method: "POST",
+       url: url,
+       json: body
+    }, options),
+    function (error, res, resBody) {
+      if (error) return reject(error);
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        return reject(new Error("HTTP " + res.statusCode + " from " + url + ": " + JSON.stringify(resBody)));
+      }
+      resolve(resBody);
+    });
+  });
+}
+
+module.exports = {
+  userAgent: userAgent,
+  get: get,
+  getResponse: getResponse,
+  resolveUrl: resolveUrl,
+  postJson: postJson
+};
@@ -0,0 +1,238 @@
+/*
+Keyword sources and scheduled refresh
+
+The manager pulls keywords from the configured sources (see providers/index.js for the types),
+keeps the last good list on disk and emits "change" with the new list, per-keyword weights and a
+diff whenever it changes:
+
+  manager.on("change", function(change) { change.keywords, change.weights, change.added, change.removed, change.from })
+
+A source that fails contributes its last good keywords; a refresh where every source fails keeps the
+current list. At startup the order is: sources, then the last good list on disk, then the static
+defaults; with no sources configured it's just the static defaults.
+*/
+var EventEmitter = require("events");
+var fs = require("fs");
+var _ = require("lodash");
+var FieldType = require("influx").FieldType;
+var providers = require("./providers");
+var log = require("../logger").child({ module: "keywords" });
+
+var defaults = {
+  sources: [], // source specs, "type:target#weight=2&max=50" or already parsed objects
+  defaults: "API,API design,API documentation,testing".split(","),
+  cacheFile: "keywords.cache.json", // last good list; null disables
+  isConnected: true,
+  maxLength: 60, // Twitter track/filter requirements
+  maxCount: 400
+};
+
+// measurement for keyword list changes, usable as annotations on dashboards
+var annotationMeasure = "keyword_changes";
+var annotationSchema = [
+  {
+    measurement: annotationMeasure,
+    fields: {
+      title: FieldType.STRING,
+      added: FieldType.STRING,
+      removed: FieldType.STRING,
+      added_count: FieldType.INTEGER,
+      removed_count: FieldType.INTEGER,
+      total: FieldType.INTEGER
+    },
+    tags: ["from"]
+  }
+];
+
+// merge { keyword, weight } entries: case-insensitive duplicates keep the highest weight; entries that
+// don't meet Twitter track/filter requirements are dropped, the lowest weights first when over the limit
+function normalize(entries, opts) {
+  var byKey = {};
+  var order = [];
+  entries.forEach(function(entry) {
+    if(typeof entry === "string") entry = { keyword: entry, weight: 1 };
+    var keyword = String(entry.keyword).trim();
+    if(keyword.length < 1 || keyword.length > opts.maxLength) return;
+    var key = keyword.toLowerCase();
+    if(!byKey[key]) {
+      byKey[key] = { keyword: keyword, weight: entry.weight };
+      order.push(key);
+    } else {
+      byKey[key].weight = Math.max(byKey[key].weight, entry.weight);
+    }
+  });
+  var kept = _.sortBy(order, function(key) { return -byKey[key].weight; }).slice(0, opts.maxCount); // stable
+  var keywords = kept.map(function(key) { return byKey[key].keyword; }).sort();
+  var weights = {};
+  kept.forEach(function(key) { weights[byKey[key].keyword] = byKey[key].weight; });
+  return { keywords: keywords, weights: weights };
+}
+
+function diff(previous, next) {
+  return {
+    added: _.difference(next, previous),
+    removed: _.difference(previous, next)
+  };
+}
+
+function createKeywordManager(options) {
+  var opts = _.defaults({}, options, defaults);
+  var manager = new EventEmitter();
+  var timer = null;
+  var refreshing = null;
+
+  var sources = opts.sources.map(providers.parseSourceSpec);
+
+  // { updated, keywords, weights, sources: { sourceKey: entries } }
+  function readCache() {
+    if(!opts.cacheFile || !fs.existsSync(opts.cacheFile)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(opts.cacheFile, "utf8"));
+    } catch(err) {
+      log.warn("Ignoring unreadable keyword cache", { file: opts.cacheFile }, err);
+      return null;
+    }
+  }
+
+  function writeCache(list, bySource) {
+    if(!opts.cacheFile) return;
+    try {
+      fs.writeFileSync(opts.cacheFile, JSON.stringify({
+        updated: new Date().toISOString(),
+        keywords: list.keywords,
+        weights: list.weights,
+        sources: bySource
+      }, null, 2));
+    } catch(err) {
+      log.error("Could not save keyword cache", { file: opts.cacheFile }, err);
+    }
+  }
+
+  // the previous list survives restarts through the cache, so startup diffs are meaningful too
+  var cache = readCache() || {};
+  manager.keywords = null;
+  manager.weights = {};
+  manager.previous = cache.keywords || null;
+
+  // every source in parallel; a failing source falls back to its last good entries
+  function fromSources() {
+    if(!opts.isConnected || sources.length < 1) return Promise.resolve(null);
+    log.debug("Extracting keywords from sources", { sources: sources.length });
+    var lastGood = (readCache() || {}).sources || {};
+    var bySource = {};
+    var failures = 0;
+    return Promise.all(sources.map(function(source) {
+      var key = providers.sourceKey(source);
+      return providers.fetchSource(source)
+        .then(function(entries) {
+          log.debug("Keyword source loaded", { source: key, keywords: entries.length });
+          return entries;
+        })
+        .catch(function(err) {
+          failures++;
+          log.warn("Keyword source failed", { source: key, fallback: (lastGood[key] ? "last good keywords" : "none") }, err);
+          return lastGood[key] || [];
+        })
+        .then(function(entries) {
+          bySource[key] = entries;
+          return entries;
+        });
+    })).then(function(lists) {
+      if(failures == sources.length) throw new Error("Every keyword source failed.");
+      var list = normalize(_.flatten(lists), opts);
+      if(list.keywords.length < 1) throw new Error("Keyword sources returned no keywords.");
+      writeCache(list, bySource);
+      return list;
+    });
+  }
+
+  // changed is only set against a known previous list; a first ever run has nothing to compare to
+  function apply(list, from) {
+    var previous = manager.keywords || manager.previous;
+    var change = Object.assign({
+      keywords: list.keywords,
+      weights: list.weights,
+      from: from,
+      initial: manager.keywords === null
+    }, diff(previous || [], list.keywords));
+    change.changed = !!previous && (change.added.length > 0 || change.removed.length > 0);
+    var reweighted = !_.isEqual(manager.weights, list.weights);
+    manager.keywords = list.keywords;
+    manager.weights = list.weights;
+    if(change.changed || change.initial || reweighted) manager.emit("change", change);
+    return change;
+  }
+
+  // reload from the sources; concurrent calls share one refresh
+  manager.refresh = function() {
+    if(refreshing) return refreshing;
+    refreshing = fromSources()
+      .then(function(list) {
+        return list ? apply(list, "sources") : null;
+      }, function(err) {
+        log.error("Keyword refresh failed; keeping the last good list", err);
+        return null;
+      })
+      .then(function(change) {
+        if(change || manager.keywords) return change;
+        // nothing loaded yet: the sources' last good list, then the static defaults. Without sources
+        // the defaults are the list; a cache from an earlier run with sources mustn't override them
+        var cached = sources.length > 0 ? readCache() : null;
+        if(cached && cached.keywords && cached.keywords.length > 0) {
+          log.info("Using saved keywords", { file: opts.cacheFile });
+          return apply({ keywords: cached.keywords, weights: cached.weights || {} }, "cache");
+        }
+        log.info("Using static keywords");
+        return apply(normalize(opts.defaults, opts), "defaults");
+      })
+      .then(function(change) {
+        refreshing = null;
+        return change;
+      });
+    return refreshing;
+  };
+
+  // refresh on a schedule; the timer doesn't keep the process alive by itself
+  manager.start = function(intervalMs) {
+    manager.stop();
+    if(!(intervalMs > 0)) return manager;
+    timer = setInterval(manager.refresh, intervalMs);
+    if(timer.unref) timer.unref();
+    return manager;
+  };
+
+  manager.stop = function() {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return manager;
+}
+
+// an annotation point describing a keyword list change
+function toAnnotationPoint(change) {
+  var parts = [];
+  if(change.added.length > 0) parts.push("+" + change.added.join(", +"));
+  if(change.removed.length > 0) parts.push("-" + change.removed.join(", -"));
+  return {
+    measurement: annotationMeasure,
+    tags: { from: change.from },
+    fields: {
+      title: "Keywords changed: " + parts.join(", "),
+      added: change.added.join(","),
+      removed: change.removed.join(","),
+      added_count: change.added.length,
+      removed_count: change.removed.length,
+      total: change.keywords.length
+    },
+    timestamp: new Date()
+  };
+}
+
+module.exports = {
+  annotationSchema: annotationSchema,
+  providers: providers,
+  normalize: normalize,
+  createKeywordManager: createKeywordManager,
+  toAnnotationPoint: toAnnotationPoint
+};
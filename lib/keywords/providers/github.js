@@ -0,0 +1,28 @@
+// GitHub repository topics, for one repository (owner/repo) or every public repository of an owner
+// set GITHUB_TOKEN to raise the API rate limit, GITHUB_API_URL for GitHub Enterprise
+// example: github:influxdata/telegraf  github:influxdata
+var http = require("../../http");
+var resource = require("./resource");
+
+function headers() {
+  var h = Object.assign({ "Accept": "application/vnd.github.mercy-preview+json" }, http.userAgent);
+  if(process.env.GITHUB_TOKEN) h["Authorization"] = "token " + process.env.GITHUB_TOKEN;
+  return h;
+}
+
+function getJson(path) {
+  return http.get((process.env.GITHUB_API_URL || "https://api.github.com") + path, { headers: headers() }).then(JSON.parse);
+}
+
+module.exports = {
+  name: "github",
+  fetch: function(source) {
+    var target = source.target.replace(/^\/+|\/+$/g, "");
+    var topics = (target.indexOf("/") > -1)
+      ? getJson("/repos/" + target + "/topics").then(function(res) { return res.names || []; })
+      : getJson("/users/" + target + "/repos?per_page=100&sort=pushed").then(function(repos) {
+          return [].concat.apply([], repos.map(function(repo) { return repo.topics || []; }));
+        });
+    return topics.then(function(names) { return names.map(resource.unslug); });
+  }
+};
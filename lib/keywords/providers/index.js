@@ -0,0 +1,80 @@
+/*
+Keyword source providers
+
+A provider has a name and fetch(source), resolving to an array of keywords; an entry may also be
+{ keyword, weight } when the source itself carries weights (see csv). New providers are added with
+register(provider).
+
+Sources are written "type:target#option=value&option=value", the fragment being ours rather than
+part of the URL. Options understood for every type:
+
+  weight   relevance weight of this source's keywords (default 1)
+  max      only the first N keywords of this source
+
+  json:http://yourdomain.com/jsonFeed#path=$..value
+  wordpress:http://paulsbruce.io#max=50
+  rss:http://paulsbruce.io/feed#weight=2
+  text:file:///etc/influxtwitter/topics.txt
+  csv:topics.csv
+  sitemap:http://paulsbruce.io/post_tag-sitemap.xml
+  github:influxdata/telegraf
+*/
+var querystring = require("querystring");
+var text = require("./text");
+
+var providers = {};
+
+function register(provider) {
+  providers[provider.name] = provider;
+}
+
+[require("./json"), require("./wordpress"), require("./rss"), text.text, text.csv,
+  require("./sitemap"), require("./github")].forEach(register);
+
+function parseSourceSpec(spec) {
+  if(typeof spec === "object") return spec;
+  spec = String(spec).trim();
+  var i = spec.indexOf(":");
+  if(i < 0) throw new Error("Keyword source '" + spec + "' must be written type:target, e.g. rss:http://yourdomain.com/feed");
+  var target = spec.substring(i + 1);
+  var source = { type: spec.substring(0, i) };
+  var hash = target.indexOf("#");
+  if(hash > -1) {
+    Object.assign(source, querystring.parse(target.substring(hash + 1)));
+    target = target.substring(0, hash);
+  }
+  source.target = target;
+  if(source.weight !== undefined) source.weight = Number(source.weight);
+  if(source.max !== undefined) source.max = Number(source.max);
+  return source;
+}
+
+// a stable key for a source, used to remember its last good keywords
+function sourceKey(source) {
+  return source.type + ":" + source.target + (source.path ? "#path=" + source.path : "");
+}
+
+function fetchSource(source) {
+  var provider = providers[source.type];
+  if(!provider) {
+    return Promise.reject(new Error("Unknown keyword source type '" + source.type + "'. Valid types are: " + Object.keys(providers).join(", ")));
+  }
+  var weight = (source.weight > 0 ? source.weight : 1);
+  return Promise.resolve(provider.fetch(source)).then(function(values) {
+    var entries = values
+      .map(function(value) {
+        if(value && typeof value === "object") return { keyword: value.keyword, weight: value.weight * weight };
+        return { keyword: value, weight: weight };
+      })
+      .filter(function(entry) { return typeof entry.keyword === "string" && entry.keyword.trim().length > 0; });
+    return source.max > 0 ? entries.slice(0, source.max) : entries;
+  });
+}
+
+module.exports = {
+  providers: providers,
+  register: register,
+  parseSourceSpec: parseSourceSpec,
+  sourceKey: sourceKey,
+  fetchSource: fetchSource
+};
@@ -0,0 +1,17 @@
+// any JSON array over HTTP (or a local file), one keyword per element picked with jsonpath
+// example: json:http://yourdomain.com/jsonFeed#path=$..value
+var jp = require("jsonpath");
+var resource = require("./resource");
+
+module.exports = {
+  name: "json",
+  fetch: function(source) {
+    return resource.read(source.target).then(function(text) {
+      var json = JSON.parse(text);
+      if(!Array.isArray(json)) {
+        throw new Error("Keyword source '" + source.target + "' did not return a JSON array.");
+      }
+      return json.map(function(obj) { return jp.value(obj, source.path || "$..name"); });
+    });
+  }
+};
@@ -0,0 +1,40 @@
+// read a keyword source location: http(s) URLs, file:// URLs and plain local paths
+var fs = require("fs");
+var url = require("url");
+var http = require("../../http");
+
+function isRemote(location) {
+  return /^https?:\/\//i.test(location);
+}
+
+function read(location) {
+  if(isRemote(location)) return http.get(location);
+  var filePath = /^file:\/\//i.test(location) ? url.fileURLToPath(location) : location;
+  return new Promise(function(resolve, reject) {
+    fs.readFile(filePath, "utf8", function(err, text) {
+      if(err) reject(err); else resolve(text);
+    });
+  });
+}
+
+// unescape the handful of entities that show up in feed and sitemap text
+function decodeXml(text) {
+  return String(text)
+    .replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, "$1")
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&apos;|&#39;/g, "'")
+    .replace(/&#(\d+);/g, function(m, code) { return String.fromCharCode(Number(code)); })
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+// slugs such as "api-design" read as "api design" in tweets
+function unslug(slug) {
+  return decodeURIComponent(slug).replace(/[-_+]+/g, " ").trim();
+}
+
+module.exports = {
+  isRemote: isRemote,
+  read: read,
+  decodeXml: decodeXml,
+  unslug: unslug
+};
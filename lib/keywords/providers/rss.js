@@ -0,0 +1,20 @@
+// category elements of an RSS or Atom feed: <category>API</category> or <category term="API"/>
+// example: rss:http://paulsbruce.io/feed
+var resource = require("./resource");
+
+module.exports = {
+  name: "rss",
+  fetch: function(source) {
+    return resource.read(source.target).then(function(xml) {
+      var keywords = [];
+      var expr = /<category\b([^>]*?)(?:\/>|>([\s\S]*?)<\/category>)/gi;
+      var match;
+      while((match = expr.exec(xml)) !== null) {
+        var term = /\bterm\s*=\s*"([^"]*)"/i.exec(match[1]) || /\bterm\s*=\s*'([^']*)'/i.exec(match[1]);
+        var value = resource.decodeXml(term ? term[1] : (match[2] || ""));
+        if(value) keywords.push(value);
+      }
+      return keywords;
+    });
+  }
+};
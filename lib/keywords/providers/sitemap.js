@@ -0,0 +1,33 @@
+// keywords from the URLs of a sitemap, e.g. a WordPress tag sitemap: .../tag/api-design/ -> "api design"
+// sitemap indexes are followed one level down
+// example: sitemap:http://paulsbruce.io/post_tag-sitemap.xml
+var resource = require("./resource");
+
+function locations(xml) {
+  var locs = [];
+  var expr = /<loc>([\s\S]*?)<\/loc>/gi;
+  var match;
+  while((match = expr.exec(xml)) !== null) locs.push(resource.decodeXml(match[1]));
+  return locs;
+}
+
+function lastSegment(location) {
+  var path = location.replace(/^[a-z]+:\/\/[^/]+/i, "").replace(/[?#].*$/, "");
+  var segments = path.split("/").filter(function(it) { return it.length > 0; });
+  return segments.length > 0 ? resource.unslug(segments[segments.length-1]) : null;
+}
+
+module.exports = {
+  name: "sitemap",
+  fetch: function(source) {
+    return resource.read(source.target).then(function(xml) {
+      if(/<sitemapindex\b/i.test(xml)) {
+        return Promise.all(locations(xml).map(function(loc) { return resource.read(loc).then(locations); }))
+          .then(function(lists) { return [].concat.apply([], lists); });
+      }
+      return locations(xml);
+    }).then(function(locs) {
+      return locs.map(lastSegment).filter(function(it) { return it; });
+    });
+  }
+};
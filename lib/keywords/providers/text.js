@@ -0,0 +1,59 @@
+// plain text and CSV keyword lists, local or over HTTP
+//   text: one keyword per line, blank lines and # comments ignored
+//   csv:  first column is the keyword; an optional numeric second column is its weight;
+//         a header row naming a "keyword" column is skipped
+// example: text:file:///etc/influxtwitter/topics.txt  csv:topics.csv#weight=2
+var resource = require("./resource");
+
+// split one CSV line, honouring double quoted cells
+function splitCsv(line) {
+  var cells = [];
+  var cell = "";
+  var quoted = false;
+  for(var i=0; i<line.length; i++) {
+    var c = line[i];
+    if(quoted) {
+      if(c == "\"" && line[i+1] == "\"") { cell += "\""; i++; }
+      else if(c == "\"") quoted = false;
+      else cell += c;
+    } else if(c == "\"") {
+      quoted = true;
+    } else if(c == ",") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function lines(text) {
+  return text.split(/\r?\n/)
+    .map(function(line) { return line.trim(); })
+    .filter(function(line) { return line.length > 0 && line[0] != "#"; });
+}
+
+module.exports = {
+  text: {
+    name: "text",
+    fetch: function(source) {
+      return resource.read(source.target).then(lines);
+    }
+  },
+  csv: {
+    name: "csv",
+    fetch: function(source) {
+      return resource.read(source.target).then(function(text) {
+        var rows = lines(text).map(splitCsv);
+        if(rows.length > 0 && /^keywords?$/i.test(rows[0][0])) rows.shift();
+        return rows.map(function(cells) {
+          var weight = Number(cells[1]);
+          return (cells.length > 1 && !isNaN(weight)) ? { keyword: cells[0], weight: weight } : cells[0];
+        });
+      });
+    }
+  },
+  splitCsv: splitCsv
+};
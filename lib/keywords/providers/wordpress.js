@@ -0,0 +1,34 @@
+// WordPress tags and categories, most used first, following every page of the REST API
+// Query syntax: https://developer.wordpress.org/rest-api/reference/tags/#list-tags
+// example: wordpress:http://paulsbruce.io
+var http = require("../../http");
+var resource = require("./resource");
+
+var perPage = 100;
+var maxPages = 50;
+
+function fetchAll(base, part) {
+  var names = [];
+  function page(n) {
+    var pageUrl = base + "wp-json/wp/v2/" + part + "?orderby=count&order=desc&hide_empty=true&per_page=" + perPage + "&page=" + n;
+    return http.getResponse(pageUrl).then(function(res) {
+      var items = JSON.parse(res.body);
+      items.forEach(function(item) { names.push(resource.decodeXml(item.name)); }); // names come HTML escaped
+      var totalPages = Number(res.headers["x-wp-totalpages"]) || (items.length < perPage ? n : n + 1);
+      if(n < totalPages && n < maxPages) return page(n + 1);
+      return names;
+    });
+  }
+  return page(1);
+}
+
+module.exports = {
+  name: "wordpress",
+  fetch: function(source) {
+    var base = source.target;
+    if(base[base.length-1] != "/") base += "/";
+    var parts = source.parts ? String(source.parts).split(",") : ["tags", "categories"];
+    return Promise.all(parts.map(function(part) { return fetchAll(base, part); }))
+      .then(function(lists) { return [].concat.apply([], lists); });
+  }
+};
@@ -0,0 +1,105 @@
+/*
+Serialize points into InfluxDB line protocol, for sinks that don't go through the influx client
+https://docs.influxdata.com/influxdb/v1.3/write_protocols/line_protocol_reference/
+
+Points use the same shape as influx.writePoints: { measurement, tags, fields, timestamp }. Numeric
+fields that are NaN or infinite are left out: line protocol can't carry them, and InfluxDB would turn
+down the whole batch over one of them.
+*/
+const FieldType = require("influx").FieldType;
+
+// measurement names only need commas and spaces escaped
+function escapeMeasurement(value) {
+  return String(value).replace(/([, ])/g, "\\$1");
+}
+
+// tag keys, tag values and field keys; line protocol has no way to carry a newline here
+function escapeKey(value) {
+  return String(value).replace(/\r?\n/g, " ").replace(/([,= ])/g, "\\$1");
+}
+
+function quoteString(value) {
+  return "\"" + String(value).replace(/(["\\])/g, "\\$1") + "\"";
+}
+
+function formatField(value, type) {
+  switch(type) {
+    case FieldType.INTEGER:
+      // tweet ids don't fit in a double, so keep numeric strings as they are
+      return (typeof value === "string" && /^-?\d+$/.test(value) ? value : Math.round(Number(value))) + "i";
+    case FieldType.FLOAT:
+      return String(Number(value));
+    case FieldType.BOOLEAN:
+      return value ? "true" : "false";
+    case FieldType.STRING:
+      return quoteString(value);
+  }
+  // no schema for this field, infer from the javascript type
+  if(typeof value === "number") return String(value);
+  if(typeof value === "boolean") return value ? "true" : "false";
+  return quoteString(value);
+}
+
+// false for missing values and numbers line protocol can't write (NaN, Infinity)
+function writable(value, type) {
+  if(value === undefined || value === null) return false;
+  if(type === FieldType.FLOAT || type === FieldType.INTEGER || typeof value === "number") return isFinite(Number(value));
+  return true;
+}
+
+// convert a Date, epoch milliseconds or numeric string (already in ms) into the requested precision
+function formatTimestamp(timestamp, precision) {
+  var ms = (timestamp instanceof Date ? timestamp.getTime() : Number(timestamp));
+  if(isNaN(ms)) return null;
+  switch(precision) {
+    case "s": return String(Math.floor(ms / 1000));
+    case "ms": return String(Math.floor(ms));
+    case "us": return String(Math.floor(ms)) + "000";
+    default: return String(Math.floor(ms)) + "000000"; // ns, the line protocol default
+  }
+}
+
+// find the declared field types for a measurement in an influx-style schema array
+function fieldTypesFor(schema, measurement) {
+  var match = (schema || []).find(function(it) { return it.measurement === measurement; });
+  return match ? match.fields : {};
+}
+
+function toLine(point, schema, precision) {
+  var types = fieldTypesFor(schema, point.measurement);
+  var line = escapeMeasurement(point.measurement);
+
+  var tags = point.tags || {};
+  Object.keys(tags).sort().forEach(function(key) {
+    var value = tags[key];
+    if(value === undefined || value === null || String(value) === "") return; // empty tags are invalid
+    line += "," + escapeKey(key) + "=" + escapeKey(value);
+  });
+
+  var fields = point.fields || {};
+  var pairs = Object.keys(fields)
+    .filter(function(key) { return writable(fields[key], types[key]); })
+    .map(function(key) { return escapeKey(key) + "=" + formatField(fields[key], types[key]); });
+  if(pairs.length < 1) {
+    throw new Error("Point for measurement '" + point.measurement + "' has no fields.");
+  }
+  line += " " + pairs.join(",");
+
+  if(point.timestamp !== undefined && point.timestamp !== null) {
+    var ts = formatTimestamp(point.timestamp, precision);
+    if(ts) line += " " + ts;
+  }
+  return line;
+}
+
+function format(points, schema, precision) {
+  return points.map(function(point) { return toLine(point, schema, precision); }).join("\n");
+}
+
+module.exports = {
+  escapeMeasurement: escapeMeasurement,
+  escapeKey: escapeKey,
+  formatTimestamp: formatTimestamp,
+  toLine: toLine,
+  format: format
+};
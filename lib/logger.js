@@ -0,0 +1,138 @@
+/*
+Structured logging: one JSON object per line on stderr (stdout is left to the stdout sink)
+
+  var log = require("./logger").child({ module: "stream" });
+  log.info("Connected");
+  log.error("Write failed", err);                        error objects become { err: { message, stack, ... } }
+  log.debug("Rules synced", { added: 2, removed: 1 });
+  var tweetLog = log.child({ tweetId: event.id_str });  every line carries tweetId
+
+  {"time":"2017-08-29T13:08:09.000Z","level":"info","module":"stream","msg":"Connected"}
+
+Levels are trace, debug, info, warn, error and fatal; configure({ level, format }) sets the minimum
+level and "json" or "pretty" output for every logger, children included.
+
+Credentials never reach the output: values under keys that look like secrets (token, secret,
+password, key, authorization ...) are replaced, bearer tokens and credentials in URLs are masked in
+strings, and any value passed to addSecrets() is masked wherever it appears.
+*/
+var util = require("util");
+
+var levels = { trace: 10, debug: 20, info: 30, warn: 40, error: 50, fatal: 60, silent: 100 };
+
+var settings = {
+  level: levels.info,
+  format: "json",
+  stream: process.stderr
+};
+
+var secrets = [];
+var redacted = "[REDACTED]";
+var secretKey = /pass(word)?|secret|token|authorization|api[-_]?key|consumer[-_]?key|access[-_]?key|credential/i;
+var secretPatterns = [
+  [/\b(Bearer|Token|Basic)\s+[A-Za-z0-9\-._~+/=%]+/g, "$1 " + redacted],
+  [/([?&](?:access_token|token|api_key|apikey|key|secret|password)=)[^&\s"]+/gi, "$1" + redacted],
+  [/(\/\/[^/\s:@]+:)[^/\s@]+@/g, "$1" + redacted + "@"]
+];
+
+function configure(options) {
+  options = options || {};
+  if(options.level !== undefined) {
+    if(levels[options.level] === undefined) {
+      throw new Error("Unknown log level '" + options.level + "'. Valid levels are: " + Object.keys(levels).join(", "));
+    }
+    settings.level = levels[options.level];
+  }
+  if(options.format) settings.format = options.format;
+  if(options.stream) settings.stream = options.stream;
+}
+
+// mask these exact values (API keys, tokens from the configuration) wherever they show up
+function addSecrets(values) {
+  [].concat(values).forEach(function(value) {
+    if(typeof value === "string" && value.length >= 4 && secrets.indexOf(value) < 0) secrets.push(value);
+  });
+}
+
+function redactString(text) {
+  secrets.forEach(function(value) { text = text.split(value).join(redacted); });
+  secretPatterns.forEach(function(pair) { text = text.replace(pair[0], pair[1]); });
+  return text;
+}
+
+function serializeError(err) {
+  var out = { message: err.message, name: err.name, stack: err.stack };
+  ["code", "statusCode", "errors"].forEach(function(key) {
+    if(err[key] !== undefined) out[key] = err[key];
+  });
+  return out;
+}
+
+// a redacted, JSON-safe copy; cycles and deep nesting are cut short
+function sanitize(value, depth, seen) {
+  if(typeof value === "string") return redactString(value);
+  if(value === null || typeof value !== "object") return (typeof value === "function" ? undefined : value);
+  if(value instanceof Error) value = serializeError(value);
+  if(value instanceof Date) return value.toISOString();
+  if(depth > 6 || seen.indexOf(value) > -1) return "[...]";
+  seen = seen.concat([value]);
+  if(Array.isArray(value)) return value.map(function(it) { return sanitize(it, depth + 1, seen); });
+  var out = {};
+  Object.keys(value).forEach(function(key) {
+    out[key] = (secretKey.test(key) && value[key] !== null && value[key] !== undefined && typeof value[key] !== "object" ?
+      redacted : sanitize(value[key], depth + 1, seen));
+  });
+  return out;
+}
+
+function format(record) {
+  if(settings.format !== "pretty") return JSON.stringify(record);
+  var rest = Object.assign({}, record);
+  ["time", "level", "module", "msg", "err"].forEach(function(key) { delete rest[key]; });
+  var text = record.time + " " + record.level.toUpperCase().padEnd(5) + (record.module ? " [" + record.module + "]" : "") + " " + record.msg;
+  if(Object.keys(rest).length > 0) text += " " + util.inspect(rest, { breakLength: Infinity, depth: 4 });
+  if(record.err) text += "\n  " + (record.err.stack || record.err.message);
+  return text;
+}
+
+function createLogger(bindings) {
+  var logger = {
+    bindings: bindings,
+
+    child: function(more) {
+      return createLogger(Object.assign({}, bindings, more));
+    },
+
+    isLevelEnabled: function(level) {
+      return levels[level] >= settings.level;
+    }
+  };
+
+  Object.keys(levels).forEach(function(level) {
+    if(level === "silent") return;
+    // (msg), (msg, fields), (msg, err) or (msg, fields, err)
+    logger[level] = function(msg, fields, err) {
+      if(levels[level] < settings.level) return;
+      if(fields instanceof Error) {
+        err = fields;
+        fields = null;
+      }
+      var record = Object.assign({ time: new Date().toISOString(), level: level }, bindings, fields || {}, { msg: String(msg) });
+      if(err) record.err = err;
+      settings.stream.write(format(sanitize(record, 0, [])) + "\n");
+    };
+  });
+
+  return logger;
+}
+
+var root = createLogger({});
+
+module.exports = {
+  levels: levels,
+  configure: configure,
+  addSecrets: addSecrets,
+  redact: function(value) { return sanitize(value, 0, []); },
+  child: root.child,
+  root: root
+};
@@ -0,0 +1,215 @@
+/*
+Keyword matcher
+
+Finds which keywords a tweet mentions and scores how relevant it is:
+
+  var matcher = createMatcher({ keywords: [...], weights: { "API": 2 }, exclusions: ["hiring"] });
+  matcher.match(event) => { matches: [{ keyword, term, kind, weight }], terms, excluded, score, relevance }
+
+Text and keywords are compared after Unicode normalization (compatibility forms folded, accents
+and case dropped, runs of whitespace collapsed). Keywords match whole words only, so "API" doesn't
+match inside "rapid" but does match "#API" or "API's"; a keyword with spaces is a phrase and matches
+those words in order. Keywords written "#tag", "$CASH" or "@user" match only that hashtag, cashtag or
+mention; plain keywords never match inside @mentions or URLs, but do match a hashtag that spells
+them without spaces ("API design" matches #APIDesign). A plain keyword found only as a hashtag counts
+hashtagWeight times its weight (0: hashtags don't count). A tweet matching any exclusion matches
+nothing. Tweets over 140 characters are matched on their full text (extended_tweet).
+
+Every keyword is looked for in a single pass over the text with an Aho-Corasick automaton, so
+the cost hardly grows with the number of keywords (Twitter allows up to 400).
+
+Relevance is computed from the matched keywords' weights by one of the formulas below;
+saturation is the total weight at (or toward) which a tweet counts as fully relevant.
+*/
+var _ = require("lodash");
+
+var defaults = {
+  keywords: [],
+  weights: {}, // keyword => weight, 1 when missing
+  exclusions: [],
+  formula: "weighted",
+  saturation: 3,
+  hashtagWeight: 1 // weight factor for keywords found only as hashtags
+};
+
+var formulas = {
+  // the number of keywords matched, weights ignored
+  count: function(matches, opts) { return Math.min(1.0, matches.length / opts.saturation); },
+  // the sum of the matched keywords' weights
+  weighted: function(matches, opts) { return Math.min(1.0, _.sumBy(matches, "weight") / opts.saturation); },
+  // diminishing returns: each extra keyword adds less, never quite reaching 1
+  exponential: function(matches, opts) { return 1 - Math.exp(-_.sumBy(matches, "weight") / opts.saturation); }
+};
+
+var wordChar = /[\p{L}\p{N}_]/u;
+
+// fold text so equivalent spellings compare equal: "Ｃａｆé" => "cafe"
+function normalizeText(text) {
+  return String(text)
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+// an Aho-Corasick automaton over normalized patterns; search reports each occurrence as
+// { pattern, start, end } with end exclusive
+function createAutomaton(patterns) {
+  var nodes = [{ next: {}, fail: 0, out: [] }];
+
+  patterns.forEach(function(pattern) {
+    var node = 0;
+    for(var i=0; i<pattern.length; i++) {
+      var c = pattern[i];
+      if(nodes[node].next[c] === undefined) {
+        nodes[node].next[c] = nodes.length;
+        nodes.push({ next: {}, fail: 0, out: [] });
+      }
+      node = nodes[node].next[c];
+    }
+    nodes[node].out.push(pattern);
+  });
+
+  // failure links, breadth first; a node also reports the patterns its failure node reports
+  var queue = Object.keys(nodes[0].next).map(function(c) { return nodes[0].next[c]; });
+  while(queue.length > 0) {
+    var parent = queue.shift();
+    Object.keys(nodes[parent].next).forEach(function(c) {
+      var child = nodes[parent].next[c];
+      var fail = nodes[parent].fail;
+      while(fail > 0 && nodes[fail].next[c] === undefined) fail = nodes[fail].fail;
+      nodes[child].fail = (nodes[fail].next[c] !== undefined ? nodes[fail].next[c] : 0);
+      nodes[child].out = nodes[child].out.concat(nodes[nodes[child].fail].out);
+      queue.push(child);
+    });
+  }
+
+  return function search(text) {
+    var found = [];
+    var node = 0;
+    for(var i=0; i<text.length; i++) {
+      var c = text[i];
+      while(node > 0 && nodes[node].next[c] === undefined) node = nodes[node].fail;
+      node = (nodes[node].next[c] !== undefined ? nodes[node].next[c] : 0);
+      nodes[node].out.forEach(function(pattern) {
+        found.push({ pattern: pattern, start: i + 1 - pattern.length, end: i + 1 });
+      });
+    }
+    return found;
+  };
+}
+
+// a match only counts on word boundaries, checked only where the keyword itself starts or ends
+// with a word character ("c++" can be followed by anything)
+function onWordBoundary(text, hit) {
+  var first = hit.pattern[0];
+  var last = hit.pattern[hit.pattern.length - 1];
+  if(wordChar.test(first) && hit.start > 0 && wordChar.test(text[hit.start - 1])) return false;
+  if(wordChar.test(last) && hit.end < text.length && wordChar.test(text[hit.end])) return false;
+  return true;
+}
+
+function kindOf(keyword) {
+  switch(keyword[0]) {
+    case "#": return "hashtag";
+    case "$": return "cashtag";
+    case "@": return "mention";
+    default: return "text";
+  }
+}
+
+// split a tweet into the parts keywords are matched against; entities are used when the event
+// carries them, otherwise they're picked out of the text. A tweet over 140 characters is matched on
+// its full text and the entities that go with it (extended_tweet), not the truncated text
+function tokenize(event) {
+  var extended = (event.extended_tweet && event.extended_tweet.full_text ? event.extended_tweet : null);
+  var text = String(extended ? extended.full_text : (event.text || ""));
+  var ents = (extended ? extended.entities : event.entities) || {};
+  function texts(list, key) { return (list || []).map(function(it) { return normalizeText(it[key]); }); }
+  function found(expr) { return (text.match(expr) || []).map(function(it) { return normalizeText(it.substring(1)); }); }
+
+  var hashtags = ents.hashtags ? texts(ents.hashtags, "text") : found(/#[\p{L}\p{N}_]+/gu);
+  var cashtags = ents.symbols ? texts(ents.symbols, "text") : found(/\$[A-Za-z][A-Za-z0-9_.]*/g);
+  var mentions = ents.user_mentions ? texts(ents.user_mentions, "screen_name") : found(/@\w+/g);
+
+  // URLs, @mentions and hashtags are blanked out so keywords can't match inside them; hashtags
+  // are matched on their own
+  var body = normalizeText(text.replace(/https?:\/\/\S+/g, " ").replace(/@\w+/g, " ").replace(/#[\p{L}\p{N}_]+/gu, " "));
+
+  return { body: body, hashtags: hashtags, cashtags: cashtags, mentions: mentions };
+}
+
+function createMatcher(options) {
+  var opts = _.defaults({}, options, defaults);
+  var formula = (typeof opts.formula === "function" ? opts.formula : formulas[opts.formula]);
+  if(!formula) {
+    throw new Error("Unknown relevance formula '" + opts.formula + "'. Valid formulas are: " + Object.keys(formulas).join(", "));
+  }
+
+  // normalized form => compiled keyword; the first spelling of a duplicate wins
+  function compile(keywords) {
+    var byNorm = {};
+    keywords.forEach(function(keyword) {
+      var kind = kindOf(keyword);
+      var norm = normalizeText(kind == "text" ? keyword : keyword.substring(1)).trim();
+      if(norm.length < 1 || byNorm[kind + norm]) return;
+      var weight = Number(opts.weights[keyword]);
+      byNorm[kind + norm] = { keyword: keyword, norm: norm, kind: kind, weight: (weight > 0 ? weight : 1) };
+    });
+    var compiled = _.values(byNorm);
+    var texts = compiled.filter(function(it) { return it.kind == "text"; });
+    return {
+      byNorm: byNorm,
+      texts: _.keyBy(texts, "norm"),
+      // "api design" also matches the hashtag #apidesign
+      joined: _.keyBy(texts, function(it) { return it.norm.replace(/ /g, ""); }),
+      search: createAutomaton(texts.map(function(it) { return it.norm; }))
+    };
+  }
+
+  var keywords = compile(opts.keywords);
+  var exclusions = compile(opts.exclusions);
+
+  function find(compiled, parts) {
+    var matched = {};
+    function add(it, term, kind) {
+      var weight = (kind == "hashtag" && it.kind == "text" ? it.weight * opts.hashtagWeight : it.weight);
+      if(!matched[it.kind + it.norm] && weight > 0) matched[it.kind + it.norm] = { keyword: it.keyword, term: term, kind: kind, weight: weight };
+    }
+    compiled.search(parts.body).forEach(function(hit) {
+      if(onWordBoundary(parts.body, hit)) add(compiled.texts[hit.pattern], hit.pattern, "text");
+    });
+    [["hashtag", "#"], ["cashtag", "$"], ["mention", "@"]].forEach(function(pair) {
+      parts[pair[0] + "s"].forEach(function(tag) {
+        var exact = compiled.byNorm[pair[0] + tag];
+        if(exact) add(exact, pair[1] + tag, pair[0]);
+        if(pair[0] == "hashtag" && compiled.joined[tag]) add(compiled.joined[tag], "#" + tag, "hashtag");
+      });
+    });
+    return _.values(matched);
+  }
+
+  return {
+    keywords: opts.keywords,
+
+    match: function(event) {
+      var parts = tokenize(event);
+      var excluded = find(exclusions, parts);
+      var matches = (excluded.length > 0 ? [] : find(keywords, parts));
+      return {
+        matches: matches,
+        terms: matches.map(function(it) { return it.keyword.toLowerCase(); }),
+        excluded: excluded.map(function(it) { return it.keyword; }),
+        score: _.sumBy(matches, "weight"),
+        relevance: (matches.length > 0 ? formula(matches, opts) : 0)
+      };
+    }
+  };
+}
+
+module.exports = {
+  formulas: formulas,
+  normalizeText: normalizeText,
+  createAutomaton: createAutomaton,
+  createMatcher: createMatcher
+};
@@ -0,0 +1,164 @@
+/*
+Self-metrics of the collector, readable as Prometheus text and writable as InfluxDB points
+
+  var registry = createRegistry({ prefix: "collector_" });
+  var received = registry.counter("events_received", "Stream events received");
+  received.inc();
+  registry.gauge("queue_depth", "Events in the processing pipeline", function() { return pipeline.stats().pending; });
+  registry.histogram("sentiment_seconds", "Sentiment analysis latency").observe(0.012);
+
+A gauge or counter may collect { labelValue: number } for one label (e.g. per sink); those are
+written to InfluxDB as extra points tagged with the label. Metric names double as InfluxDB field
+names; everything is written as a float so fields never change type.
+*/
+var os = require("os");
+var FieldType = require("influx").FieldType;
+
+var defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+function formatNumber(value) {
+  if(value === Infinity) return "+Inf";
+  return String(Number(value));
+}
+
+function createRegistry(options) {
+  options = options || {};
+  var prefix = (options.prefix === undefined ? "collector_" : options.prefix);
+  var metrics = [];
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  // current values as [{ labels, value }]
+  function samples(metric) {
+    var value = (metric.collect ? metric.collect() : metric.value);
+    if(value !== null && typeof value === "object") {
+      return Object.keys(value).map(function(key) {
+        var labels = {};
+        labels[metric.label] = key;
+        return { labels: labels, value: value[key] };
+      });
+    }
+    return (value === undefined || value === null ? [] : [{ labels: null, value: value }]);
+  }
+
+  function line(name, labels, value) {
+    var keys = Object.keys(labels || {});
+    var labelText = keys.length > 0 ?
+      "{" + keys.map(function(key) { return key + "=\"" + escapeLabel(labels[key]) + "\""; }).join(",") + "}" : "";
+    return name + labelText + " " + formatNumber(value);
+  }
+
+  return {
+    counter: function(name, help, collect, label) {
+      return register({
+        type: "counter", name: name, help: help, collect: collect, label: label, value: 0,
+        inc: function(n) { this.value += (n === undefined ? 1 : n); }
+      });
+    },
+
+    gauge: function(name, help, collect, label) {
+      return register({
+        type: "gauge", name: name, help: help, collect: collect, label: label, value: 0,
+        set: function(v) { this.value = v; },
+        inc: function(n) { this.value += (n === undefined ? 1 : n); },
+        dec: function(n) { this.value -= (n === undefined ? 1 : n); }
+      });
+    },
+
+    histogram: function(name, help, buckets) {
+      buckets = (buckets || defaultBuckets).concat([Infinity]);
+      return register({
+        type: "histogram", name: name, help: help,
+        buckets: buckets, counts: buckets.map(function() { return 0; }), sum: 0, count: 0,
+        observe: function(v) {
+          this.sum += v;
+          this.count++;
+          for(var i=0; i<buckets.length; i++) {
+            if(v <= buckets[i]) this.counts[i]++;
+          }
+        },
+        // run fn (returning a Promise) and observe how long it takes to settle, in seconds
+        time: function(fn) {
+          var self = this;
+          var started = process.hrtime();
+          function done() {
+            var elapsed = process.hrtime(started);
+            self.observe(elapsed[0] + elapsed[1] / 1e9);
+          }
+          return Promise.resolve().then(fn).then(function(value) { done(); return value; }, function(err) { done(); throw err; });
+        }
+      });
+    },
+
+    // Prometheus text exposition format 0.0.4
+    prometheus: function() {
+      var lines = [];
+      metrics.forEach(function(metric) {
+        var name = prefix + metric.name + (metric.type === "counter" ? "_total" : "");
+        lines.push("# HELP " + name + " " + metric.help);
+        lines.push("# TYPE " + name + " " + metric.type);
+        if(metric.type === "histogram") {
+          metric.buckets.forEach(function(le, i) {
+            lines.push(line(name + "_bucket", { le: formatNumber(le) }, metric.counts[i]));
+          });
+          lines.push(line(name + "_sum", null, metric.sum));
+          lines.push(line(name + "_count", null, metric.count));
+          return;
+        }
+        samples(metric).forEach(function(sample) { lines.push(line(name, sample.labels, sample.value)); });
+      });
+      return lines.join("\n") + "\n";
+    },
+
+    // InfluxDB client schema for the points toPoints writes
+    influxSchema: function(measurement) {
+      var fields = {};
+      var tags = ["host"];
+      metrics.forEach(function(metric) {
+        if(metric.type === "histogram") {
+          fields[metric.name + "_sum"] = FieldType.FLOAT;
+          fields[metric.name + "_count"] = FieldType.FLOAT;
+        } else {
+          fields[metric.name] = FieldType.FLOAT;
+        }
+        if(metric.label && tags.indexOf(metric.label) < 0) tags.push(metric.label);
+      });
+      return [{ measurement: measurement, fields: fields, tags: tags }];
+    },
+
+    // one point with every unlabelled value, plus one point per label value
+    toPoints: function(measurement) {
+      var host = os.hostname();
+      var timestamp = new Date();
+      var main = { measurement: measurement, tags: { host: host }, fields: {}, timestamp: timestamp };
+      var labelled = {};
+      metrics.forEach(function(metric) {
+        if(metric.type === "histogram") {
+          main.fields[metric.name + "_sum"] = metric.sum;
+          main.fields[metric.name + "_count"] = metric.count;
+          return;
+        }
+        samples(metric).forEach(function(sample) {
+          if(!sample.labels) return main.fields[metric.name] = Number(sample.value);
+          var key = metric.label + "=" + sample.labels[metric.label];
+          if(!labelled[key]) {
+            labelled[key] = { measurement: measurement, tags: Object.assign({ host: host }, sample.labels), fields: {}, timestamp: timestamp };
+          }
+          labelled[key].fields[metric.name] = Number(sample.value);
+        });
+      });
+      return [main].concat(Object.keys(labelled).map(function(key) { return labelled[key]; }));
+    }
+  };
+}
+
+module.exports = {
+  createRegistry: createRegistry
+};
@@ -0,0 +1,25 @@
+// Continuous queries and tasks only roll up what is written after them: roll up the raw points
+// already there as well, so the rollups start with history rather than a gap. Without rollups it
+// waits, so rollups configured later still get their history
+module.exports = {
+  version: 2,
+  name: "roll up existing raw points",
+
+  applies: function(ctx) {
+    return ctx.rollups.length > 0;
+  },
+
+  influxdb: function(driver, ctx) {
+    var since = (ctx.retention.raw.seconds > 0 ? ctx.retention.raw.seconds + "s" : null);
+    return ctx.rollups.reduce(function(chain, rollup) {
+      return chain.then(function() { return driver.series(driver.rollupSelect(rollup, driver.database, ctx.retention, since)); });
+    }, Promise.resolve());
+  },
+
+  influxdb2: function(driver, ctx) {
+    var start = (ctx.retention.raw.seconds > 0 ? "-" + ctx.retention.raw.seconds + "s" : "0");
+    return ctx.rollups.reduce(function(chain, rollup) {
+      return chain.then(function() { return driver.query(driver.rollupFlux(rollup, driver.buckets, driver.org, start)); });
+    }, Promise.resolve());
+  }
+};
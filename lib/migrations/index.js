@@ -0,0 +1,33 @@
+/*
+Versioned migrations of the data the collector has written, applied once per database in version
+order by provisioning (lib/provisioning), which records each in the _migrations measurement of the
+"meta" retention policy (1.x) or bucket (2.x)
+
+A migration is a module named <version>-<name>.js exporting
+
+  version       a number, higher than every migration before it; never reused
+  name          what it does, in a few words
+  influxdb      function(driver, ctx) => Promise, for InfluxDB 1.x; driver.series(query) runs InfluxQL
+  influxdb2     function(driver, ctx) => Promise, for InfluxDB 2.x; driver.query(flux) runs Flux
+  applies       optional function(ctx) => false while there's nothing for it to do; it's then neither
+                run nor recorded, and comes up again on the next provisioning
+
+ctx has the retention ({ raw, rollups, meta }: { name, duration, seconds }) and rollups being
+provisioned. A migration without a function for a database counts as applied there. Migrations run
+before the collector writes, should be safe to run again if they fail half way, and are added to the
+list below, never changed once released: a schema change that needs existing data rewritten gets a
+migration of its own.
+*/
+// version 1, copying autogen points into a new "raw" default policy, never shipped: an existing
+// database keeps its default policy now, so there's nothing to move
+var migrations = [
+  require("./002-rollup-history")
+];
+
+migrations.forEach(function(migration, i) {
+  if(i > 0 && !(migration.version > migrations[i - 1].version)) {
+    throw new Error(`Migration versions must increase: ${migration.version} (${migration.name}) comes after ${migrations[i - 1].version}`);
+  }
+});
+
+module.exports = migrations;
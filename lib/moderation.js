@@ -0,0 +1,241 @@
+/*
+Content moderation: word lists per language, spam patterns, a severity score and reason codes
+
+  var moderator = createModerator({ lists: "moderation.yml", policy: "flag", threshold: 0.5 });
+  moderator.check(event) => { severity (0..1), reasons: ["profanity", ...], words: [...], action }
+  moderator.redactEvent(event, words)   a copy with the words masked in every text it carries
+
+Words are looked for in the full text (extended_tweet.full_text of a long tweet) and in the texts of
+the retweeted and quoted tweets it carries; the spam checks look at the tweet's own text.
+
+Reason codes and how much each weighs in the severity:
+
+  profanity        a word of profanity-util's built-in list                          0.5
+  blocklist        a word or phrase of the lists file for the tweet's language      0.6
+  spam_hashtags    more than maxHashtags hashtags                                    0.3
+  spam_mentions    more than maxMentions mentions                                    0.3
+  spam_link_only   nothing but links (and hashtags or mentions)                      0.3
+  spam_duplicate   the same text from duplicateAccounts different accounts          0.5
+                   within duplicateWindow; retweets don't count, they repeat by design
+
+Severity is 1 - (1 - w1)(1 - w2)... over the reasons found. A tweet at or above the threshold gets
+the policy's action: "flag" keeps it (the reasons and severity are written with it), "drop" stops it,
+"redact" masks the listed words it contains and keeps it. Below the threshold the action is "flag".
+With the default threshold, one profane or blocked word is enough; spam needs two signs of it.
+
+The lists file (YAML) has block and allow lists per language code, "*" for every language; allow
+takes words out of the built-in list:
+
+  "*":
+    block: [buy followers]
+  en:
+    allow: [hell]
+  de:
+    block: [scheisse]
+*/
+var fs = require("fs");
+var _ = require("lodash");
+var yaml = require("js-yaml");
+var profanity = require("profanity-util");
+var log = require("./logger").child({ module: "moderation" });
+
+var defaults = {
+  lists: "moderation.yml", // missing is fine
+  builtin: true, // profanity-util's list
+  policy: "flag", // flag, drop or redact
+  threshold: 0.5,
+  maxHashtags: 5,
+  maxMentions: 5,
+  duplicateAccounts: 3,
+  duplicateWindow: 3600000, // ms
+  maxTexts: 20000 // texts remembered for duplicate detection
+};
+
+var policies = ["flag", "drop", "redact"];
+
+var weights = {
+  profanity: 0.5,
+  blocklist: 0.6,
+  spam_hashtags: 0.3,
+  spam_mentions: 0.3,
+  spam_link_only: 0.3,
+  spam_duplicate: 0.5
+};
+
+var wordChars = "\\p{L}\\p{N}_";
+
+function escapeRegExp(text) {
+  return text.replace(/[\/\\^$*+?.()|[\]{}]/g, "\\$&");
+}
+
+// one case-insensitive regular expression finding any of the words, on word boundaries
+function wordsPattern(words) {
+  if(words.length < 1) return null;
+  var alternatives = _.sortBy(words, function(word) { return -word.length; }).map(escapeRegExp).join("|");
+  return new RegExp("(?<![" + wordChars + "])(?:" + alternatives + ")(?![" + wordChars + "])", "giu");
+}
+
+// { lang: { block: [...], allow: [...] } }, words lowercased
+function parseLists(text) {
+  var parsed = yaml.safeLoad(text) || {};
+  if(!_.isPlainObject(parsed)) throw new Error("The moderation lists must be a mapping of language codes.");
+  return _.mapValues(parsed, function(lists, lang) {
+    if(!_.isPlainObject(lists)) throw new Error(`The moderation lists for '${lang}' must have block and/or allow lists.`);
+    return {
+      block: [].concat(lists.block || []).map(function(word) { return String(word).toLowerCase(); }),
+      allow: [].concat(lists.allow || []).map(function(word) { return String(word).toLowerCase(); })
+    };
+  });
+}
+
+function readLists(filePath) {
+  if(!filePath || !fs.existsSync(filePath)) return {};
+  try {
+    return parseLists(fs.readFileSync(filePath, "utf8"));
+  } catch(err) {
+    throw new Error(`Could not read moderation lists '${filePath}'. ${err.message}`);
+  }
+}
+
+function severityOf(reasons) {
+  var severity = 1 - reasons.reduce(function(rest, reason) { return rest * (1 - weights[reason]); }, 1);
+  return Math.round(severity * 1000) / 1000;
+}
+
+// the words of a text without URLs, mentions, hashtags and punctuation, for link-only and duplicate checks
+function plainText(text) {
+  return String(text)
+    .replace(/https?:\/\/\S+/g, " ")
+    .replace(/[@#][\p{L}\p{N}_]+/gu, " ")
+    .replace(/^RT\b/, " ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+    .toLowerCase();
+}
+
+// the whole text of a tweet, long ones included
+function fullText(event) {
+  return String(_.get(event, "extended_tweet.full_text") || event.text || "");
+}
+
+// the tweet's own text and those of the tweets it retweets or quotes, however deep
+function allTexts(event) {
+  return [fullText(event)]
+    .concat(event.retweeted_status ? allTexts(event.retweeted_status) : [])
+    .concat(event.quoted_status ? allTexts(event.quoted_status) : []);
+}
+
+function createModerator(options) {
+  var opts = _.defaults({}, options, defaults);
+  if(policies.indexOf(opts.policy) < 0) {
+    throw new Error(`Unknown moderation policy '${opts.policy}'. Valid policies are: ${policies.join(", ")}`);
+  }
+  var lists = readLists(opts.lists);
+  var patterns = {}; // lang => { block, allow } built on first use
+  var texts = new Map(); // plain text => { at, authors: Set }, oldest first
+
+  function listsFor(lang) {
+    lang = String(lang || "und").toLowerCase();
+    if(!patterns[lang]) {
+      var any = lists["*"] || { block: [], allow: [] };
+      var own = lists[lang] || { block: [], allow: [] };
+      patterns[lang] = {
+        block: wordsPattern(_.uniq(any.block.concat(own.block))),
+        allow: any.allow.concat(own.allow)
+      };
+    }
+    return patterns[lang];
+  }
+
+  // true once duplicateAccounts different authors have sent the same text within the window
+  function duplicated(text, author) {
+    if(text.length < 10) return false; // "thanks!" from many accounts is no spam
+    var now = Date.now();
+    var entry = texts.get(text);
+    if(!entry || now - entry.at > opts.duplicateWindow) entry = { at: now, authors: new Set() };
+    entry.authors.add(author);
+    texts.delete(text);
+    texts.set(text, entry);
+    if(texts.size > opts.maxTexts) texts.delete(texts.keys().next().value);
+    return entry.authors.size >= opts.duplicateAccounts;
+  }
+
+  // the text with every given word masked, keeping its length so entity indices still hold
+  function redact(text, words) {
+    var pattern = wordsPattern(words || []);
+    if(!pattern) return text;
+    return String(text).replace(pattern, function(word) { return "*".repeat(word.length); });
+  }
+
+  // a copy of the event with the words masked in its text, full text and retweeted/quoted tweets
+  function redactEvent(event, words) {
+    var redacted = Object.assign({}, event, { text: redact(event.text, words) });
+    if(event.extended_tweet) {
+      redacted.extended_tweet = Object.assign({}, event.extended_tweet, { full_text: redact(event.extended_tweet.full_text, words) });
+    }
+    if(event.retweeted_status) redacted.retweeted_status = redactEvent(event.retweeted_status, words);
+    if(event.quoted_status) redacted.quoted_status = redactEvent(event.quoted_status, words);
+    return redacted;
+  }
+
+  return {
+    check: function(event) {
+      var text = fullText(event);
+      var everything = allTexts(event).join("\n");
+      var list = listsFor(event.lang);
+      var reasons = [];
+      var words = [];
+
+      if(opts.builtin) {
+        var profane = profanity.check(everything).map(function(word) { return word.toLowerCase(); }).filter(function(word) {
+          return list.allow.indexOf(word) < 0;
+        });
+        if(profane.length > 0) {
+          reasons.push("profanity");
+          words = words.concat(profane);
+        }
+      }
+      var blocked = (list.block ? (everything.match(list.block) || []) : []).map(function(word) { return word.toLowerCase(); });
+      if(blocked.length > 0) {
+        reasons.push("blocklist");
+        words = words.concat(blocked);
+      }
+
+      var ents = _.get(event, "extended_tweet.entities") || event.entities || {};
+      var hashtags = (ents.hashtags ? ents.hashtags.length : (text.match(/#[\p{L}\p{N}_]+/gu) || []).length);
+      var mentions = (ents.user_mentions ? ents.user_mentions.length : (text.match(/@\w+/g) || []).length);
+      if(hashtags > opts.maxHashtags) reasons.push("spam_hashtags");
+      if(mentions > opts.maxMentions) reasons.push("spam_mentions");
+      var plain = plainText(text);
+      if(/https?:\/\//.test(text) && plain.length < 1) reasons.push("spam_link_only");
+      if(!event.retweeted_status && duplicated(plain, _.get(event, "user.screen_name", ""))) reasons.push("spam_duplicate");
+
+      var severity = severityOf(reasons);
+      return {
+        severity: severity,
+        reasons: reasons,
+        words: _.uniq(words),
+        action: (reasons.length > 0 && severity >= opts.threshold ? opts.policy : "flag")
+      };
+    },
+
+    redact: redact,
+    redactEvent: redactEvent,
+
+    reload: function() {
+      try {
+        lists = readLists(opts.lists);
+        patterns = {};
+      } catch(err) {
+        log.error("Keeping the previous moderation lists", err);
+      }
+    }
+  };
+}
+
+module.exports = {
+  policies: policies,
+  weights: weights,
+  parseLists: parseLists,
+  createModerator: createModerator
+};
@@ -0,0 +1,178 @@
+/*
+Staged event processing with bounded concurrency, backpressure and a dead letter file
+
+Items flow through named stages in order; each stage works on up to `concurrency` items at once and
+gives up on an item after `timeout` ms (0 waits forever):
+
+  var pipeline = createPipeline([
+    { name: "match", concurrency: 1, timeout: 5000, run: function(item) { return item; } },
+    { name: "sink", concurrency: 2, timeout: 30000, run: function(item) { return write(item).then(...); } }
+  ], { maxPending: 1000, deadLetterFile: "deadletter.jsonl" });
+
+  pipeline.push(item)       false once maxPending items are in flight; hold the source until "drain"
+  pipeline.close(timeout)   stop taking items and resolve once those in flight are done (true) or
+                            the timeout passed (false)
+
+A stage's run(item) returns (a Promise of) the item for the next stage, or null to stop there (an
+event that isn't relevant). An item whose stage throws or times out goes no further; it's appended
+to the dead letter file as one JSON line { time, stage, error, item }, item being describe(item).
+A timeout doesn't cancel the work: its line carries "partial": true since the stage may still have
+done some or all of it (a sink write that lands late), and the item keeps its concurrency slot
+until the work settles, so a stage never runs more than `concurrency` items at once.
+Items pushed after close() go straight to the dead letter file, so nothing arriving during a
+shutdown is lost.
+*/
+var EventEmitter = require("events");
+var fs = require("fs");
+var util = require("util");
+var _ = require("lodash");
+var log = require("./logger").child({ module: "pipeline" });
+
+var appendFile = util.promisify(fs.appendFile);
+
+var defaults = {
+  maxPending: 1000,
+  deadLetterFile: null, // failed items are only logged without one
+  describe: function(item) { return item; }
+};
+
+var stageDefaults = {
+  concurrency: 1,
+  timeout: 0
+};
+
+// reject with err.code ETIMEDOUT when promise takes longer than ms; the work itself isn't cancelled
+function withTimeout(promise, ms, what) {
+  if(!(ms > 0)) return promise;
+  var timer;
+  var timeout = new Promise(function(resolve, reject) {
+    timer = setTimeout(function() {
+      var err = new Error(`${what} timed out after ${ms}ms`);
+      err.code = "ETIMEDOUT";
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).then(function(value) {
+    clearTimeout(timer);
+    return value;
+  }, function(err) {
+    clearTimeout(timer);
+    throw err;
+  });
+}
+
+function createPipeline(stages, options) {
+  var opts = _.defaults({}, options, defaults);
+  var pipeline = new EventEmitter();
+  var pending = 0; // pushed and not yet finished
+  var held = false; // push said no; "drain" is owed
+  var closed = false;
+  var idle = []; // resolvers waiting for pending to reach 0
+  var deadLetters = 0;
+  var writes = Promise.resolve(); // dead letter appends, in order
+
+  stages = stages.map(function(stage, index) {
+    return Object.assign({}, stageDefaults, stage, {
+      index: index, queue: [], active: 0, processed: 0, filtered: 0, failed: 0, timedOut: 0
+    });
+  });
+
+  function finish() {
+    pending--;
+    if(held && pending <= opts.maxPending / 2) {
+      held = false;
+      pipeline.emit("drain");
+    }
+    if(pending === 0) idle.splice(0).forEach(function(resolve) { resolve(); });
+  }
+
+  function deadLetter(stageName, item, err) {
+    deadLetters++;
+    pipeline.emit("failed", { stage: stageName, item: item, error: err });
+    if(!opts.deadLetterFile) return;
+    var entry = { time: new Date().toISOString(), stage: stageName, error: String(err.message || err) };
+    if(err.code === "ETIMEDOUT") entry.partial = true;
+    entry.item = opts.describe(item);
+    var line = JSON.stringify(entry);
+    writes = writes
+      .then(function() { return appendFile(opts.deadLetterFile, line + "\n"); })
+      .catch(function(writeErr) { log.error("Could not write to the dead letter file", { file: opts.deadLetterFile }, writeErr); });
+  }
+
+  function enqueue(stage, item) {
+    stage.queue.push(item);
+    schedule(stage);
+  }
+
+  function schedule(stage) {
+    while(stage.active < stage.concurrency && stage.queue.length > 0) {
+      start(stage, stage.queue.shift());
+    }
+  }
+
+  function start(stage, item) {
+    stage.active++;
+    var work = Promise.resolve().then(function() { return stage.run(item); });
+    var settled = work.then(_.noop, _.noop); // a timed out run still holds its slot until this
+    withTimeout(work, stage.timeout, "Stage " + stage.name)
+      .then(function(next) {
+        stage.processed++;
+        var following = stages[stage.index + 1];
+        if(!next) stage.filtered++;
+        if(next && following) return enqueue(following, next);
+        finish();
+      }, function(err) {
+        stage.failed++;
+        if(err.code === "ETIMEDOUT") stage.timedOut++;
+        deadLetter(stage.name, item, err);
+        finish();
+      })
+      .then(function() { return settled; })
+      .then(function() {
+        stage.active--;
+        schedule(stage);
+      });
+  }
+
+  pipeline.push = function(item) {
+    if(closed) {
+      deadLetter("shutdown", item, new Error("Pipeline closed"));
+      return false;
+    }
+    pending++;
+    enqueue(stages[0], item);
+    if(pending >= opts.maxPending) held = true;
+    return !held;
+  };
+
+  // resolves true once nothing is in flight, false if timeout ms pass first
+  pipeline.drain = function(timeout) {
+    if(pending === 0) return Promise.resolve(true);
+    var drained = new Promise(function(resolve) { idle.push(resolve); }).then(function() { return true; });
+    if(!(timeout > 0)) return drained;
+    return withTimeout(drained, timeout, "Drain").catch(function() { return false; });
+  };
+
+  pipeline.close = function(timeout) {
+    closed = true;
+    return pipeline.drain(timeout).then(function(drained) {
+      return writes.then(function() { return drained; });
+    });
+  };
+
+  pipeline.stats = function() {
+    var byStage = {};
+    stages.forEach(function(stage) {
+      byStage[stage.name] = _.pick(stage, ["queued", "active", "processed", "filtered", "failed", "timedOut"]);
+      byStage[stage.name].queued = stage.queue.length;
+    });
+    return { pending: pending, deadLetters: deadLetters, stages: byStage };
+  };
+
+  return pipeline;
+}
+
+module.exports = {
+  createPipeline: createPipeline,
+  withTimeout: withTimeout
+};
@@ -0,0 +1,151 @@
+/*
+Database provisioning: everything the collector needs in the database, before the first write
+
+  provision(driver, { retention: { raw: "INF", rollups: "365d" }, rollups: [...], schema: [...] })
+
+Every step checks first and only changes what differs, so it is safe to run on every start:
+
+  1. the database (InfluxDB 1.x) or bucket (2.x)
+  2. retention: "raw" for everything written (the default retention policy of a 1.x database the
+     collector creates, the bucket's retention when it creates the 2.x bucket; an existing database
+     keeps its default policy, which the rollups then read from, and an existing bucket its
+     retention), "rollups" for the downsampled series, and "meta", kept forever, for the migrations
+     applied
+  3. rollups: a continuous query (1.x) or task (2.x) per rollup, recreated when its definition
+     changed, e.g. after a schema mapping change
+  4. field types: fields stored with another type than the schema says are reported, since writes
+     of them fail until the next shard (1.x)
+  5. migrations (lib/migrations) not applied yet, in version order, each recorded once done; one
+     that doesn't apply yet (e.g. no rollups to fill) is left for a later run
+
+A driver (influxdb.js, influxdb2.js) does the talking; the steps and their order are here. Failing
+steps are retried with backoff (retries); what's left failing is up to the caller, e.g. a collector
+carries on and buffers its writes.
+*/
+var _ = require("lodash");
+var promiseRetry = require("promise-retry");
+var log = require("../logger").child({ module: "provisioning" });
+
+var defaults = {
+  retention: { raw: "INF", rollups: "365d" },
+  rollups: [],
+  schema: [],
+  migrations: null, // lib/migrations by default
+  retries: 5
+};
+
+var units = { w: 604800, d: 86400, h: 3600, m: 60, s: 1 };
+
+// "7d", "52w", "168h0m0s" => seconds; "INF" and "0s" => 0, which means forever
+function durationSeconds(duration) {
+  var text = String(duration).trim().toLowerCase();
+  if(text === "inf" || text === "") return 0;
+  var seconds = 0;
+  var rest = text.replace(/(\d+)(w|d|h|m|s)/g, function(whole, amount, unit) {
+    seconds += Number(amount) * units[unit];
+    return "";
+  });
+  if(rest.length > 0) throw new Error(`'${duration}' is not a duration; use e.g. 7d, 52w, 12h or INF`);
+  return seconds;
+}
+
+// seconds => "2h", in the largest unit that divides them, as InfluxDB writes durations back
+function formatDuration(seconds) {
+  if(!(seconds > 0)) return "INF";
+  var unit = Object.keys(units).find(function(it) { return seconds % units[it] === 0; });
+  return (seconds / units[unit]) + unit;
+}
+
+// rollups of the measurement a schema mapping writes: hourly tweets, average relevance and average
+// sentiment per keyword (the keyword tag with pointPerKeyword, the keywords tag otherwise) and platform
+function rollupsFor(tweetSchema, options) {
+  var opts = _.defaults({}, options, { measurement: "tweets_hourly", interval: "1h" });
+  var mapping = tweetSchema.mapping;
+  var tags = tweetSchema.influxSchema[0].tags;
+  var fields = Object.keys(mapping.fields);
+  var byKeyword = (tags.indexOf("keyword") > -1 ? "keyword" : "keywords");
+  if(fields.indexOf("relevance") < 0 || tags.indexOf(byKeyword) < 0) {
+    log.warn("The schema mapping writes no relevance field or keyword tag; no rollups", { measurement: tweetSchema.measurement });
+    return [];
+  }
+  var aggregates = [
+    { as: "tweets", fn: "count", field: "relevance" },
+    { as: "relevance", fn: "mean", field: "relevance" }
+  ];
+  if(fields.indexOf("sentiment_score") > -1) aggregates.push({ as: "sentiment", fn: "mean", field: "sentiment_score" });
+  return [{
+    name: opts.measurement,
+    measurement: opts.measurement,
+    from: tweetSchema.measurement,
+    interval: opts.interval,
+    groupBy: [byKeyword].concat(tags.indexOf("platform") > -1 ? ["platform"] : []),
+    aggregates: aggregates
+  }];
+}
+
+function retry(step, fn, retries) {
+  return promiseRetry(function(again, attempt) {
+    return Promise.resolve().then(fn).catch(function(err) {
+      if(attempt <= retries) log.warn(`Provisioning step '${step}' failed, retrying`, { attempt: attempt, error: err.message });
+      return again(err);
+    });
+  }, { retries: retries, minTimeout: 1000, factor: 2 });
+}
+
+// run every step against a driver; resolves a summary of what was done
+function provision(driver, options) {
+  var opts = _.defaults({}, options, defaults);
+  var retention = {
+    raw: { name: "raw", duration: opts.retention.raw, seconds: durationSeconds(opts.retention.raw), isDefault: true },
+    rollups: { name: "rollups", duration: opts.retention.rollups, seconds: durationSeconds(opts.retention.rollups) },
+    meta: { name: "meta", duration: "INF", seconds: 0 }
+  };
+  var migrations = opts.migrations || require("../migrations");
+  var ctx = { retention: retention, rollups: opts.rollups, log: log };
+  var summary = { target: driver.name, actions: [], conflicts: [], migrations: [] };
+
+  function record(actions) {
+    [].concat(actions || []).forEach(function(action) {
+      log.info("Provisioned " + action, { target: driver.name });
+      summary.actions.push(action);
+    });
+  }
+
+  return retry("database", function() { return driver.ensureDatabase(); }, opts.retries).then(record)
+    .then(function() { return retry("retention", function() { return driver.ensureRetention(_.values(retention)); }, opts.retries); }).then(record)
+    .then(function() { return retry("rollups", function() { return driver.ensureRollups(opts.rollups, retention); }, opts.retries); }).then(record)
+    .then(function() { return (driver.fieldConflicts ? driver.fieldConflicts(opts.schema) : []); })
+    .then(function(conflicts) {
+      conflicts.forEach(function(conflict) {
+        log.warn("Field stored with another type than the schema says; its writes fail until the next shard", conflict);
+      });
+      summary.conflicts = conflicts;
+      return retry("migrations", function() { return driver.appliedMigrations(); }, opts.retries);
+    })
+    .then(function(applied) {
+      var pending = migrations.filter(function(migration) { return applied.indexOf(migration.version) < 0; });
+      return pending.reduce(function(chain, migration) {
+        return chain.then(function() {
+          if(migration.applies && !migration.applies(ctx)) {
+            return log.info("Migration has nothing to do yet, leaving it for a later run", { version: migration.version, name: migration.name, target: driver.name });
+          }
+          var run = migration[driver.type];
+          log.info("Applying migration", { version: migration.version, name: migration.name, target: driver.name });
+          return Promise.resolve(run ? run(driver, ctx) : null)
+            .catch(function(err) {
+              throw new Error(`Migration ${migration.version} (${migration.name}) failed on ${driver.name}: ${err.message}`);
+            })
+            .then(function() { return driver.recordMigration(migration); })
+            .then(function() { summary.migrations.push(migration.version); });
+        });
+      }, Promise.resolve());
+    })
+    .then(function() { return summary; });
+}
+
+module.exports = {
+  durationSeconds: durationSeconds,
+  formatDuration: formatDuration,
+  rollupsFor: rollupsFor,
+  provision: provision
+};
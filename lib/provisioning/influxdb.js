@@ -0,0 +1,150 @@
+// InfluxDB 1.x provisioning over the sink's influx client: database, retention policies, continuous
+// queries, field types and the migrations applied (the _migrations measurement in "meta")
+var Influx = require("influx");
+var FieldType = Influx.FieldType;
+var provisioning = require("./index");
+var durationSeconds = provisioning.durationSeconds;
+var formatDuration = provisioning.formatDuration;
+var log = require("../logger").child({ module: "provisioning" });
+
+var quoted = Influx.escape.quoted;
+var typeNames = {};
+typeNames[FieldType.FLOAT] = "float";
+typeNames[FieldType.INTEGER] = "integer";
+typeNames[FieldType.STRING] = "string";
+typeNames[FieldType.BOOLEAN] = "boolean";
+
+// the SELECT of a rollup, over everything or from a time on (a duration back from now)
+function rollupSelect(rollup, database, retention, since) {
+  return "SELECT " + rollup.aggregates.map(function(it) { return `${it.fn}(${quoted(it.field)}) AS ${quoted(it.as)}`; }).join(", ") +
+    ` INTO ${quoted(database)}.${quoted(retention.rollups.name)}.${quoted(rollup.measurement)}` +
+    ` FROM ${quoted(database)}.${quoted(retention.raw.name)}.${quoted(rollup.from)}` +
+    (since ? ` WHERE time > now() - ${since}` : "") +
+    ` GROUP BY time(${formatDuration(durationSeconds(rollup.interval))}), ` + rollup.groupBy.map(quoted).join(", ");
+}
+
+// how InfluxDB tells CQs apart: case, quotes and spacing aside
+function normalize(query) {
+  return String(query).replace(/"/g, "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+function createInfluxDbDriver(influx, database) {
+  var created = false; // the database is new, nothing in it was set up by someone else
+  // series of a query's first result, POSTed since migrations write (SELECT INTO); rejects on query errors
+  function series(query) {
+    return influx.queryRaw(query, { database: database, method: "POST" }).then(function(raw) {
+      var result = (raw.results || [])[0] || {};
+      if(result.error) throw new Error(`${result.error} (${query})`);
+      return result.series || [];
+    });
+  }
+
+  return {
+    type: "influxdb",
+    name: "influxdb:" + database,
+    database: database,
+    series: series,
+    rollupSelect: rollupSelect,
+
+    ensureDatabase: function() {
+      return influx.getDatabaseNames().then(function(names) {
+        if(names.indexOf(database) > -1) return null;
+        created = true;
+        return influx.createDatabase(database).then(function() { return "database " + database; });
+      });
+    },
+
+    // policies: [{ name, duration, seconds, isDefault }]; durations differing are altered, which is
+    // also how a shorter retention is rolled out. The default policy is only set up in a database
+    // created here: in one that was there before, the policy that is the default keeps being written
+    // to as it is, like the raw bucket on 2.x, and the isDefault policy is updated to name it
+    ensureRetention: function(policies) {
+      return influx.showRetentionPolicies(database).then(function(existing) {
+        var current = existing.find(function(it) { return it.default; });
+        return policies.reduce(function(chain, policy) {
+          return chain.then(function(actions) {
+            if(policy.isDefault && current && !created) {
+              var seconds = durationSeconds(current.duration);
+              if(seconds !== policy.seconds) {
+                log.warn("The default retention policy keeps data for another time than provision.retention.raw says; change it in InfluxDB if that's intended",
+                  { policy: current.name, retention: formatDuration(seconds), configured: policy.duration });
+              }
+              Object.assign(policy, { name: current.name, duration: formatDuration(seconds), seconds: seconds });
+              return actions;
+            }
+            var found = existing.find(function(it) { return it.name === policy.name; });
+            var options = { database: database, duration: policy.duration, replication: (found ? found.replicaN : 1), isDefault: !!policy.isDefault };
+            if(!found) {
+              return influx.createRetentionPolicy(policy.name, options)
+                .then(function() { return actions.concat(`retention policy ${policy.name} (${policy.duration}${policy.isDefault ? ", default" : ""})`); });
+            }
+            if(durationSeconds(found.duration) !== policy.seconds || (policy.isDefault && !found.default)) {
+              return influx.alterRetentionPolicy(policy.name, options)
+                .then(function() { return actions.concat(`retention policy ${policy.name} altered to ${policy.duration}${policy.isDefault ? ", default" : ""}`); });
+            }
+            return actions;
+          });
+        }, Promise.resolve([]));
+      });
+    },
+
+    // a continuous query per rollup, resampling the last two intervals so late points still count;
+    // a changed definition is dropped and created again (CQs can't be altered)
+    ensureRollups: function(rollups, retention) {
+      return series("SHOW CONTINUOUS QUERIES").then(function(all) {
+        var existing = {};
+        all.filter(function(it) { return it.name === database; }).forEach(function(it) {
+          (it.values || []).forEach(function(row) { existing[row[0]] = row[1]; });
+        });
+        return rollups.reduce(function(chain, rollup) {
+          return chain.then(function(actions) {
+            var every = durationSeconds(rollup.interval);
+            var resample = `RESAMPLE EVERY ${formatDuration(every)} FOR ${formatDuration(every * 2)}`;
+            var select = rollupSelect(rollup, database, retention);
+            var wanted = `CREATE CONTINUOUS QUERY ${quoted(rollup.name)} ON ${quoted(database)} ${resample} BEGIN ${select} END`;
+            if(existing[rollup.name] && normalize(existing[rollup.name]) === normalize(wanted)) return actions;
+            return Promise.resolve(existing[rollup.name] ? influx.dropContinuousQuery(rollup.name, database) : null)
+              .then(function() { return influx.createContinuousQuery(rollup.name, select, database, resample); })
+              .then(function() { return actions.concat(`continuous query ${rollup.name}${existing[rollup.name] ? " (changed)" : ""}`); });
+          });
+        }, Promise.resolve([]));
+      });
+    },
+
+    // fields whose stored type differs from the schema's: [{ measurement, field, stored, schema }]
+    fieldConflicts: function(schema) {
+      return series("SHOW FIELD KEYS").then(function(all) {
+        var conflicts = [];
+        schema.forEach(function(declared) {
+          var stored = all.find(function(it) { return it.name === declared.measurement; });
+          (stored ? stored.values || [] : []).forEach(function(row) {
+            var type = typeNames[declared.fields[row[0]]];
+            if(type && type !== row[1]) conflicts.push({ measurement: declared.measurement, field: row[0], stored: row[1], schema: type });
+          });
+        });
+        return conflicts;
+      });
+    },
+
+    appliedMigrations: function() {
+      return series(`SELECT * FROM ${quoted(database)}."meta"."_migrations"`).then(function(all) {
+        var versions = [];
+        all.forEach(function(it) {
+          var column = it.columns.indexOf("version");
+          (it.values || []).forEach(function(row) { versions.push(Number(row[column])); });
+        });
+        return versions;
+      });
+    },
+
+    recordMigration: function(migration) {
+      return influx.writePoints([{
+        measurement: "_migrations",
+        tags: { version: String(migration.version) },
+        fields: { name: migration.name }
+      }], { database: database, retentionPolicy: "meta" });
+    }
+  };
+}
+
+module.exports = createInfluxDbDriver;
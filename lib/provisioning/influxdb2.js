@@ -0,0 +1,191 @@
+// InfluxDB 2.x provisioning over the v2 API: the bucket written to (raw), <bucket>_rollups and
+// <bucket>_meta with their retention, a task per rollup, and the migrations applied (the _migrations
+// measurement in <bucket>_meta)
+// https://docs.influxdata.com/influxdb/v2.0/api/
+var request = require("request");
+var provisioning = require("./index");
+var lineProtocol = require("../lineProtocol");
+var log = require("../logger").child({ module: "provisioning" });
+
+var formatDuration = provisioning.formatDuration;
+var durationSeconds = provisioning.durationSeconds;
+
+function fluxString(value) {
+  return JSON.stringify(String(value));
+}
+
+// the Flux of a rollup: its task (every interval, over the last one) or a run over a time range
+function rollupFlux(rollup, buckets, org, range) {
+  var every = formatDuration(durationSeconds(rollup.interval));
+  var columns = rollup.groupBy.concat(["_field"]).map(fluxString).join(", ");
+  return (range ? "" : `option task = {name: ${fluxString(rollup.name)}, every: ${every}, offset: 5m}\n\n`) +
+    `source = from(bucket: ${fluxString(buckets.raw)})\n` +
+    `  |> range(start: ${range || "-task.every"})\n` +
+    `  |> filter(fn: (r) => r._measurement == ${fluxString(rollup.from)})\n` +
+    `  |> group(columns: [${columns}])\n\n` +
+    "union(tables: [\n" +
+    rollup.aggregates.map(function(it) {
+      return `  source |> filter(fn: (r) => r._field == ${fluxString(it.field)}) |> aggregateWindow(every: ${every}, fn: ${it.fn}, createEmpty: false)` +
+        ` |> toFloat() |> set(key: "_field", value: ${fluxString(it.as)})`;
+    }).join(",\n") +
+    "\n])\n" +
+    `  |> set(key: "_measurement", value: ${fluxString(rollup.measurement)})\n` +
+    `  |> to(bucket: ${fluxString(buckets.rollups)}, org: ${fluxString(org)})\n`;
+}
+
+function createInfluxDb2Driver(options) {
+  var url = (options.url || "http://localhost:8086").replace(/\/+$/, "");
+  var org = options.org;
+  var buckets = { raw: options.bucket, rollups: options.bucket + "_rollups", meta: options.bucket + "_meta" };
+  var headers = {};
+  if(options.token) headers["Authorization"] = "Token " + options.token;
+  var orgID = null;
+
+  function api(method, path, qs, body) {
+    return new Promise(function(resolve, reject) {
+      request({ method: method, url: url + path, qs: qs, headers: headers, json: (body === undefined ? true : body) }, function(error, res, resBody) {
+        if(error) return reject(error);
+        if(res.statusCode >= 300) {
+          return reject(new Error(`InfluxDB v2 ${method} ${path} failed with HTTP ${res.statusCode}: ${JSON.stringify(resBody)}`));
+        }
+        resolve(resBody);
+      });
+    });
+  }
+
+  // rows of a Flux query as objects, from the CSV the query API answers
+  function query(flux) {
+    return new Promise(function(resolve, reject) {
+      request.post({
+        url: url + "/api/v2/query",
+        qs: { org: org },
+        headers: Object.assign({ "Accept": "application/csv", "Content-Type": "application/json" }, headers),
+        body: JSON.stringify({ query: flux, type: "flux", dialect: { header: true, annotations: [] } })
+      },
+      function(error, res, resBody) {
+        if(error) return reject(error);
+        if(res.statusCode >= 300) return reject(new Error("InfluxDB v2 query failed with HTTP " + res.statusCode + ": " + resBody));
+        var rows = [];
+        var header = null;
+        resBody.split(/\r?\n/).forEach(function(line) {
+          if(line.trim().length < 1) return header = null;
+          var cells = line.split(",");
+          if(!header) return header = cells;
+          var row = {};
+          header.forEach(function(name, i) { row[name] = cells[i]; });
+          rows.push(row);
+        });
+        resolve(rows);
+      });
+    });
+  }
+
+  function orgId() {
+    if(orgID) return Promise.resolve(orgID);
+    return api("GET", "/api/v2/orgs", { org: org }).then(function(body) {
+      if(!body.orgs || body.orgs.length < 1) throw new Error(`No InfluxDB organization '${org}'`);
+      return (orgID = body.orgs[0].id);
+    });
+  }
+
+  function findBucket(name) {
+    return api("GET", "/api/v2/buckets", { org: org, name: name }).then(function(body) {
+      return (body.buckets || []).find(function(it) { return it.name === name; }) || null;
+    });
+  }
+
+  function retentionRules(seconds) {
+    return (seconds > 0 ? [{ type: "expire", everySeconds: seconds }] : []);
+  }
+
+  function bucketSeconds(bucket) {
+    var rule = (bucket.retentionRules || []).find(function(it) { return it.type === "expire"; });
+    return (rule ? rule.everySeconds : 0);
+  }
+
+  return {
+    type: "influxdb2",
+    name: "influxdb2:" + buckets.raw,
+    buckets: buckets,
+    org: org,
+    query: query,
+    rollupFlux: rollupFlux,
+
+    // the organization has to be there already; buckets are created with their retention below
+    ensureDatabase: function() {
+      return orgId().then(function() { return null; });
+    },
+
+    // the raw bucket is created with the raw retention but otherwise left alone, since it may hold
+    // data kept on purpose; the rollups and meta buckets are the collector's and follow the settings
+    ensureRetention: function(policies) {
+      return policies.reduce(function(chain, policy) {
+        return chain.then(function(actions) {
+          var name = buckets[policy.name];
+          return Promise.all([orgId(), findBucket(name)]).then(function(found) {
+            var bucket = found[1];
+            if(!bucket) {
+              return api("POST", "/api/v2/buckets", null, { orgID: found[0], name: name, retentionRules: retentionRules(policy.seconds) })
+                .then(function() { return actions.concat(`bucket ${name} (${policy.duration})`); });
+            }
+            if(bucketSeconds(bucket) === policy.seconds) return actions;
+            if(policy.name === "raw") {
+              log.warn("The bucket keeps data for another time than provision.retention.raw says; change it in InfluxDB if that's intended",
+                { bucket: name, retention: formatDuration(bucketSeconds(bucket)), configured: policy.duration });
+              return actions;
+            }
+            return api("PATCH", "/api/v2/buckets/" + bucket.id, null, { retentionRules: retentionRules(policy.seconds) })
+              .then(function() { return actions.concat(`bucket ${name} retention changed to ${policy.duration}`); });
+          });
+        });
+      }, Promise.resolve([]));
+    },
+
+    // a task per rollup, its Flux updated when the definition changed
+    ensureRollups: function(rollups) {
+      return rollups.reduce(function(chain, rollup) {
+        return chain.then(function(actions) {
+          var flux = rollupFlux(rollup, buckets, org);
+          return api("GET", "/api/v2/tasks", { org: org, name: rollup.name }).then(function(body) {
+            var task = (body.tasks || []).find(function(it) { return it.name === rollup.name; });
+            if(task && task.flux.trim() === flux.trim()) return actions;
+            if(task) {
+              return api("PATCH", "/api/v2/tasks/" + task.id, null, { flux: flux })
+                .then(function() { return actions.concat(`task ${rollup.name} (changed)`); });
+            }
+            return api("POST", "/api/v2/tasks", null, { org: org, flux: flux, status: "active", description: "rollup of the collector's " + rollup.from + " measurement" })
+              .then(function() { return actions.concat(`task ${rollup.name}`); });
+          });
+        });
+      }, Promise.resolve([]));
+    },
+
+    appliedMigrations: function() {
+      return query(`from(bucket: ${fluxString(buckets.meta)}) |> range(start: 0) |> filter(fn: (r) => r._measurement == "_migrations") |> keep(columns: ["version"]) |> distinct(column: "version")`)
+        .then(function(rows) { return rows.map(function(row) { return Number(row.version || row._value); }); });
+    },
+
+    recordMigration: function(migration) {
+      var body = lineProtocol.format([{
+        measurement: "_migrations",
+        tags: { version: String(migration.version) },
+        fields: { name: migration.name },
+        timestamp: new Date()
+      }], null, "ms");
+      return new Promise(function(resolve, reject) {
+        request.post({
+          url: url + "/api/v2/write",
+          qs: { org: org, bucket: buckets.meta, precision: "ms" },
+          headers: Object.assign({ "Content-Type": "text/plain; charset=utf-8" }, headers),
+          body: body
+        }, function(error, res, resBody) {
+          if(error) return reject(error);
+          if(res.statusCode >= 300) return reject(new Error("InfluxDB v2 write failed with HTTP " + res.statusCode + ": " + resBody));
+          resolve();
+        });
+      });
+    }
+  };
+}
+
+module.exports = createInfluxDb2Driver;
@@ -0,0 +1,100 @@
+/*
+Record and replay sessions of stream events
+
+A session is a gzip compressed JSON Lines archive, one { "t": arrivalMs, "event": {...} } per line.
+Sessions written by hand may also hold posts of other platforms in the common post model,
+{ "t": ..., "post": {...}, "platform": "mastodon" } (see sources/index.js); the collector turns
+them into events before replaying.
+Every event is flushed as it's written, so an archive cut short by a crash or Ctrl-C still reads
+back up to the last complete line.
+
+Replay plays a session back at its recorded pace (speed 1), N times faster (speed N) or as fast as
+possible (speed "max"), without touching the archive. When onEvent returns a Promise (the consumer
+is full), the replay waits for it before handing over the next event.
+*/
+var fs = require("fs");
+var path = require("path");
+var zlib = require("zlib");
+var readline = require("readline");
+var log = require("./logger").child({ module: "recorder" });
+
+function createRecorder(dir) {
+  if(!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  var filePath = path.join(dir, "session-" + new Date().toISOString().replace(/[:.]/g, "-") + ".jsonl.gz");
+  var gzip = zlib.createGzip();
+  gzip.pipe(fs.createWriteStream(filePath));
+  log.info("Recording stream events", { file: filePath });
+
+  return {
+    filePath: filePath,
+
+    record: function(event) {
+      gzip.write(JSON.stringify({ t: Date.now(), event: event }) + "\n");
+      gzip.flush(zlib.constants.Z_SYNC_FLUSH);
+    },
+
+    close: function() {
+      return new Promise(function(resolve) { gzip.end(resolve); });
+    }
+  };
+}
+
+// session archives in a directory, oldest first (names sort by recording time)
+function listSessions(dir) {
+  if(!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(function(name) { return /\.jsonl(\.gz)?$/.test(name); })
+    .sort()
+    .map(function(name) { return path.join(dir, name); });
+}
+
+// read a session into [{ t, event }]; plain .jsonl works too
+function readSession(filePath) {
+  return new Promise(function(resolve, reject) {
+    var input = fs.createReadStream(filePath);
+    input.on("error", reject);
+    if(/\.gz$/.test(filePath)) {
+      // tolerate archives that were never closed properly
+      var gunzip = zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      gunzip.on("error", reject);
+      input = input.pipe(gunzip);
+    }
+    var entries = [];
+    readline.createInterface({ input: input })
+      .on("line", function(line) {
+        if(line.trim().length < 1) return;
+        try {
+          entries.push(JSON.parse(line));
+        } catch(err) {
+          log.warn("Skipping unreadable line", { file: filePath, line: line.substring(0, 80) });
+        }
+      })
+      .on("close", function() { resolve(entries); });
+  });
+}
+
+// hand entries to onEvent with their recorded spacing divided by speed; resolves after the last one
+function replay(entries, speed, onEvent) {
+  if(entries.length < 1) return Promise.resolve(0);
+  var paced = !(speed === "max" || !(Number(speed) > 0));
+  var t0 = entries[0].t;
+  var started = Date.now();
+  return entries.reduce(function(chain, entry) {
+    return chain.then(function() {
+      if(!paced) return onEvent(entry.event);
+      var due = started + (entry.t - t0) / Number(speed);
+      return new Promise(function(resolve) {
+        setTimeout(function() {
+          resolve(onEvent(entry.event));
+        }, Math.max(0, due - Date.now()));
+      });
+    });
+  }, Promise.resolve()).then(function() { return entries.length; });
+}
+
+module.exports = {
+  createRecorder: createRecorder,
+  listSessions: listSessions,
+  readSession: readSession,
+  replay: replay
+};
@@ -0,0 +1,222 @@
+/*
+Author reputation: who the account trusts, as a persisted graph of decaying interaction scores
+
+  var store = createReputationStore({ file: "reputation.json", lists: "authors.txt", timeline: fetch });
+  store.refresh()          reload the lists, add new interactions from the timeline, save
+  store.reputation(name)   0..1; allowed authors 1, unknown authors 0
+  store.blocked(name)      true for denied authors, whose tweets are dropped
+
+Interactions come from the account's own timeline (timeline() resolves v1.1 tweets): a retweet of an
+author counts 3, a reply to them 2 and a mention 1. Scores halve every halfLife days, so old
+interactions fade; reputation is 1 - e^(-score / scale). Every tweet is counted once, however often
+the timeline is read.
+
+The lists file names authors explicitly, one per line, "allow name" or "deny name" (# comments);
+it's read again on every refresh. The graph is saved to file after every refresh and loaded at
+startup, so an offline run uses the last saved graph.
+*/
+var fs = require("fs");
+var _ = require("lodash");
+var log = require("./logger").child({ module: "reputation" });
+
+var defaults = {
+  file: "reputation.json", // null keeps the graph in memory only
+  lists: "authors.txt", // allow/deny list file; missing is fine
+  allow: [], // authors allowed on top of the lists file
+  timeline: null, // function() => Promise of v1.1 tweets; null when offline
+  halfLife: 30, // days
+  scale: 5, // score at which reputation reaches 63%
+  maxSeen: 5000 // tweet ids remembered so refreshes don't count them twice
+};
+
+var weights = {
+  retweets: 3,
+  replies: 2,
+  mentions: 1
+};
+
+function normalizeName(name) {
+  return String(name || "").replace(/^@/, "").trim().toLowerCase();
+}
+
+// { allow: [names], deny: [names] }
+function parseLists(text) {
+  var lists = { allow: [], deny: [] };
+  text.split(/\r?\n/).forEach(function(line, i) {
+    line = line.replace(/#.*$/, "").trim();
+    if(line.length < 1) return;
+    var parts = line.split(/\s+/);
+    if(parts.length !== 2 || !lists[parts[0].toLowerCase()]) {
+      throw new Error(`Line ${i + 1} must be "allow <name>" or "deny <name>" (got '${line}').`);
+    }
+    lists[parts[0].toLowerCase()].push(normalizeName(parts[1]));
+  });
+  return lists;
+}
+
+// the authors a tweet of the account interacted with, as [{ author, kind }]
+function interactions(tweet) {
+  if(tweet.retweeted_status && tweet.retweeted_status.user) {
+    return [{ author: tweet.retweeted_status.user.screen_name, kind: "retweets" }];
+  }
+  var found = [];
+  if(tweet.in_reply_to_screen_name) found.push({ author: tweet.in_reply_to_screen_name, kind: "replies" });
+  _.get(tweet, "entities.user_mentions", []).forEach(function(mention) {
+    if(normalizeName(mention.screen_name) !== normalizeName(tweet.in_reply_to_screen_name)) {
+      found.push({ author: mention.screen_name, kind: "mentions" });
+    }
+  });
+  return found;
+}
+
+function createReputationStore(options) {
+  var opts = _.defaults({}, options, defaults);
+  var halfLifeMs = opts.halfLife * 24 * 3600 * 1000;
+  var authors = {}; // name => { score, at, retweets, replies, mentions }
+  var seen = []; // tweet ids already counted, oldest first
+  var lists = { allow: [], deny: [] };
+  var updated = null;
+  var timer = null;
+
+  function decay(ms) {
+    return Math.pow(0.5, Math.max(0, ms) / halfLifeMs);
+  }
+
+  function current(entry, now) {
+    return entry.score * decay(now - entry.at);
+  }
+
+  // an interaction at time `at`; scores are kept as of the entry's latest interaction
+  function add(name, kind, at) {
+    var entry = authors[name] = authors[name] || { score: 0, at: at, retweets: 0, replies: 0, mentions: 0 };
+    if(at <= entry.at) {
+      entry.score += weights[kind] * decay(entry.at - at);
+    } else {
+      entry.score = entry.score * decay(at - entry.at) + weights[kind];
+      entry.at = at;
+    }
+    entry[kind]++;
+  }
+
+  function load() {
+    if(!opts.file || !fs.existsSync(opts.file)) return false;
+    try {
+      var saved = JSON.parse(fs.readFileSync(opts.file, "utf8"));
+      authors = saved.authors || {};
+      seen = saved.seen || [];
+      updated = saved.updated || null;
+      log.info("Loaded author graph", { file: opts.file, authors: Object.keys(authors).length, updated: updated });
+      return true;
+    } catch(err) {
+      log.warn("Ignoring unreadable author graph", { file: opts.file }, err);
+      return false;
+    }
+  }
+
+  function save() {
+    if(!opts.file) return;
+    try {
+      fs.writeFileSync(opts.file, JSON.stringify({ updated: updated, authors: authors, seen: seen }, null, 2));
+    } catch(err) {
+      log.error("Could not save author graph", { file: opts.file }, err);
+    }
+  }
+
+  function readLists() {
+    var next = { allow: [], deny: [] };
+    if(opts.lists && fs.existsSync(opts.lists)) {
+      try {
+        next = parseLists(fs.readFileSync(opts.lists, "utf8"));
+      } catch(err) {
+        log.error("Could not read author lists; keeping the previous ones", { file: opts.lists }, err);
+        return;
+      }
+    }
+    next.allow = _.uniq(next.allow.concat(opts.allow.map(normalizeName)));
+    lists = next;
+  }
+
+  function fromTimeline() {
+    if(!opts.timeline) return Promise.resolve(0);
+    return opts.timeline().then(function(tweets) {
+      var counted = 0;
+      tweets.forEach(function(tweet) {
+        if(seen.indexOf(tweet.id_str) > -1) return;
+        seen.push(tweet.id_str);
+        var at = new Date(tweet.created_at).getTime() || Date.now();
+        interactions(tweet).forEach(function(it) {
+          add(normalizeName(it.author), it.kind, at);
+          counted++;
+        });
+      });
+      seen = seen.slice(-opts.maxSeen);
+      return counted;
+    });
+  }
+
+  var store = {
+    load: load,
+
+    // resolves { authors, interactions }; a failing timeline keeps the graph as it was
+    refresh: function() {
+      readLists();
+      return fromTimeline()
+        .catch(function(err) {
+          log.warn("Could not read the timeline; keeping the author graph", err);
+          return 0;
+        })
+        .then(function(counted) {
+          updated = new Date().toISOString();
+          save();
+          var summary = { authors: Object.keys(authors).length, interactions: counted, allowed: lists.allow.length, denied: lists.deny.length };
+          log.debug("Author graph refreshed", summary);
+          return summary;
+        });
+    },
+
+    reputation: function(name) {
+      name = normalizeName(name);
+      if(lists.allow.indexOf(name) > -1) return 1;
+      if(lists.deny.indexOf(name) > -1 || !authors[name]) return 0;
+      return 1 - Math.exp(-current(authors[name], Date.now()) / opts.scale);
+    },
+
+    blocked: function(name) {
+      return lists.deny.indexOf(normalizeName(name)) > -1;
+    },
+
+    // the n most reputable authors, for the admin route
+    top: function(n) {
+      return _.take(_.orderBy(Object.keys(authors).map(function(name) {
+        return Object.assign({ author: name, reputation: store.reputation(name) }, _.pick(authors[name], ["retweets", "replies", "mentions"]));
+      }), "reputation", "desc"), n || 50);
+    },
+
+    lists: function() {
+      return _.cloneDeep(lists);
+    },
+
+    get size() { return Object.keys(authors).length; },
+
+    // refresh every intervalMs (0 or less: never)
+    start: function(intervalMs) {
+      clearInterval(timer);
+      if(intervalMs > 0) {
+        timer = setInterval(store.refresh, intervalMs);
+        timer.unref();
+      }
+    },
+
+    stop: function() {
+      clearInterval(timer);
+    }
+  };
+  return store;
+}
+
+module.exports = {
+  weights: weights,
+  parseLists: parseLists,
+  interactions: interactions,
+  createReputationStore: createReputationStore
+};
@@ -0,0 +1,246 @@
+/*
+Schema mapping: how a processed tweet result becomes InfluxDB points
+
+A mapping (JSON file, see schema.example.json) names the measurement, the tags and the fields to
+write, and where the point timestamp comes from. Tags and fields are either one of the named
+extractors below or a lodash-style path into the result, e.g. "event.user.statuses_count"; fields
+given by path also need a type (integer, float, string or boolean).
+
+  measurement       measurement name (default "tweets")
+  timestamp         "tweet" uses timestamp_ms/created_at of the tweet, "write" leaves it to the database
+  pointPerKeyword   write one point per matched keyword, tagged "keyword", so GROUP BY keyword works
+  tags              { tagName: extractor | path }
+  fields            { fieldName: extractor | { path, type } }
+
+Leaving "raw" out of the fields drops the full JSON copy of the tweet. The fields "retweets" and
+"deleted" are written onto a tweet's points later, as retweets and deletes arrive (lib/events.js).
+*/
+var fs = require("fs");
+var _ = require("lodash");
+var FieldType = require("influx").FieldType;
+var events = require("./events");
+
+var typeNames = {
+  integer: FieldType.INTEGER,
+  float: FieldType.FLOAT,
+  string: FieldType.STRING,
+  boolean: FieldType.BOOLEAN
+};
+
+// posts without a platform are tweets (recorded before there were other sources)
+function platformOf(event) {
+  return (event && event.platform) || "twitter";
+}
+
+function entities(result, kind) {
+  return _.get(result, ["event", "entities", kind]) || [];
+}
+
+// strip the anchor Twitter wraps the client name in: <a href="...">Paper.li</a>
+function sourceName(source) {
+  return source ? String(source).replace(/<[^>]*>/g, "").trim() : undefined;
+}
+
+// the -1..1 sentiment score; with one point per keyword, the score of the sentences mentioning that
+// keyword when the analyzer provides it
+function sentimentScore(result, keyword) {
+  if(!result.sentiment) return undefined;
+  var entity = keyword && _.find(result.sentiment.entities, function(it) {
+    return it.sentiment && String(it.mention).toLowerCase() === keyword;
+  });
+  return entity ? entity.sentiment.score : result.sentiment.score;
+}
+
+function entityMentions(result) {
+  var mentions = _.uniq(_.get(result, "sentiment.entities", []).map(function(it) { return it.mention; }));
+  return mentions.length > 0 ? mentions.join(",") : undefined;
+}
+
+function hashtags(result) {
+  return _.uniq(entities(result, "hashtags").map(function(it) { return it.text.toLowerCase(); })).sort();
+}
+
+// named extractors available to tags and fields
+var extractors = {
+  // tags
+  keywords: { type: FieldType.STRING, get: function(result) { return result.tags.length > 0 ? result.tags.join(",") : undefined; } },
+  platform: { type: FieldType.STRING, get: function(result) { return platformOf(result.event); } }, // twitter, mastodon, bluesky ...
+  keyword: { type: FieldType.STRING, get: function(result, keyword) { return keyword; } },
+  lang: { type: FieldType.STRING, get: function(result) { return _.get(result, "event.lang"); } },
+  source: { type: FieldType.STRING, get: function(result) { return sourceName(_.get(result, "event.source")); } },
+  verified: { type: FieldType.BOOLEAN, get: function(result) { return !!_.get(result, "event.user.verified"); } },
+  is_retweet: { type: FieldType.BOOLEAN, get: function(result) { return !!_.get(result, "event.retweeted_status"); } },
+  is_quote: { type: FieldType.BOOLEAN, get: function(result) { return !!_.get(result, "event.is_quote_status"); } },
+  is_reply: { type: FieldType.BOOLEAN, get: function(result) { return !!_.get(result, "event.in_reply_to_status_id_str"); } },
+  kind: { type: FieldType.STRING, get: function(result) { return events.classify(result.event).kind; } }, // original, retweet, quote or reply
+  // all of them comma joined; better a field than a tag, where every combination is a series of its own.
+  // The tweet_hashtags measurement (lib/enrichment.js) has a point per hashtag to GROUP BY
+  hashtags: { type: FieldType.STRING, get: function(result) { var h = hashtags(result); return h.length > 0 ? h.join(",") : undefined; } },
+  moderation_reasons: { type: FieldType.STRING, get: function(result) { return _.get(result, "moderation.reasons", []).join(",") || undefined; } }, // reason codes, as a tag or a field
+
+  // fields
+  tweetid: { type: FieldType.INTEGER, get: function(result) { return /^\d+$/.test(result.tweetid) ? result.tweetid : undefined; } }, // tweets only
+  post_id: { type: FieldType.STRING, get: function(result) { return _.get(result, "event.post_id") || result.tweetid; } }, // the id on its platform
+  relevance: { type: FieldType.FLOAT, get: function(result) { return result.relevance; } },
+  user: { type: FieldType.STRING, get: function(result) { return result.user; } },
+  volatile: { type: FieldType.BOOLEAN, get: function(result) { return result.volatile; } },
+  reputation: { type: FieldType.FLOAT, get: function(result) { return result.reputation; } }, // of the author, 0..1
+  moderation_severity: { type: FieldType.FLOAT, get: function(result) { return _.get(result, "moderation.severity"); } }, // 0..1
+  raw: { type: FieldType.STRING, get: function(result) { return JSON.stringify(result); } },
+  text: { type: FieldType.STRING, get: function(result) { return _.get(result, "event.text"); } },
+  followers_count: { type: FieldType.INTEGER, get: function(result) { return _.get(result, "event.user.followers_count"); } },
+  friends_count: { type: FieldType.INTEGER, get: function(result) { return _.get(result, "event.user.friends_count"); } },
+  retweet_count: { type: FieldType.INTEGER, get: function(result) { return _.get(result, "event.retweet_count"); } },
+  favorite_count: { type: FieldType.INTEGER, get: function(result) { return _.get(result, "event.favorite_count"); } },
+  sentiment_score: { type: FieldType.FLOAT, get: sentimentScore },
+  sentiment_label: { type: FieldType.STRING, get: function(result) { return _.get(result, "sentiment.label"); } },
+  sentiment_confidence: { type: FieldType.FLOAT, get: function(result) { return _.get(result, "sentiment.confidence"); } },
+  sentiment_provider: { type: FieldType.STRING, get: function(result) { return _.get(result, "sentiment.provider"); } },
+  entity_mentions: { type: FieldType.STRING, get: entityMentions },
+  keyword_count: { type: FieldType.INTEGER, get: function(result) { return result.tags.length; } },
+  match_score: { type: FieldType.FLOAT, get: function(result) { return result.score; } },
+  matched_terms: { type: FieldType.STRING, get: function(result) { return (result.matches || []).map(function(it) { return it.term; }).join(",") || undefined; } },
+  url_count: { type: FieldType.INTEGER, get: function(result) { return entities(result, "urls").length; } },
+  hashtag_count: { type: FieldType.INTEGER, get: function(result) { return entities(result, "hashtags").length; } },
+  mention_count: { type: FieldType.INTEGER, get: function(result) { return entities(result, "user_mentions").length; } },
+  media_count: { type: FieldType.INTEGER, get: function(result) { return entities(result, "media").length; } }
+};
+
+// the tweets measurement as the collector writes it without --schema: the classic keywords tag, tweetid,
+// relevance, user, volatile and raw, plus platform, post_id, reputation, moderation and sentiment,
+// with the tweet's own time as the timestamp
+var defaultMapping = {
+  measurement: "tweets",
+  timestamp: "tweet",
+  pointPerKeyword: false,
+  tags: {
+    keywords: "keywords",
+    platform: "platform"
+  },
+  fields: {
+    tweetid: "tweetid",
+    post_id: "post_id",
+    relevance: "relevance",
+    user: "user",
+    volatile: "volatile",
+    reputation: "reputation",
+    moderation_severity: "moderation_severity",
+    moderation_reasons: "moderation_reasons",
+    sentiment_score: "sentiment_score",
+    sentiment_label: "sentiment_label",
+    entity_mentions: "entity_mentions",
+    raw: "raw"
+  }
+};
+
+// resolve a mapping entry to { type, get }
+function resolve(name, spec, kind) {
+  if(typeof spec === "string") {
+    if(extractors[spec]) return extractors[spec];
+    spec = { path: spec };
+  }
+  if(!spec || typeof spec.path !== "string") {
+    throw new Error(`Schema ${kind} '${name}' must name an extractor (${Object.keys(extractors).join(", ")}) or give a path.`);
+  }
+  var type = FieldType.STRING;
+  if(kind === "field") {
+    type = typeNames[spec.type];
+    if(type === undefined) {
+      throw new Error(`Schema field '${name}' needs a type of ${Object.keys(typeNames).join(", ")} (got '${spec.type}').`);
+    }
+  }
+  var path = spec.path;
+  return { type: type, get: function(result) { return _.get(result, path); } };
+}
+
+function validate(mapping) {
+  if(!mapping.measurement || typeof mapping.measurement !== "string") {
+    throw new Error("Schema mapping needs a measurement name.");
+  }
+  if(["tweet", "write"].indexOf(mapping.timestamp) < 0) {
+    throw new Error(`Schema timestamp must be "tweet" or "write" (got '${mapping.timestamp}').`);
+  }
+  if(!mapping.fields || Object.keys(mapping.fields).length < 1) {
+    throw new Error("Schema mapping needs at least one field; InfluxDB points can't be written without one.");
+  }
+  var overlap = _.intersection(Object.keys(mapping.tags || {}), Object.keys(mapping.fields));
+  if(overlap.length > 0) {
+    throw new Error(`Schema names can't be both a tag and a field: ${overlap.join(", ")}`);
+  }
+  return mapping;
+}
+
+function loadMapping(filePath) {
+  var json;
+  try {
+    json = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch(err) {
+    throw new Error(`Could not read schema mapping '${filePath}'. ${err.message}`);
+  }
+  return validate(Object.assign({}, defaultMapping, json));
+}
+
+// the tweet's own time; timestamp_ms is more precise than created_at
+function tweetTime(result) {
+  var event = result.event || {};
+  if(event.timestamp_ms) return new Date(Number(event.timestamp_ms));
+  if(event.created_at) {
+    var date = new Date(event.created_at);
+    if(!isNaN(date.getTime())) return date;
+  }
+  return undefined;
+}
+
+function createSchema(mapping) {
+  mapping = validate(Object.assign({}, defaultMapping, mapping));
+
+  var tags = _.mapValues(mapping.tags || {}, function(spec, name) { return resolve(name, spec, "tag"); });
+  var fields = _.mapValues(mapping.fields, function(spec, name) { return resolve(name, spec, "field"); });
+  var tagNames = Object.keys(tags);
+  if(mapping.pointPerKeyword && tagNames.indexOf("keyword") < 0) {
+    tags.keyword = extractors.keyword;
+    tagNames.push("keyword");
+  }
+
+  function toPoint(result, keyword) {
+    var point = { measurement: mapping.measurement, tags: {}, fields: {} };
+    tagNames.forEach(function(name) {
+      var value = tags[name].get(result, keyword);
+      if(value !== undefined && value !== null && value !== "") point.tags[name] = String(value);
+    });
+    Object.keys(fields).forEach(function(name) {
+      var value = fields[name].get(result, keyword);
+      if(value !== undefined && value !== null) point.fields[name] = value;
+    });
+    if(mapping.timestamp === "tweet") point.timestamp = tweetTime(result);
+    return point;
+  }
+
+  return {
+    mapping: mapping,
+    measurement: mapping.measurement,
+
+    // influx client schema for the measurement this mapping writes
+    influxSchema: [{
+      measurement: mapping.measurement,
+      fields: _.mapValues(fields, "type"),
+      tags: tagNames
+    }],
+
+    toPoints: function(result) {
+      if(mapping.pointPerKeyword && result.tags.length > 0) {
+        return result.tags.map(function(keyword) { return toPoint(result, keyword); });
+      }
+      return [toPoint(result)];
+    }
+  };
+}
+
+module.exports = {
+  extractors: extractors,
+  platformOf: platformOf,
+  defaultMapping: defaultMapping,
+  loadMapping: loadMapping,
+  createSchema: createSchema,
+  tweetTime: tweetTime
+};
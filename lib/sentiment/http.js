@@ -0,0 +1,35 @@
+// a model server of your own, e.g. a local transformer behind a small HTTP wrapper
+//   --sentiment http:http://localhost:5000/sentiment
+// POSTs { text, lang, terms } as JSON and expects { score (-1..1), label?, confidence?, entities? }
+// back, entities shaped [{ mention, type, sentiment: { label, score, confidence } }].
+var request = require("request");
+var lexicon = require("./lexicon");
+
+module.exports = {
+  name: "http",
+  create: function(options) {
+    if(!options.target) throw new Error("The http sentiment provider needs a URL, e.g. --sentiment http:http://localhost:5000/sentiment");
+    var timeout = options.timeout || 5000;
+
+    return {
+      name: "http",
+      analyze: function(text, context) {
+        return new Promise(function(resolve, reject) {
+          request.post({ url: options.target, json: { text: text, lang: context.lang, terms: context.terms }, timeout: timeout },
+            function(err, res, body) {
+              if(err) return reject(err);
+              if(res.statusCode !== 200) return reject(new Error(`HTTP ${res.statusCode} from ${options.target}`));
+              var score = Number(body && body.score);
+              if(isNaN(score)) return reject(new Error(`No score in the response from ${options.target}`));
+              resolve({
+                score: score,
+                label: body.label || lexicon.label(score),
+                confidence: (body.confidence !== undefined ? body.confidence : Math.abs(score)),
+                entities: body.entities || []
+              });
+            });
+        });
+      }
+    };
+  }
+};
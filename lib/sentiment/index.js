@@ -0,0 +1,54 @@
+/*
+Sentiment analyzers
+
+An analyzer scores a tweet's text and the keyword entities in it:
+
+  var analyzer = createAnalyzer("lexicon", options);
+  analyzer.analyze(text, { lang, terms }) => Promise of
+    { provider, score (-1..1), label (pos/neg/neu), confidence, entities: [{ mention, type, sentiment }] }
+
+Providers are picked with a spec string, "type" or "type:target":
+
+  lexicon             offline word list scoring, bundled (default); --sentimentLexicon adds words
+  rosette             Rosette API, needs ROSETTE_API_KEY
+  http:<url>          a local model server, see http.js for the contract
+  none                no sentiment
+
+A provider is { name, create(options) => { analyze(text, context) } }; more are added with
+register(provider).
+*/
+var providers = {};
+
+function register(provider) {
+  providers[provider.name] = provider;
+}
+
+[require("./lexicon"), require("./rosette"), require("./http")].forEach(register);
+
+// null when sentiment is turned off
+function createAnalyzer(spec, options) {
+  if(spec === false || spec === "none") return null;
+  spec = String(spec || "lexicon");
+  var i = spec.indexOf(":");
+  var type = (i > -1 ? spec.substring(0, i) : spec);
+  var provider = providers[type];
+  if(!provider) {
+    throw new Error("Unknown sentiment provider '" + type + "'. Valid providers are: " + Object.keys(providers).join(", ") + ", none");
+  }
+  var analyzer = provider.create(Object.assign({}, options, { target: (i > -1 ? spec.substring(i + 1) : undefined) }));
+
+  return {
+    name: provider.name,
+    analyze: function(text, context) {
+      return analyzer.analyze(text, context || {}).then(function(sentiment) {
+        return Object.assign({ provider: provider.name }, sentiment);
+      });
+    }
+  };
+}
+
+module.exports = {
+  providers: providers,
+  register: register,
+  createAnalyzer: createAnalyzer
+};
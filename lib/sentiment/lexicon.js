@@ -0,0 +1,100 @@
+// offline sentiment from a word list, scored VADER style: word valences (AFINN scale, -5..5)
+// adjusted for negation, intensifiers, "but", ALL CAPS and exclamation marks, then squashed into
+// a compound score in -1..1. Keywords matched in the tweet become entities scored by the
+// sentence(s) they appear in, so sentiment can be charted per keyword.
+var fs = require("fs");
+var path = require("path");
+
+var negations = ["not", "no", "never", "none", "nobody", "nothing", "neither", "nor", "cannot", "without", "isnt", "dont", "doesnt", "didnt", "wont", "cant", "aint"];
+var boosters = { "very": 0.293, "really": 0.293, "so": 0.293, "extremely": 0.293, "totally": 0.293, "incredibly": 0.293,
+  "absolutely": 0.293, "hugely": 0.293, "most": 0.293, "barely": -0.293, "hardly": -0.293, "slightly": -0.293, "somewhat": -0.293 };
+
+// above this magnitude a compound score counts as positive or negative
+var neutralBand = 0.05;
+
+// split on whitespace, trimming punctuation unless the token is itself in the word list (":)")
+function tokenizer(words) {
+  return function tokens(text) {
+    return String(text).split(/\s+/)
+      .map(function(token) { return (words[token] !== undefined ? token : token.replace(/^["'(\[]+|[.,;:!?"'’)\]]+$/g, "")); })
+      .filter(function(token) { return token.length > 0; });
+  };
+}
+
+function isNegation(token) {
+  var word = token.toLowerCase();
+  return negations.indexOf(word.replace(/['’]/g, "")) > -1 || /n['’]t$/.test(word);
+}
+
+function label(score) {
+  return (score >= neutralBand ? "pos" : (score <= -neutralBand ? "neg" : "neu"));
+}
+
+function createScorer(words) {
+  var tokens = tokenizer(words);
+  return function score(text) {
+    var list = tokens(text);
+    var shouting = list.some(function(t) { return /[a-z]/.test(t); }); // caps only stand out among lower case
+    var valences = list.map(function(token, i) {
+      var valence = words[token.toLowerCase()] || words[token] || 0;
+      if(valence === 0) return 0;
+      if(shouting && token.length > 1 && token === token.toUpperCase() && /[A-Z]/.test(token)) {
+        valence += (valence > 0 ? 0.733 : -0.733);
+      }
+      for(var back=1; back<=3 && i-back >= 0; back++) {
+        var prev = list[i-back].toLowerCase();
+        var boost = boosters[prev];
+        if(boost) valence += (valence > 0 ? boost : -boost) / back;
+        if(isNegation(list[i-back])) valence *= -0.74;
+      }
+      return valence;
+    });
+
+    // "good but slow": what follows "but" weighs more than what precedes it
+    var but = list.map(function(t) { return t.toLowerCase(); }).indexOf("but");
+    if(but > -1) {
+      valences = valences.map(function(v, i) { return (i < but ? v * 0.5 : (i > but ? v * 1.5 : v)); });
+    }
+
+    var sum = valences.reduce(function(a, b) { return a + b; }, 0);
+    var bangs = Math.min((String(text).match(/!/g) || []).length, 4);
+    if(sum !== 0) sum += (sum > 0 ? 1 : -1) * bangs * 0.292;
+    return sum / Math.sqrt(sum * sum + 15);
+  };
+}
+
+function sentences(text) {
+  return String(text).split(/[.!?\n]+/).filter(function(s) { return s.trim().length > 0; });
+}
+
+module.exports = {
+  name: "lexicon",
+  // options.lexicon: a JSON file of extra { word: valence } entries, overriding the bundled ones.
+  // words.json is a ~240 word sample, not a full lexicon (see the README)
+  create: function(options) {
+    var words = Object.assign({}, require("./words.json"));
+    if(options.lexicon) {
+      Object.assign(words, JSON.parse(fs.readFileSync(path.resolve(options.lexicon), "utf8")));
+    }
+    var score = createScorer(words);
+
+    return {
+      name: "lexicon",
+      analyze: function(text, context) {
+        var compound = score(text);
+        var entities = (context.terms || []).map(function(term) {
+          var about = sentences(text).filter(function(s) { return s.toLowerCase().indexOf(term.replace(/^[#@$]/, "")) > -1; });
+          var s = (about.length > 0 ? score(about.join(". ")) : compound);
+          return { mention: term, type: "KEYWORD", sentiment: { label: label(s), score: s, confidence: Math.abs(s) } };
+        });
+        return Promise.resolve({
+          score: compound,
+          label: label(compound),
+          confidence: Math.abs(compound),
+          entities: entities
+        });
+      }
+    };
+  },
+  label: label
+};
@@ -0,0 +1,51 @@
+// Rosette sentiment (https://developer.rosette.com/), needs ROSETTE_API_KEY
+// The client keeps request content in its shared `parameters`, so every analysis gets its own
+// client; two tweets in flight can't overwrite each other's text.
+var lexicon = require("./lexicon");
+
+// Rosette labels with a confidence => a signed score like the other providers
+function signed(sentiment) {
+  if(!sentiment) return 0;
+  var sign = (sentiment.label === "pos" ? 1 : (sentiment.label === "neg" ? -1 : 0));
+  return sign * sentiment.confidence;
+}
+
+module.exports = {
+  name: "rosette",
+  create: function(options) {
+    var key = options.rosetteKey || process.env.ROSETTE_API_KEY;
+    if(!key) throw new Error("The rosette sentiment provider needs ROSETTE_API_KEY.");
+    var RosetteApi = require("rosette-api");
+
+    return {
+      name: "rosette",
+      analyze: function(text, context) {
+        var api = new RosetteApi(key, options.rosetteUrl);
+        api.parameters.language = options.language || "eng";
+        api.parameters.content = text;
+        return new Promise(function(resolve, reject) {
+          api.rosette("sentiment", function(err, res) {
+            if(err) return reject(err);
+            var score = signed(res.document);
+            resolve({
+              score: score,
+              label: (res.document ? res.document.label : lexicon.label(score)),
+              confidence: (res.document ? res.document.confidence : 0),
+              entities: (res.entities || []).map(function(entity) {
+                return {
+                  mention: entity.mention,
+                  type: entity.type,
+                  sentiment: entity.sentiment ? {
+                    label: entity.sentiment.label,
+                    score: signed(entity.sentiment),
+                    confidence: entity.sentiment.confidence
+                  } : null
+                };
+              })
+            });
+          });
+        });
+      }
+    };
+  }
+};
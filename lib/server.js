@@ -0,0 +1,105 @@
+/*
+Embedded HTTP server for health checks, metrics and admin actions
+
+  GET  /healthz                   200 while the process is running
+  GET  /readyz                    200 when every readiness check passes, 503 otherwise, with the checks
+  GET  /metrics                   Prometheus text format
+  GET  /admin/keywords            current keywords, weights and sources
+  POST /admin/keywords/reload     refresh keywords from their sources now
+  GET  /admin/authors             top authors by reputation and the allow/deny lists
+  POST /admin/authors/reload      reload the lists and add new interactions from the timeline
+  GET  /admin/alerts              recent alerts and trending keywords
+  GET  /admin/actions             curation actions waiting for approval, recent ones and counts
+  POST /admin/actions/approve?id= run a queued curation action
+  POST /admin/actions/reject?id=  drop a queued curation action
+  POST /ingest                    posts for the webhook source (webhook.path), when it's enabled
+
+Routes are added with route(method, path, handler); a handler returns (a Promise of) an object
+sent as JSON, or { status, contentType, body }. Admin routes need "Authorization: Bearer <token>"
+when an admin token is configured. The server doesn't keep the process alive on its own, unless
+told to with keepAlive() (it's what a webhook source listens on).
+*/
+var http = require("http");
+var url = require("url");
+var _ = require("lodash");
+var log = require("./logger").child({ module: "server" });
+
+var defaults = {
+  host: "127.0.0.1",
+  port: 9464,
+  adminToken: null
+};
+
+function send(res, status, body, contentType) {
+  var text = (typeof body === "string" ? body : JSON.stringify(body, null, 2));
+  res.writeHead(status, { "Content-Type": contentType || "application/json; charset=utf-8" });
+  res.end(text);
+}
+
+function createServer(options) {
+  var opts = _.defaults({}, options, defaults);
+  var routes = {};
+  var held = false; // keeps the process alive
+
+  function authorized(req) {
+    if(!opts.adminToken) return true;
+    return req.headers["authorization"] === "Bearer " + opts.adminToken;
+  }
+
+  var server = http.createServer(function(req, res) {
+    var pathname = url.parse(req.url).pathname.replace(/\/+$/, "") || "/";
+    var handler = routes[req.method + " " + pathname];
+    if(!handler) {
+      var allowed = Object.keys(routes).filter(function(key) { return key.split(" ")[1] === pathname; });
+      if(allowed.length > 0) return send(res, 405, { error: "Method not allowed" });
+      return send(res, 404, { error: "Not found" });
+    }
+    if(pathname.indexOf("/admin/") === 0 && !authorized(req)) {
+      return send(res, 401, { error: "Unauthorized" });
+    }
+    Promise.resolve()
+      .then(function() { return handler(req); })
+      .then(function(result) {
+        if(result && result.body !== undefined && result.status) return send(res, result.status, result.body, result.contentType);
+        send(res, 200, result === undefined ? { ok: true } : result);
+      })
+      .catch(function(err) {
+        log.error("Request failed", { method: req.method, path: pathname }, err);
+        send(res, 500, { error: String(err.message || err) });
+      });
+  });
+
+  return {
+    route: function(method, path, handler) {
+      routes[method.toUpperCase() + " " + path] = handler;
+      return this;
+    },
+
+    // a port already in use is reported rather than taking the collector down
+    start: function() {
+      return new Promise(function(resolve) {
+        server.once("error", function(err) {
+          log.error("Could not start the HTTP server", { host: opts.host, port: opts.port }, err);
+          resolve(null);
+        });
+        server.listen(opts.port, opts.host, function() {
+          if(!held) server.unref();
+          log.info("HTTP server listening", { url: "http://" + opts.host + ":" + server.address().port });
+          resolve(server.address());
+        });
+      });
+    },
+
+    keepAlive: function() {
+      held = true;
+      server.ref();
+      return this;
+    },
+
+    stop: function() {
+      return new Promise(function(resolve) { server.close(function() { resolve(); }); });
+    }
+  };
+}
+
+module.exports = createServer;
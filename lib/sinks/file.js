@@ -0,0 +1,37 @@
+// append raw line protocol to a local file, e.g. for a Telegraf `tail` input or offline fixtures
+var fs = require("fs");
+var path = require("path");
+var lineProtocol = require("../lineProtocol");
+
+function createFileSink(options) {
+  var filePath = options.target;
+  if(!filePath) {
+    throw new Error("The file sink requires a path, e.g. --sink file:tweets.lp");
+  }
+
+  return {
+    name: "file",
+
+    init: function() {
+      var dir = path.dirname(filePath);
+      if(!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      return Promise.resolve();
+    },
+
+    write: function(points) {
+      if(points.length < 1) return Promise.resolve();
+      var body = lineProtocol.format(points, options.schema, options.precision || "ns") + "\n";
+      return new Promise(function(resolve, reject) {
+        fs.appendFile(filePath, body, function(err) {
+          if(err) reject(err); else resolve();
+        });
+      });
+    },
+
+    close: function() {
+      return Promise.resolve();
+    }
+  };
+}
+
+module.exports = createFileSink;
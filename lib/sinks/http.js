@@ -0,0 +1,44 @@
+// POST line protocol to an HTTP endpoint, e.g. a local Telegraf http_listener_v2
+var request = require("request");
+var lineProtocol = require("../lineProtocol");
+
+function createHttpSink(options) {
+  var url = options.target;
+  if(!url || !/^https?:\/\//.test(url)) {
+    throw new Error("The http sink requires a URL, e.g. --sink http://localhost:8186/write");
+  }
+
+  return {
+    name: "http",
+    remote: true, // buffered and spilled to disk when a write buffer is configured
+
+    init: function() {
+      return Promise.resolve();
+    },
+
+    write: function(points) {
+      if(points.length < 1) return Promise.resolve();
+      var body = lineProtocol.format(points, options.schema, options.precision || "ns");
+      return new Promise(function(resolve, reject) {
+        request.post({
+          url: url,
+          headers: { "Content-Type": "text/plain; charset=utf-8" },
+          body: body
+        },
+        function(error, res, resBody) {
+          if(error) return reject(error);
+          if(res.statusCode >= 300) {
+            return reject(new Error("HTTP sink " + url + " responded " + res.statusCode + ": " + resBody));
+          }
+          resolve();
+        });
+      });
+    },
+
+    close: function() {
+      return Promise.resolve();
+    }
+  };
+}
+
+module.exports = createHttpSink;
@@ -0,0 +1,122 @@
+/*
+Output sinks: every sink exposes the same small interface
+
+  name            short label used in log messages
+  init()          prepare the destination (provision the database, create a directory...), returns a Promise
+  write(points)   write an array of { measurement, tags, fields, timestamp } points, returns a Promise
+  close()         release resources, returns a Promise
+  ping()          optional; resolves true when the destination is reachable
+
+Sinks are configured with specs of the form "type" or "type:target", e.g.
+
+  --sink influxdb --sink influxdb2 --sink file:tweets.lp --sink stdout:jsonl --sink http://localhost:8186/write
+
+The memory sink only keeps points in memory, for replay runs that check the emitted points.
+
+Remote sinks (remote: true) are wrapped in a write buffer when options.buffer is set, each spilling
+into its own subdirectory of options.buffer.spillDir.
+*/
+var path = require("path");
+var createWriteBuffer = require("../writeBuffer");
+var log = require("../logger").child({ module: "sink" });
+
+const types = {
+  influxdb: require("./influxdb"),
+  influxdb2: require("./influxdb2"),
+  file: require("./file"),
+  stdout: require("./stdout"),
+  http: require("./http"),
+  memory: require("./memory")
+};
+
+// split "type:target"; a bare URL is shorthand for the http sink
+function parseSinkSpec(spec) {
+  if(typeof spec === "object") return spec;
+  spec = String(spec).trim();
+  if(/^https?:\/\//.test(spec)) return { type: "http", target: spec };
+  var i = spec.indexOf(":");
+  if(i < 0) return { type: spec };
+  return { type: spec.substring(0, i), target: spec.substring(i + 1) };
+}
+
+function createSink(spec, options) {
+  var parsed = parseSinkSpec(spec);
+  var factory = types[parsed.type];
+  if(!factory) {
+    throw new Error("Unknown sink type '" + parsed.type + "'. Valid types are: " + Object.keys(types).join(", "));
+  }
+  var sink = factory(Object.assign({}, options, parsed));
+  if(sink.remote && options.buffer) {
+    var buffer = Object.assign({}, options.buffer);
+    if(buffer.spillDir) {
+      var label = (parsed.type + (parsed.target ? "_" + parsed.target : "")).replace(/[^a-z0-9.-]+/gi, "_");
+      buffer.spillDir = path.join(buffer.spillDir, label) + path.sep;
+    }
+    sink = createWriteBuffer(sink, buffer);
+  }
+  return sink;
+}
+
+// fan writes out to every configured sink; one failing sink doesn't stop the others
+function createSinks(specs, options) {
+  var sinks = (specs || []).map(function(spec) { return createSink(spec, options); });
+  var errors = {}; // sink name => failed calls that reached us (buffered sinks retry and spill instead)
+
+  function each(action) {
+    return Promise.all(sinks.map(function(sink) {
+      return Promise.resolve()
+        .then(function() { return action(sink); })
+        .catch(function(err) {
+          errors[sink.name] = (errors[sink.name] || 0) + 1;
+          log.error("Sink call failed", { sink: sink.name }, err);
+        });
+    }));
+  }
+
+  return {
+    name: sinks.map(function(sink) { return sink.name; }).join(","),
+    sinks: sinks,
+    init: function() { return each(function(sink) { return sink.init(); }); },
+    write: function(points) { return each(function(sink) { return sink.write(points); }); },
+    close: function() { return each(function(sink) { return sink.close(); }); },
+    // hand whatever buffered sinks hold to their sinks (or spill queues)
+    flush: function() { return each(function(sink) { if(sink.flush) return sink.flush(); }); },
+
+    // tweet ids already stored in a window, from the first sink able to answer; null when none can
+    tweetIds: function(measurement, start, end) {
+      var queryable = sinks.map(function(sink) { return sink.sink || sink; })
+        .find(function(sink) { return typeof sink.tweetIds === "function"; });
+      return queryable ? queryable.tweetIds(measurement, start, end) : Promise.resolve(null);
+    },
+
+    // reachability of every sink able to tell, { name: true/false }
+    ping: function() {
+      var results = {};
+      return Promise.all(sinks.filter(function(sink) { return typeof sink.ping === "function"; }).map(function(sink) {
+        return Promise.resolve()
+          .then(function() { return sink.ping(); })
+          .catch(function() { return false; })
+          .then(function(up) { results[sink.name] = !!up; });
+      })).then(function() { return results; });
+    },
+
+    // write buffer counters per buffered sink, plus errors for every sink that had any
+    stats: function() {
+      var stats = {};
+      sinks.forEach(function(sink) {
+        if(sink.stats) stats[sink.name] = sink.stats();
+        if(errors[sink.name]) {
+          stats[sink.name] = Object.assign(stats[sink.name] || {}, { errors: (sink.stats ? sink.stats().errors : 0) + errors[sink.name] });
+        }
+      });
+      return stats;
+    }
+  };
+}
+
+module.exports = {
+  types: types,
+  parseSinkSpec: parseSinkSpec,
+  createSink: createSink,
+  createSinks: createSinks
+};
@@ -0,0 +1,58 @@
+// InfluxDB 1.x sink through the influx client; this is what the collector has always written to
+const Influx = require("influx");
+const provisioning = require("../provisioning");
+const createInfluxDbDriver = require("../provisioning/influxdb");
+
+function createInfluxDbSink(options) {
+  const database = options.database;
+  const influx = new Influx.InfluxDB({
+    host: options.host || "localhost",
+    port: options.port || 8086,
+    username: options.username,
+    password: options.password,
+    database: database,
+    schema: options.schema
+  });
+
+  return {
+    name: "influxdb",
+    remote: true, // buffered and spilled to disk when a write buffer is configured
+    client: influx,
+
+    // provision the database, retention policies, continuous queries and migrations (lib/provisioning);
+    // without options.provision, just create the database if it doesn't already exist
+    init: function() {
+      if(options.provision) {
+        return provisioning.provision(createInfluxDbDriver(influx, database), Object.assign({ schema: options.schema }, options.provision));
+      }
+      return influx.getDatabaseNames()
+        .then(names => {
+          if (!names.includes(database)) {
+            return influx.createDatabase(database);
+          }
+        });
+    },
+
+    // ids of tweets already stored in a time window, so a backfill doesn't write them twice
+    tweetIds: function(measurement, start, end) {
+      // post_id is the id as a string; the integer tweetid would come back rounded through JSON
+      return influx.query(`SELECT "post_id" FROM ${Influx.escape.quoted(measurement)}` +
+        ` WHERE time >= ${Influx.escape.stringLit(start.toISOString())} AND time <= ${Influx.escape.stringLit(end.toISOString())}`)
+        .then(rows => rows.map(row => row.post_id).filter(Boolean));
+    },
+
+    write: function(points) {
+      return influx.writePoints(points, { precision: "ms" });
+    },
+
+    ping: function() {
+      return influx.ping(5000).then(hosts => hosts.some(host => host.online));
+    },
+
+    close: function() {
+      return Promise.resolve();
+    }
+  };
+}
+
+module.exports = createInfluxDbSink;
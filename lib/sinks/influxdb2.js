@@ -0,0 +1,93 @@
+// InfluxDB 2.x sink over the v2 write API (org/bucket/token)
+// https://docs.influxdata.com/influxdb/v2.0/api/#operation/PostWrite
+var request = require("request");
+var lineProtocol = require("../lineProtocol");
+var provisioning = require("../provisioning");
+var createInfluxDb2Driver = require("../provisioning/influxdb2");
+
+function createInfluxDb2Sink(options) {
+  var url = (options.url || "http://localhost:8086").replace(/\/+$/, "");
+  if(!options.org || !options.bucket) {
+    throw new Error("The influxdb2 sink requires an org and bucket (INFLUX_ORG, INFLUX_BUCKET).");
+  }
+  var writeUrl = url + "/api/v2/write";
+  var headers = { "Content-Type": "text/plain; charset=utf-8" };
+  if(options.token) headers["Authorization"] = "Token " + options.token;
+
+  return {
+    name: "influxdb2",
+    remote: true, // buffered and spilled to disk when a write buffer is configured
+
+    // provision the buckets, rollup tasks and migrations (lib/provisioning) when options.provision is set
+    init: function() {
+      if(!options.provision) return Promise.resolve();
+      return provisioning.provision(createInfluxDb2Driver(options), Object.assign({ schema: options.schema }, options.provision));
+    },
+
+    // ids of tweets already stored in a time window, so a backfill doesn't write them twice
+    tweetIds: function(measurement, start, end) {
+      var flux = `from(bucket: ${JSON.stringify(options.bucket)})` +
+        ` |> range(start: ${start.toISOString()}, stop: ${new Date(end.getTime() + 1).toISOString()})` +
+        ` |> filter(fn: (r) => r._measurement == ${JSON.stringify(measurement)} and r._field == "post_id")` +
+        ` |> keep(columns: ["_value"])`;
+      return new Promise(function(resolve, reject) {
+        request.post({
+          url: url + "/api/v2/query",
+          qs: { org: options.org },
+          headers: Object.assign({ "Accept": "application/csv" }, headers, { "Content-Type": "application/json" }),
+          body: JSON.stringify({ query: flux, type: "flux", dialect: { header: true, annotations: [] } })
+        },
+        function(error, res, resBody) {
+          if(error) return reject(error);
+          if(res.statusCode >= 300) {
+            return reject(new Error("InfluxDB v2 query failed with HTTP " + res.statusCode + ": " + resBody));
+          }
+          // plain CSV, one header row per table
+          var ids = [];
+          var column = -1;
+          resBody.split(/\r?\n/).forEach(function(line) {
+            var cells = line.split(",");
+            if(cells.indexOf("_value") > -1) return column = cells.indexOf("_value");
+            if(column > -1 && cells[column]) ids.push(cells[column]);
+          });
+          resolve(ids);
+        });
+      });
+    },
+
+    write: function(points) {
+      if(points.length < 1) return Promise.resolve();
+      var body = lineProtocol.format(points, options.schema, "ms");
+      return new Promise(function(resolve, reject) {
+        request.post({
+          url: writeUrl,
+          qs: { org: options.org, bucket: options.bucket, precision: "ms" },
+          headers: headers,
+          body: body
+        },
+        function(error, res, resBody) {
+          if(error) return reject(error);
+          if(res.statusCode >= 300) {
+            return reject(new Error("InfluxDB v2 write failed with HTTP " + res.statusCode + ": " + resBody));
+          }
+          resolve();
+        });
+      });
+    },
+
+    // the /health endpoint answers 200 while the server is up
+    ping: function() {
+      return new Promise(function(resolve) {
+        request.get({ url: url + "/health", timeout: 5000 }, function(error, res) {
+          resolve(!error && res.statusCode === 200);
+        });
+      });
+    },
+
+    close: function() {
+      return Promise.resolve();
+    }
+  };
+}
+
+module.exports = createInfluxDb2Sink;
@@ -0,0 +1,24 @@
+// keep points in memory; used by replay runs to check what would have been written
+function createMemorySink(options) {
+  var points = [];
+
+  return {
+    name: "memory",
+    points: points,
+
+    init: function() {
+      return Promise.resolve();
+    },
+
+    write: function(batch) {
+      points.push.apply(points, batch);
+      return Promise.resolve();
+    },
+
+    close: function() {
+      return Promise.resolve();
+    }
+  };
+}
+
+module.exports = createMemorySink;
@@ -0,0 +1,35 @@
+// write points to stdout, as JSON Lines by default or line protocol for a Telegraf `execd` input
+var lineProtocol = require("../lineProtocol");
+
+function createStdoutSink(options) {
+  var format = options.target || "jsonl";
+  if(format !== "jsonl" && format !== "lp") {
+    throw new Error("Unknown stdout sink format '" + format + "'. Use stdout:jsonl or stdout:lp.");
+  }
+
+  function toText(points) {
+    if(format === "lp") return lineProtocol.format(points, options.schema, options.precision || "ns");
+    return points.map(function(point) { return JSON.stringify(point); }).join("\n");
+  }
+
+  return {
+    name: "stdout",
+
+    init: function() {
+      return Promise.resolve();
+    },
+
+    write: function(points) {
+      if(points.length < 1) return Promise.resolve();
+      return new Promise(function(resolve) {
+        process.stdout.write(toText(points) + "\n", function() { resolve(); });
+      });
+    },
+
+    close: function() {
+      return Promise.resolve();
+    }
+  };
+}
+
+module.exports = createStdoutSink;
@@ -0,0 +1,230 @@
+/*
+Bluesky source, reading the ATProto firehose through Jetstream
+https://github.com/bluesky-social/jetstream
+
+Jetstream serves the network's firehose (com.atproto.sync.subscribeRepos) as JSON over a WebSocket,
+filtered to the collections asked for. New app.bsky.feed.post records become events (see index.js),
+deleted ones delete notices. Every post on the network comes through, so keyword matching does the
+filtering.
+
+Commits only name the author's DID; handles are learned from the identity events Jetstream sends
+along and the DID stands in until then. Reconnects resume from the last event seen (Jetstream's
+cursor), so nothing is missed across a short outage.
+
+connect(url) makes the WebSocket (the ws package by default); anything with on(), pause(), resume()
+and close() will do, e.g. a fake in tests.
+*/
+var EventEmitter = require("events");
+var _ = require("lodash");
+var sources = require("./index");
+var nextBackoff = require("./twitterV2").nextBackoff;
+var log = require("../logger").child({ module: "bluesky" });
+
+var defaults = {
+  url: "wss://jetstream2.us-east.bsky.network/subscribe",
+  stallTimeout: 60000,
+  maxHandles: 100000, // DIDs whose handle is remembered
+  connect: function(url) {
+    var WebSocket = require("ws");
+    return new WebSocket(url);
+  }
+};
+
+var postCollection = "app.bsky.feed.post";
+
+function postUri(did, rkey) {
+  return "at://" + did + "/" + postCollection + "/" + rkey;
+}
+
+// the image CDN URL of a blob
+function blobUrl(did, image) {
+  var cid = _.get(image, "image.ref.$link") || _.get(image, "image.cid");
+  return (cid ? "https://cdn.bsky.app/img/feed_fullsize/plain/" + did + "/" + cid + "@jpeg" : null);
+}
+
+// links, mentions, tags from the rich text facets; links and media from the embed
+function entitiesOf(record, did, handleOf) {
+  var entities = { hashtags: [], urls: [], mentions: [], media: [] };
+  (record.facets || []).forEach(function(facet) {
+    (facet.features || []).forEach(function(feature) {
+      switch(feature.$type) {
+        case "app.bsky.richtext.facet#link": entities.urls.push(feature.uri); break;
+        case "app.bsky.richtext.facet#mention": entities.mentions.push(handleOf(feature.did)); break;
+        case "app.bsky.richtext.facet#tag": entities.hashtags.push(feature.tag); break;
+      }
+    });
+  });
+  (record.tags || []).forEach(function(tag) { entities.hashtags.push(tag); });
+  var embed = record.embed || {};
+  var media = (embed.$type === "app.bsky.embed.recordWithMedia" ? embed.media || {} : embed);
+  switch(media.$type) {
+    case "app.bsky.embed.images":
+      (media.images || []).forEach(function(image) {
+        var url = blobUrl(did, image);
+        if(url) entities.media.push({ url: url, type: "photo" });
+      });
+      break;
+    case "app.bsky.embed.video":
+      var cid = _.get(media, "video.ref.$link");
+      if(cid) entities.media.push({ url: "https://video.bsky.app/watch/" + encodeURIComponent(did) + "/" + cid + "/playlist.m3u8", type: "video" });
+      break;
+    case "app.bsky.embed.external":
+      if(media.external && media.external.uri) entities.urls.push(media.external.uri);
+      break;
+  }
+  entities.hashtags = _.uniq(entities.hashtags);
+  entities.urls = _.uniq(entities.urls);
+  return entities;
+}
+
+// the post of a Jetstream commit creating an app.bsky.feed.post record
+function toPost(message, handleOf) {
+  var commit = message.commit;
+  var record = commit.record || {};
+  var did = message.did;
+  var embed = record.embed || {};
+  var quoted = (embed.$type === "app.bsky.embed.record" ? embed.record : (embed.$type === "app.bsky.embed.recordWithMedia" ? _.get(embed, "record.record") : null));
+  return sources.createPost({
+    id: postUri(did, commit.rkey),
+    url: "https://bsky.app/profile/" + did + "/post/" + commit.rkey,
+    author: { id: did, handle: handleOf(did) },
+    text: String(record.text || ""),
+    lang: (record.langs && record.langs.length > 0 ? record.langs[0] : undefined),
+    timestamp: record.createdAt || Math.floor(message.time_us / 1000),
+    entities: entitiesOf(record, did, handleOf),
+    replyTo: _.get(record, "reply.parent.uri"),
+    quoteOf: (quoted && quoted.uri ? { id: quoted.uri } : undefined)
+  }, "bluesky");
+}
+
+function createStream(options) {
+  var opts = _.defaults({}, options, defaults);
+  var stream = new EventEmitter();
+  stream.platform = "bluesky";
+  var socket = null;
+  var stopped = true;
+  var cursor = null; // time_us of the last event seen
+  var backoff = 0;
+  var reconnectTimer = null;
+  var stallTimer = null;
+  var handles = new Map(); // did => handle, oldest first
+
+  function handleOf(did) {
+    return handles.get(did) || did;
+  }
+
+  function resetStallTimer() {
+    clearTimeout(stallTimer);
+    if(stream.paused) return;
+    stallTimer = setTimeout(function() {
+      log.warn("Bluesky firehose stalled, reconnecting");
+      scheduleReconnect();
+    }, opts.stallTimeout);
+  }
+
+  function scheduleReconnect() {
+    clearTimeout(stallTimer);
+    if(socket) {
+      var old = socket;
+      socket = null;
+      old.close();
+    }
+    if(stopped) return;
+    backoff = nextBackoff(backoff, "network");
+    stream.emit("reconnect", backoff);
+    log.info("Reconnecting to the Bluesky firehose", { backoffMs: backoff, cursor: cursor });
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connect, backoff);
+  }
+
+  function handle(message) {
+    if(message.time_us) cursor = message.time_us;
+    if(message.kind === "identity" && message.identity && message.identity.handle) {
+      handles.delete(message.did);
+      handles.set(message.did, message.identity.handle);
+      if(handles.size > opts.maxHandles) handles.delete(handles.keys().next().value);
+      return;
+    }
+    if(message.kind !== "commit" || !message.commit || message.commit.collection !== postCollection) return;
+    switch(message.commit.operation) {
+      case "create":
+        return stream.emit("data", sources.toEvent(toPost(message, handleOf)));
+      case "delete":
+        return stream.emit("data", sources.toDeleteEvent("bluesky", postUri(message.did, message.commit.rkey), message.did));
+    }
+  }
+
+  function connect() {
+    var url = opts.url + (opts.url.indexOf("?") < 0 ? "?" : "&") + "wantedCollections=" + postCollection +
+      (cursor ? "&cursor=" + cursor : "");
+    var thisSocket = socket = opts.connect(url);
+
+    thisSocket.on("open", function() {
+      if(socket !== thisSocket) return;
+      backoff = 0;
+      stream.emit("connected");
+      if(stream.paused) thisSocket.pause();
+      resetStallTimer();
+    });
+    thisSocket.on("message", function(data) {
+      if(socket !== thisSocket) return;
+      resetStallTimer();
+      var message;
+      try {
+        message = JSON.parse(String(data));
+        handle(message);
+      } catch(err) {
+        stream.emit("error", new Error("Unreadable firehose message: " + err.message));
+      }
+    });
+    thisSocket.on("close", function() {
+      if(socket === thisSocket) scheduleReconnect();
+    });
+    thisSocket.on("error", function(err) {
+      if(socket !== thisSocket) return;
+      stream.emit("error", err);
+      scheduleReconnect();
+    });
+  }
+
+  // the socket stops reading, so TCP holds Jetstream back
+  stream.paused = false;
+  stream.pause = function() {
+    stream.paused = true;
+    clearTimeout(stallTimer);
+    if(socket) socket.pause();
+  };
+
+  stream.resume = function() {
+    stream.paused = false;
+    if(socket) {
+      socket.resume();
+      resetStallTimer();
+    }
+  };
+
+  stream.start = function() {
+    stopped = false;
+    log.info("Connecting to the Bluesky firehose", { url: opts.url });
+    connect();
+    return stream;
+  };
+
+  stream.stop = function() {
+    stopped = true;
+    clearTimeout(stallTimer);
+    clearTimeout(reconnectTimer);
+    if(socket) {
+      var old = socket;
+      socket = null;
+      old.close();
+    }
+  };
+
+  return stream;
+}
+
+module.exports = {
+  toPost: toPost,
+  createStream: createStream
+};
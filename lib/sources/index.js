@@ -0,0 +1,144 @@
+/*
+Event sources and the common post model
+
+Every source is an EventEmitter with the same interface, whatever the platform:
+
+  source.platform                       "twitter", "mastodon", "bluesky", "webhook" ...
+  source.start(), source.stop()
+  source.pause(), source.resume()       stop reading while the pipeline catches up
+  source.syncRules(keywords)            (optional) for platforms that filter on their side
+  source.on("data", function(event) {}), "connected", "reconnect" (delay ms), "error"
+
+Sources other than Twitter describe what they read as posts:
+
+  {
+    platform: "mastodon",
+    id: "109...",                         the post's id on its platform
+    url: "https://...",                   where people read it (optional)
+    author: { id, handle, name, followers, following, posts, verified },   or just the handle
+    text: "...",
+    lang: "en",                           (optional)
+    timestamp: "2017-08-29T13:08:09Z",    ISO date or epoch ms, now when missing
+    entities: { hashtags: ["api"], urls: ["https://..."], mentions: ["someone"], media: [{ url, type }] },
+    replyTo: "id", repostOf: { post }, quoteOf: { post }, source: "client name"   (optional)
+  }
+
+and hand toEvent(post) to the pipeline, which reads every event in the Twitter v1.1 shape (id_str,
+text, user.screen_name, entities ...) plus platform and post_id. Ids other than Twitter's are
+prefixed with their platform ("mastodon:109..."), so posts of different platforms never collide.
+Entities left out of a post are picked out of its text later on. Deletes become the same delete
+notice Twitter sends, with toDeleteEvent.
+*/
+var _ = require("lodash");
+
+var platforms = ["twitter", "mastodon", "bluesky", "webhook"];
+
+// the id the collector knows a post by; tweets keep their own
+function qualify(platform, id) {
+  return (platform === "twitter" ? String(id) : platform + ":" + id);
+}
+
+function toTime(value) {
+  if(value === undefined || value === null || value === "") return new Date();
+  var date = new Date(typeof value === "string" && /^\d+$/.test(value) ? Number(value) : value);
+  return (isNaN(date.getTime()) ? null : date);
+}
+
+// a checked, complete post; throws an Error listing what's wrong
+function createPost(input, platform) {
+  var problems = [];
+  if(!_.isPlainObject(input)) throw new Error("A post must be a JSON object.");
+  var post = Object.assign({}, input, { platform: String(input.platform || platform || "webhook").toLowerCase() });
+  if(post.id === undefined || post.id === null || String(post.id).length < 1) problems.push("id is required");
+  if(typeof post.text !== "string") problems.push("text must be a string");
+  if(typeof post.author === "string" || typeof post.author === "number") post.author = { handle: String(post.author) };
+  if(!_.isPlainObject(post.author) || !(post.author.handle || post.author.name)) problems.push("author needs a handle");
+  var timestamp = toTime(post.timestamp);
+  if(!timestamp) problems.push(`timestamp must be an ISO date or epoch ms (got ${JSON.stringify(post.timestamp)})`);
+  if(post.entities !== undefined && !_.isPlainObject(post.entities)) problems.push("entities must be an object");
+  if(problems.length > 0) throw new Error("Invalid post: " + problems.join(", "));
+
+  post.id = String(post.id);
+  post.timestamp = timestamp;
+  post.author = Object.assign({}, post.author, { handle: String(post.author.handle || post.author.name).replace(/^@/, "") });
+  return post;
+}
+
+function strings(list) {
+  return [].concat(list || []).filter(function(it) { return it !== undefined && it !== null && it !== ""; }).map(String);
+}
+
+function toEntities(entities) {
+  return {
+    hashtags: strings(entities.hashtags).map(function(tag) { return { text: tag.replace(/^#/, "") }; }),
+    urls: strings(entities.urls).map(function(url) { return { url: url, expanded_url: url }; }),
+    user_mentions: strings(entities.mentions).map(function(name) { return { screen_name: name.replace(/^@/, "") }; }),
+    symbols: []
+  };
+}
+
+// the referenced post in the small form retweeted_status/quoted_status take
+function reference(post, platform) {
+  if(!post) return undefined;
+  var author = (typeof post.author === "string" ? { handle: post.author } : post.author || {});
+  return {
+    id_str: qualify(platform, post.id),
+    text: post.text,
+    user: (author.handle ? { id_str: author.id !== undefined ? String(author.id) : undefined, screen_name: author.handle } : undefined)
+  };
+}
+
+// the event the pipeline reads, from a post
+function toEvent(post) {
+  var platform = post.platform;
+  var author = post.author;
+  var timestamp = post.timestamp;
+  var event = {
+    platform: platform,
+    post_id: post.id,
+    post_url: post.url,
+    id_str: qualify(platform, post.id),
+    text: post.text,
+    created_at: timestamp.toISOString(),
+    timestamp_ms: String(timestamp.getTime()),
+    lang: post.lang,
+    source: post.source,
+    user: {
+      id_str: (author.id !== undefined ? String(author.id) : undefined),
+      screen_name: author.handle,
+      name: author.name,
+      verified: author.verified,
+      followers_count: author.followers,
+      friends_count: author.following,
+      statuses_count: author.posts
+    },
+    retweet_count: post.reposts,
+    favorite_count: post.likes,
+    reply_count: post.replies,
+    retweeted_status: reference(post.repostOf, platform),
+    quoted_status: reference(post.quoteOf, platform),
+    is_quote_status: !!post.quoteOf,
+    in_reply_to_status_id_str: (post.replyTo ? qualify(platform, post.replyTo) : null)
+  };
+  if(post.entities) {
+    event.entities = toEntities(post.entities);
+    var media = [].concat(post.entities.media || []).filter(function(it) { return it && it.url; });
+    if(media.length > 0) {
+      event.extended_entities = { media: media.map(function(it) { return { media_url_https: it.url, type: it.type || "photo" }; }) };
+    }
+  }
+  return event;
+}
+
+// the delete notice for a post removed on its platform
+function toDeleteEvent(platform, id, userId) {
+  return { platform: platform, delete: { status: { id_str: qualify(platform, id), user_id_str: (userId !== undefined ? String(userId) : undefined) }, timestamp_ms: String(Date.now()) } };
+}
+
+module.exports = {
+  platforms: platforms,
+  qualify: qualify,
+  createPost: createPost,
+  toEvent: toEvent,
+  toDeleteEvent: toDeleteEvent
+};
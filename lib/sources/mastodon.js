@@ -0,0 +1,258 @@
+/*
+Mastodon streaming API source
+https://docs.joinmastodon.org/methods/streaming/
+
+Reads a timeline of an instance as server-sent events and emits every new status as an event (see
+index.js): "update" is a new status, "delete" a removed one. Mastodon doesn't filter by keyword on
+its side, so everything on the timeline goes to keyword matching.
+
+  stream   "public" (default), "public:local", "public:remote" or "hashtag:<tag>"
+
+Reconnects back off like the Twitter stream's; a stream silent for stallTimeout ms (Mastodon sends a
+heartbeat comment every 15 seconds or so) is reconnected.
+*/
+var EventEmitter = require("events");
+var request = require("request");
+var _ = require("lodash");
+var sources = require("./index");
+var nextBackoff = require("./twitterV2").nextBackoff;
+var log = require("../logger").child({ module: "mastodon" });
+
+var defaults = {
+  instance: "https://mastodon.social",
+  accessToken: null, // most instances want one for public timelines
+  stream: "public",
+  stallTimeout: 60000
+};
+
+var mediaTypes = { image: "photo", gifv: "animated_gif", video: "video", audio: "audio" };
+
+var entityNames = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, function(whole, name) {
+    if(name[0] === "#") {
+      var code = (name[1].toLowerCase() === "x" ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10));
+      return (code > 0 ? String.fromCodePoint(code) : whole);
+    }
+    return (entityNames[name.toLowerCase()] !== undefined ? entityNames[name.toLowerCase()] : whole);
+  });
+}
+
+// status content is HTML: paragraphs and line breaks become new lines, tags go
+function htmlToText(html) {
+  return decodeEntities(String(html || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/p>\s*<p[^>]*>/gi, "\n\n")
+    .replace(/<[^>]*>/g, ""))
+    .trim();
+}
+
+// links in the content that aren't mentions or hashtags
+function linksIn(html) {
+  var links = [];
+  String(html || "").replace(/<a\s[^>]*>/gi, function(tag) {
+    var href = /href="([^"]*)"/i.exec(tag);
+    if(href && !/class="[^"]*\b(mention|hashtag)\b/i.test(tag)) links.push(decodeEntities(href[1]));
+    return tag;
+  });
+  return links;
+}
+
+// the account's handle with the instance added for local accounts, so it's the same everywhere
+function handleOf(account, instanceHost) {
+  var acct = String(account.acct || account.username || "");
+  return (acct.indexOf("@") < 0 && instanceHost ? acct + "@" + instanceHost : acct);
+}
+
+function toPost(status, instanceHost) {
+  var account = status.account || {};
+  var shown = status.reblog || status; // a reblog carries the reblogged status' content
+  var text = htmlToText(shown.content);
+  if(shown.spoiler_text) text = shown.spoiler_text + "\n\n" + text;
+  return sources.createPost({
+    id: status.id,
+    url: status.url || status.uri,
+    author: {
+      id: account.id,
+      handle: handleOf(account, instanceHost),
+      name: account.display_name,
+      followers: account.followers_count,
+      following: account.following_count,
+      posts: account.statuses_count,
+      verified: false
+    },
+    text: text,
+    lang: shown.language || undefined,
+    timestamp: status.created_at,
+    source: (status.application ? status.application.name : undefined),
+    entities: {
+      hashtags: (shown.tags || []).map(function(tag) { return tag.name; }),
+      urls: linksIn(shown.content),
+      mentions: (shown.mentions || []).map(function(mention) { return handleOf(mention, instanceHost); }),
+      media: (shown.media_attachments || []).map(function(media) { return { url: media.url, type: mediaTypes[media.type] || media.type }; })
+    },
+    reposts: shown.reblogs_count,
+    likes: shown.favourites_count,
+    replies: shown.replies_count,
+    replyTo: status.in_reply_to_id || undefined,
+    repostOf: (status.reblog ? { id: status.reblog.id, text: text, author: handleOf(status.reblog.account || {}, instanceHost) } : undefined)
+  }, "mastodon");
+}
+
+function streamPath(stream) {
+  var parts = String(stream).split(":");
+  switch(parts[0]) {
+    case "public": return { path: "/api/v1/streaming/public" + (parts[1] ? "/" + parts[1] : "") };
+    case "hashtag": return { path: "/api/v1/streaming/hashtag", qs: { tag: parts.slice(1).join(":").replace(/^#/, "") } };
+    default: throw new Error(`Unknown Mastodon stream '${stream}'; use public, public:local, public:remote or hashtag:<tag>`);
+  }
+}
+
+function createStream(options) {
+  var opts = _.defaults({}, options, defaults);
+  var instance = opts.instance.replace(/\/+$/, "");
+  var instanceHost = new URL(instance).hostname;
+  var target = streamPath(opts.stream);
+  var headers = { "User-Agent": "InfluxTwitterExample" };
+  if(opts.accessToken) headers["Authorization"] = "Bearer " + opts.accessToken;
+
+  var stream = new EventEmitter();
+  stream.platform = "mastodon";
+  var req = null;
+  var response = null;
+  var stopped = true;
+  var backoff = 0;
+  var backoffKind = null;
+  var reconnectTimer = null;
+  var stallTimer = null;
+
+  function resetStallTimer() {
+    clearTimeout(stallTimer);
+    if(stream.paused) return;
+    stallTimer = setTimeout(function() {
+      log.warn("Mastodon stream stalled, reconnecting");
+      scheduleReconnect("network");
+    }, opts.stallTimeout);
+  }
+
+  function scheduleReconnect(kind) {
+    clearTimeout(stallTimer);
+    if(req) { req.abort(); req = null; }
+    response = null;
+    if(stopped) return;
+    backoff = nextBackoff(backoffKind === kind ? backoff : 0, kind);
+    backoffKind = kind;
+    stream.emit("reconnect", backoff);
+    log.info("Reconnecting to Mastodon stream", { kind: kind, backoffMs: backoff });
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connect, backoff);
+  }
+
+  // one server-sent event: { event, data }
+  function dispatch(message) {
+    try {
+      switch(message.event) {
+        case "update":
+          return stream.emit("data", sources.toEvent(toPost(JSON.parse(message.data), instanceHost)));
+        case "delete":
+          return stream.emit("data", sources.toDeleteEvent("mastodon", message.data));
+      }
+    } catch(err) {
+      stream.emit("error", new Error(`Unreadable Mastodon ${message.event}: ${err.message}`));
+    }
+  }
+
+  function connect() {
+    var pending = "";
+    var message = { event: null, data: [] };
+    var thisReq = request.get({ url: instance + target.path, qs: target.qs, headers: headers });
+    req = thisReq;
+
+    thisReq.on("response", function(res) {
+      response = res;
+      if(res.statusCode !== 200) {
+        var body = "";
+        res.on("data", function(chunk) { body += chunk; });
+        res.on("end", function() {
+          if(req !== thisReq) return;
+          var err = new Error(`Mastodon stream responded HTTP ${res.statusCode}: ${body}`);
+          err.statusCode = res.statusCode;
+          stream.emit("error", err);
+          scheduleReconnect(res.statusCode === 429 ? "rate" : "http");
+        });
+        return;
+      }
+      backoff = 0;
+      backoffKind = null;
+      stream.emit("connected");
+      if(stream.paused) res.pause();
+      resetStallTimer();
+
+      res.on("data", function(chunk) {
+        if(req !== thisReq) return;
+        resetStallTimer();
+        pending += chunk;
+        var lines = pending.split(/\r?\n/);
+        pending = lines.pop();
+        lines.forEach(function(line) {
+          if(line.length < 1) { // a blank line ends the event
+            if(message.data.length > 0) dispatch({ event: message.event, data: message.data.join("\n") });
+            message = { event: null, data: [] };
+          } else if(line[0] === ":") {
+            // heartbeat comment
+          } else if(line.indexOf("event:") === 0) {
+            message.event = line.substring(6).trim();
+          } else if(line.indexOf("data:") === 0) {
+            message.data.push(line.substring(5).replace(/^ /, ""));
+          }
+        });
+      });
+      res.on("end", function() {
+        if(req === thisReq) scheduleReconnect("network");
+      });
+    });
+
+    thisReq.on("error", function(err) {
+      if(req !== thisReq) return;
+      stream.emit("error", err);
+      scheduleReconnect("network");
+    });
+  }
+
+  stream.paused = false;
+  stream.pause = function() {
+    stream.paused = true;
+    clearTimeout(stallTimer);
+    if(response) response.pause();
+  };
+
+  stream.resume = function() {
+    stream.paused = false;
+    if(response) response.resume();
+    if(req) resetStallTimer();
+  };
+
+  stream.start = function() {
+    stopped = false;
+    log.info("Connecting to Mastodon", { instance: instance, stream: opts.stream });
+    connect();
+    return stream;
+  };
+
+  stream.stop = function() {
+    stopped = true;
+    clearTimeout(stallTimer);
+    clearTimeout(reconnectTimer);
+    if(req) { req.abort(); req = null; }
+    response = null;
+  };
+
+  return stream;
+}
+
+module.exports = {
+  htmlToText: htmlToText,
+  toPost: toPost,
+  createStream: createStream
+};
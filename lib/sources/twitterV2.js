@@ -0,0 +1,347 @@
+/*
+Twitter API v2 filtered stream source
+https://developer.twitter.com/en/docs/twitter-api/tweets/filtered-stream/introduction
+
+Keywords are packed into as few stream rules as the rule length/count limits allow; rules this
+collector owns carry a tag prefix so rules managed elsewhere are left alone, followed by a hash of
+the rule's value, so a rule keeps its tag as long as it's unchanged. The stream reconnects
+with Twitter's recommended backoff and emits events in the v1.1 shape the pipeline reads:
+
+  stream.on("data", function(event) { ... })   event.id_str, event.text, event.user.screen_name ...
+  stream.on("connected"), stream.on("reconnect", delay), stream.on("error", err)
+  stream.pause(), stream.resume()              stop reading while the consumer catches up
+
+It's one of the collector's sources and has their interface (see index.js).
+
+apiUrl can point at a local mock server (see mock/twitterStream.js).
+*/
+var crypto = require("crypto");
+var EventEmitter = require("events");
+var request = require("request");
+var _ = require("lodash");
+var log = require("../logger").child({ module: "stream" });
+
+var defaults = {
+  apiUrl: "https://api.twitter.com",
+  bearerToken: null,
+  maxRules: 5, // essential access; elevated allows 25, academic 1000
+  maxRuleLength: 512, // academic access allows 1024
+  ruleTag: "influxtwitter",
+  stallTimeout: 30000, // Twitter sends a keep-alive every 20 seconds
+  backoffScale: 1 // reconnect delays are Twitter's guidance times this; tests against the mock shrink them
+};
+
+// fields and expansions toV1Event relies on; shared by the stream, search and timeline endpoints
+var tweetParams = {
+  "expansions": "author_id,referenced_tweets.id,entities.mentions.username",
+  "tweet.fields": "created_at,entities,lang,public_metrics,referenced_tweets,source,in_reply_to_user_id",
+  "user.fields": "username,name,verified,public_metrics"
+};
+
+// quote anything that isn't a bare word so phrases and punctuation survive the rule syntax
+function toRuleTerm(keyword) {
+  return /^[\w#@$]+$/.test(keyword) ? keyword : "\"" + keyword.replace(/"/g, "") + "\"";
+}
+
+// the tag of a rule we own: our prefix and the start of a hash of its value
+function ruleTagFor(value, prefix) {
+  return prefix + ":" + crypto.createHash("sha1").update(value).digest("hex").substring(0, 12);
+}
+
+function ruleKey(rule) {
+  return rule.tag + " " + rule.value;
+}
+
+// pack keywords into OR'ed rules, as few as possible; keywords that don't fit are reported back
+function buildRules(keywords, options) {
+  var opts = _.defaults({}, options, defaults);
+  var rules = [];
+  var skipped = [];
+  var current = [];
+
+  function close() {
+    if(current.length > 0) rules.push(current.join(" OR "));
+    current = [];
+  }
+
+  keywords.forEach(function(keyword) {
+    var term = toRuleTerm(keyword);
+    if(term.length > opts.maxRuleLength) return skipped.push(keyword);
+    var candidate = current.concat([term]).join(" OR ");
+    if(candidate.length > opts.maxRuleLength) close();
+    if(current.length === 0 && rules.length >= opts.maxRules) return skipped.push(keyword);
+    current.push(term);
+  });
+  close();
+
+  return {
+    rules: rules.map(function(value) { return { value: value, tag: ruleTagFor(value, opts.ruleTag) }; }),
+    skipped: skipped
+  };
+}
+
+// map a v2 stream payload ({ data, includes, matching_rules }) into the v1.1 event shape
+function toV1Event(payload) {
+  var data = payload.data;
+  var includes = payload.includes || {};
+  var users = _.keyBy(includes.users || [], "id");
+  var tweets = _.keyBy(includes.tweets || [], "id");
+  var author = users[data.author_id] || { id: data.author_id };
+  var metrics = data.public_metrics || {};
+  var authorMetrics = author.public_metrics || {};
+  var ents = data.entities || {};
+  var refs = _.keyBy(data.referenced_tweets || [], "type");
+
+  function indices(it) { return [it.start, it.end]; }
+  function referenced(type) {
+    if(!refs[type]) return undefined;
+    var tweet = tweets[refs[type].id] || { id: refs[type].id };
+    var user = users[tweet.author_id];
+    return { id_str: tweet.id, text: tweet.text, user: user ? { id_str: user.id, screen_name: user.username } : undefined };
+  }
+
+  var createdAt = data.created_at ? new Date(data.created_at) : new Date();
+
+  return {
+    id_str: data.id,
+    text: data.text,
+    created_at: createdAt.toISOString(),
+    timestamp_ms: String(createdAt.getTime()),
+    lang: data.lang,
+    source: data.source,
+    user: {
+      id_str: author.id,
+      screen_name: author.username || "",
+      name: author.name,
+      verified: author.verified,
+      followers_count: authorMetrics.followers_count,
+      friends_count: authorMetrics.following_count,
+      statuses_count: authorMetrics.tweet_count
+    },
+    entities: {
+      hashtags: (ents.hashtags || []).map(function(it) { return { text: it.tag, indices: indices(it) }; }),
+      symbols: (ents.cashtags || []).map(function(it) { return { text: it.tag, indices: indices(it) }; }),
+      urls: (ents.urls || []).map(function(it) {
+        return { url: it.url, expanded_url: it.unwound_url || it.expanded_url, display_url: it.display_url, indices: indices(it) };
+      }),
+      user_mentions: (ents.mentions || []).map(function(it) { return { screen_name: it.username, id_str: it.id, indices: indices(it) }; })
+    },
+    retweet_count: metrics.retweet_count,
+    favorite_count: metrics.like_count,
+    reply_count: metrics.reply_count,
+    quote_count: metrics.quote_count,
+    retweeted_status: referenced("retweeted"),
+    quoted_status: referenced("quoted"),
+    is_quote_status: !!refs.quoted,
+    in_reply_to_status_id_str: refs.replied_to ? refs.replied_to.id : null,
+    in_reply_to_user_id_str: data.in_reply_to_user_id || null,
+    matching_rules: payload.matching_rules || []
+  };
+}
+
+// Twitter's reconnect guidance: network errors back off linearly, HTTP errors exponentially,
+// and rate limiting (420/429) exponentially from a full minute
+function nextBackoff(previous, kind) {
+  switch(kind) {
+    case "network": return Math.min((previous || 0) + 250, 16000);
+    case "rate": return Math.min(previous ? previous * 2 : 60000, 15 * 60000);
+    default: return Math.min(previous ? previous * 2 : 5000, 320000);
+  }
+}
+
+function authHeaders(opts) {
+  return { "Authorization": "Bearer " + opts.bearerToken, "User-Agent": "InfluxTwitterExample" };
+}
+
+// small JSON client for the v2 REST endpoints; rejected errors carry statusCode and, when rate
+// limited, rateLimitReset (epoch ms)
+function createApiClient(options) {
+  var opts = _.defaults({}, options, defaults);
+  var apiUrl = opts.apiUrl.replace(/\/+$/, "");
+  var headers = authHeaders(opts);
+
+  return function api(method, path, body, qs) {
+    return new Promise(function(resolve, reject) {
+      request({ method: method, url: apiUrl + path, headers: headers, qs: qs, json: body || true },
+        function(error, res, resBody) {
+          if(error) return reject(error);
+          if(res.statusCode >= 300) {
+            var err = new Error(`Twitter API ${method} ${path} failed with HTTP ${res.statusCode}: ${JSON.stringify(resBody)}`);
+            err.statusCode = res.statusCode;
+            if(res.headers["x-rate-limit-reset"]) err.rateLimitReset = Number(res.headers["x-rate-limit-reset"]) * 1000;
+            return reject(err);
+          }
+          resolve(resBody);
+        });
+    });
+  };
+}
+
+function createFilteredStream(options) {
+  var opts = _.defaults({}, options, defaults);
+  if(!opts.bearerToken) {
+    throw new Error("The Twitter v2 filtered stream requires a bearer token (TWITTER_BEARER_TOKEN).");
+  }
+  var apiUrl = opts.apiUrl.replace(/\/+$/, "");
+  var headers = authHeaders(opts);
+
+  var stream = new EventEmitter();
+  stream.platform = "twitter";
+  var req = null;
+  var response = null; // of the current connection, paused and resumed for backpressure
+  var stopped = true;
+  var backoff = 0;
+  var backoffKind = null;
+  var reconnectTimer = null;
+  var stallTimer = null;
+
+  var api = createApiClient(opts);
+
+  // bring the stream rules we own in line with the keyword list; returns the keywords left out
+  stream.syncRules = function(keywords) {
+    var built = buildRules(keywords, opts);
+    if(built.skipped.length > 0) {
+      log.warn("Keywords don't fit in the stream rules and won't be tracked", { maxRules: opts.maxRules, skipped: built.skipped });
+    }
+    return api("GET", "/2/tweets/search/stream/rules").then(function(res) {
+      var existing = (res.data || []).filter(function(rule) { return (rule.tag || "").indexOf(opts.ruleTag + ":") === 0; });
+      // rules are the same when value and tag are; one tagged otherwise (by an older version) is replaced
+      var wanted = _.keyBy(built.rules, ruleKey);
+      var have = _.keyBy(existing, ruleKey);
+      var remove = existing.filter(function(rule) { return !wanted[ruleKey(rule)]; }).map(function(rule) { return rule.id; });
+      var add = built.rules.filter(function(rule) { return !have[ruleKey(rule)]; });
+
+      // delete first so the new rules fit under the rule count limit
+      return Promise.resolve()
+        .then(function() { if(remove.length > 0) return api("POST", "/2/tweets/search/stream/rules", { delete: { ids: remove } }); })
+        .then(function() { if(add.length > 0) return api("POST", "/2/tweets/search/stream/rules", { add: add }); })
+        .then(function() {
+          log.info("Stream rules synced", { added: add.length, removed: remove.length, active: built.rules.length });
+          return built.skipped;
+        });
+    });
+  };
+
+  function resetStallTimer() {
+    clearTimeout(stallTimer);
+    if(stream.paused) return; // nothing is read while paused, so silence says nothing
+    stallTimer = setTimeout(function() {
+      log.warn("Twitter stream stalled, reconnecting");
+      scheduleReconnect("network");
+    }, opts.stallTimeout);
+  }
+
+  function scheduleReconnect(kind) {
+    clearTimeout(stallTimer);
+    if(req) { req.abort(); req = null; }
+    response = null;
+    if(stopped) return;
+    // a different kind of failure restarts its own backoff sequence
+    backoff = nextBackoff(backoffKind === kind ? backoff : 0, kind);
+    backoffKind = kind;
+    var delay = backoff * opts.backoffScale;
+    stream.emit("reconnect", delay);
+    log.info("Reconnecting to Twitter stream", { kind: kind, backoffMs: delay });
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connect, delay);
+  }
+
+  function connect() {
+    var pending = "";
+    var thisReq = request.get({ url: apiUrl + "/2/tweets/search/stream", headers: headers, qs: tweetParams });
+    req = thisReq;
+
+    thisReq.on("response", function(res) {
+      response = res;
+      if(res.statusCode !== 200) {
+        var body = "";
+        var rateLimited = (res.statusCode === 420 || res.statusCode === 429);
+        res.on("data", function(chunk) { body += chunk; });
+        res.on("end", function() {
+          if(req !== thisReq) return;
+          var err = new Error(`Twitter stream responded HTTP ${res.statusCode}: ${body}`);
+          err.statusCode = res.statusCode;
+          stream.emit("error", err);
+          scheduleReconnect(rateLimited ? "rate" : "http");
+        });
+        return;
+      }
+      backoff = 0;
+      backoffKind = null;
+      stream.emit("connected");
+      if(stream.paused) res.pause();
+      resetStallTimer();
+
+      res.on("data", function(chunk) {
+        if(req !== thisReq) return;
+        resetStallTimer();
+        pending += chunk;
+        var lines = pending.split("\r\n");
+        pending = lines.pop();
+        lines.forEach(function(line) {
+          if(line.trim().length < 1) return; // keep-alive
+          var payload;
+          try {
+            payload = JSON.parse(line);
+          } catch(err) {
+            return stream.emit("error", new Error("Unparseable stream message: " + line));
+          }
+          if(payload.data) {
+            stream.emit("data", toV1Event(payload));
+          } else if(payload.errors) {
+            stream.emit("error", new Error("Stream error message: " + JSON.stringify(payload.errors)));
+          }
+        });
+      });
+      res.on("end", function() {
+        if(req === thisReq) scheduleReconnect("network");
+      });
+    });
+
+    thisReq.on("error", function(err) {
+      if(req !== thisReq) return;
+      stream.emit("error", err);
+      scheduleReconnect("network");
+    });
+  }
+
+  // TCP flow control holds Twitter back while paused; Twitter drops connections that stay behind too
+  // long, which ends in an ordinary reconnect
+  stream.paused = false;
+  stream.pause = function() {
+    stream.paused = true;
+    clearTimeout(stallTimer);
+    if(response) response.pause();
+  };
+
+  stream.resume = function() {
+    stream.paused = false;
+    if(response) response.resume();
+    if(req) resetStallTimer();
+  };
+
+  stream.start = function() {
+    stopped = false;
+    connect();
+    return stream;
+  };
+
+  stream.stop = function() {
+    stopped = true;
+    clearTimeout(stallTimer);
+    clearTimeout(reconnectTimer);
+    if(req) { req.abort(); req = null; }
+    response = null;
+  };
+
+  return stream;
+}
+
+module.exports = {
+  tweetParams: tweetParams,
+  buildRules: buildRules,
+  toV1Event: toV1Event,
+  nextBackoff: nextBackoff,
+  createApiClient: createApiClient,
+  createFilteredStream: createFilteredStream
+};
@@ -0,0 +1,98 @@
+/*
+Webhook source: posts pushed to the collector's HTTP server as JSON
+
+  POST /ingest   a post, a list of posts or { "posts": [...] } in the common post model (index.js)
+
+Anything that can make an HTTP request can feed the collector this way: a bridge from another
+network, a script, a test. Posts are platform "webhook" unless they name their own. The answer is
+202 with the number of posts accepted, 400 listing the invalid ones (the valid ones are still
+taken), 401 without the token when one is set, and 503 while the pipeline is full; senders retry
+later.
+*/
+var EventEmitter = require("events");
+var _ = require("lodash");
+var sources = require("./index");
+
+var defaults = {
+  token: null, // "Authorization: Bearer <token>" required when set
+  maxBytes: 1024 * 1024
+};
+
+function readBody(req, maxBytes) {
+  return new Promise(function(resolve, reject) {
+    var chunks = [];
+    var size = 0;
+    req.on("data", function(chunk) {
+      size += chunk.length;
+      if(size > maxBytes) {
+        var err = new Error(`Request body over ${maxBytes} bytes`);
+        err.statusCode = 413;
+        req.destroy();
+        return reject(err);
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", function() { resolve(Buffer.concat(chunks).toString("utf8")); });
+    req.on("error", reject);
+  });
+}
+
+function createWebhook(options) {
+  var opts = _.defaults({}, options, defaults);
+  var hook = new EventEmitter();
+  hook.platform = "webhook";
+  var listening = false;
+
+  // the route handler (see lib/server.js)
+  hook.handle = function(req) {
+    if(opts.token && req.headers["authorization"] !== "Bearer " + opts.token) {
+      return { status: 401, body: { error: "Unauthorized" } };
+    }
+    if(!listening) return { status: 503, body: { error: "Not accepting posts" } };
+    if(hook.paused) return { status: 503, body: { error: "Busy, retry later" } };
+
+    return readBody(req, opts.maxBytes).then(function(text) {
+      var body;
+      try {
+        body = JSON.parse(text);
+      } catch(err) {
+        return { status: 400, body: { error: "Body must be JSON: " + err.message } };
+      }
+      var posts = (Array.isArray(body) ? body : (body && Array.isArray(body.posts) ? body.posts : [body]));
+      var accepted = 0;
+      var errors = [];
+      posts.forEach(function(input, i) {
+        try {
+          var event = sources.toEvent(sources.createPost(input, "webhook"));
+          accepted++;
+          hook.emit("data", event);
+        } catch(err) {
+          errors.push({ index: i, error: err.message });
+        }
+      });
+      return { status: (errors.length > 0 ? 400 : 202), body: { accepted: accepted, errors: errors } };
+    }, function(err) {
+      return { status: err.statusCode || 400, body: { error: err.message } };
+    });
+  };
+
+  hook.paused = false;
+  hook.pause = function() { hook.paused = true; };
+  hook.resume = function() { hook.paused = false; };
+
+  hook.start = function() {
+    listening = true;
+    hook.emit("connected");
+    return hook;
+  };
+
+  hook.stop = function() {
+    listening = false;
+  };
+
+  return hook;
+}
+
+module.exports = {
+  createWebhook: createWebhook
+};
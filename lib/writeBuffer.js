@@ -0,0 +1,200 @@
+/*
+Batched, buffered writes in front of a sink
+
+Points are held in memory and written in batches (by size or interval). Failed batches are retried
+with backoff, then spilled to a durable on-disk queue which is replayed in order once the sink accepts
+writes again. While anything is waiting on disk, new batches are queued behind it so ordering holds.
+
+  buffered   points currently held in memory
+  flushed    points written to the sink (including replayed ones)
+  spilled    points written to the on-disk queue
+  replayed   points read back from the on-disk queue and written to the sink
+  dropped    points lost (buffer overflow without spill, or the spill itself failed)
+  errors     failed write attempts, retries included
+  spillQueue batches currently waiting on disk
+*/
+var fs = require("fs");
+var path = require("path");
+var util = require("util");
+var promiseRetry = require("promise-retry");
+var log = require("./logger").child({ module: "sink" });
+
+var readdir = util.promisify(fs.readdir);
+var readFile = util.promisify(fs.readFile);
+var writeFile = util.promisify(fs.writeFile);
+var unlink = util.promisify(fs.unlink);
+
+var defaults = {
+  batchSize: 500,
+  flushInterval: 1000, // ms
+  maxBuffered: 10000, // points in memory before the oldest batch goes straight to disk
+  retries: 3,
+  minTimeout: 500, // backoff between retries, ms
+  maxTimeout: 10000,
+  spillDir: null, // no spill directory means failed batches are dropped
+  maxSpillBatches: 10000
+};
+
+function createWriteBuffer(sink, options) {
+  var opts = Object.assign({}, defaults, options);
+  var buffer = [];
+  var chain = Promise.resolve(); // batches are flushed one at a time, in order
+  var timer = null;
+  var spillSeq = 0;
+  var spillFiles = null; // loaded lazily from spillDir
+
+  var counters = { buffered: 0, flushed: 0, spilled: 0, replayed: 0, dropped: 0, spillQueue: 0, errors: 0 };
+
+  function drop(points, reason) {
+    counters.dropped += points.length;
+    log.error("Dropped points", { sink: sink.name, points: points.length, reason: String(reason) });
+  }
+
+  function listSpill() {
+    if(spillFiles) return Promise.resolve(spillFiles);
+    if(!opts.spillDir) return Promise.resolve(spillFiles = []);
+    if(!fs.existsSync(opts.spillDir)) fs.mkdirSync(opts.spillDir, { recursive: true });
+    return readdir(opts.spillDir).then(function(names) {
+      spillFiles = names.filter(function(it) { return /\.json$/.test(it); }).sort();
+      counters.spillQueue = spillFiles.length;
+      return spillFiles;
+    });
+  }
+
+  function spill(batch) {
+    if(!opts.spillDir) return Promise.resolve(drop(batch, "no spill directory configured"));
+    return listSpill().then(function(files) {
+      if(files.length >= opts.maxSpillBatches) return drop(batch, "spill queue is full");
+      // zero padded time + sequence keeps lexical order identical to write order
+      var name = String(Date.now()).padStart(15, "0") + "-" + String(spillSeq++).padStart(6, "0") + ".json";
+      return writeFile(path.join(opts.spillDir, name), JSON.stringify(batch))
+        .then(function() {
+          files.push(name);
+          counters.spilled += batch.length;
+          counters.spillQueue = files.length;
+          log.warn("Spilled points to disk", { sink: sink.name, points: batch.length, file: path.join(opts.spillDir, name) });
+        })
+        .catch(function(err) { drop(batch, "could not spill to disk. " + err.message); });
+    });
+  }
+
+  // JSON turns Date timestamps into strings; bring them back before handing points to the sink
+  function revive(point) {
+    if(typeof point.timestamp === "string" && isNaN(Number(point.timestamp))) {
+      point.timestamp = new Date(point.timestamp);
+    }
+    return point;
+  }
+
+  // write queued batches from disk, oldest first; resolves true once the queue is empty
+  function replaySpill() {
+    return listSpill().then(function next(files) {
+      if(files.length < 1) return true;
+      var filePath = path.join(opts.spillDir, files[0]);
+      return readFile(filePath, "utf8")
+        .then(function(text) {
+          var batch = JSON.parse(text).map(revive);
+          return sink.write(batch).then(function() {
+            counters.flushed += batch.length;
+            counters.replayed += batch.length;
+          });
+        })
+        .then(function() { return unlink(filePath); })
+        .then(function() {
+          files.shift();
+          counters.spillQueue = files.length;
+          return next(files);
+        }, function(err) {
+          if(err instanceof SyntaxError) { // a corrupt spill file would block the queue forever
+            log.error("Discarding unreadable spill file", { sink: sink.name, file: filePath }, err);
+            files.shift();
+            counters.spillQueue = files.length;
+            return unlink(filePath).then(function() { return next(files); });
+          }
+          log.debug("Replay of spilled points deferred", { sink: sink.name, reason: String(err.message || err) });
+          return false;
+        });
+    });
+  }
+
+  function writeWithRetry(batch) {
+    return promiseRetry(function(retry, number) {
+      return sink.write(batch).catch(function(err) {
+        counters.errors++;
+        log.debug("Write failed", { sink: sink.name, attempt: number, reason: String(err.message || err) });
+        retry(err);
+      });
+    }, { retries: opts.retries, minTimeout: opts.minTimeout, maxTimeout: opts.maxTimeout });
+  }
+
+  function flushBatch(batch) {
+    return replaySpill()
+      .then(function(spillEmpty) {
+        if(!spillEmpty) return spill(batch); // sink still down; keep the batch behind the queued ones
+        return writeWithRetry(batch)
+          .then(function() { counters.flushed += batch.length; })
+          .catch(function(err) {
+            log.error("Error saving data", { sink: sink.name }, err);
+            return spill(batch);
+          });
+      })
+      .catch(function(err) { drop(batch, err.message || err); });
+  }
+
+  // hand everything currently buffered to the flush chain, batch by batch
+  function flush() {
+    while(buffer.length > 0) {
+      let batch = buffer.splice(0, opts.batchSize);
+      counters.buffered = buffer.length;
+      chain = chain.then(function() { return flushBatch(batch); });
+    }
+    // nothing new, but the disk queue may be waiting on the sink to come back
+    if(spillFiles && spillFiles.length > 0) {
+      chain = chain.then(replaySpill).catch(function() {});
+    }
+    return chain;
+  }
+
+  function write(points) {
+    buffer.push.apply(buffer, points);
+    // over the high water mark: the oldest points go straight to disk rather than grow memory
+    while(buffer.length > opts.maxBuffered) {
+      let batch = buffer.splice(0, opts.batchSize);
+      chain = chain.then(function() { return spill(batch); });
+    }
+    counters.buffered = buffer.length;
+    if(buffer.length >= opts.batchSize) {
+      let batch = buffer.splice(0, opts.batchSize);
+      counters.buffered = buffer.length;
+      chain = chain.then(function() { return flushBatch(batch); });
+      return chain; // callers awaiting a write are held back while a full batch is in flight
+    }
+    return Promise.resolve();
+  }
+
+  return {
+    name: sink.name,
+    sink: sink,
+
+    init: function() {
+      timer = setInterval(flush, opts.flushInterval);
+      if(timer.unref) timer.unref();
+      return Promise.resolve(sink.init()).then(listSpill);
+    },
+
+    write: write,
+    flush: flush,
+    ping: (sink.ping ? function() { return sink.ping(); } : undefined),
+
+    close: function() {
+      clearInterval(timer);
+      return flush().then(function() { return sink.close(); });
+    },
+
+    stats: function() {
+      return Object.assign({}, counters);
+    }
+  };
+}
+
+module.exports = createWriteBuffer;
@@ -0,0 +1,161 @@
+/*
+A local stand-in for the Twitter API v2 filtered stream, for running the collector without Twitter
+
+  node mock/twitterStream.js --port 8089 [--interval 1000] [--failWith 429 --failCount 2]
+
+then start the collector with --twitterApiUrl http://localhost:8089 (any bearer token will do).
+Rules are kept in memory; every interval one tweet mentioning a random rule term is streamed, with a
+keep-alive line in between. --failWith answers the first --failCount stream connections with that
+HTTP status to exercise reconnect backoff.
+
+Recent search and user timelines answer with --searchResults (default 250) tweets, paged by
+max_results, for exercising backfill.
+
+Retweets, likes and list members (the curation actions) are accepted and printed; --actionFailWith
+429 --actionFailCount 2 answers the first actions with that HTTP status instead.
+*/
+var http = require("http");
+var url = require("url");
+var argv = require("yargs").argv;
+
+var port = argv.port || 8089;
+var interval = argv.interval || 1000;
+var failCount = argv.failCount || 0;
+var searchResults = argv.searchResults || 250;
+var actionFailCount = argv.actionFailCount || 0;
+
+var rules = [];
+var nextRuleId = 1;
+var nextTweetId = 1;
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise(function(resolve) {
+    var body = "";
+    req.on("data", function(chunk) { body += chunk; });
+    req.on("end", function() { resolve(body ? JSON.parse(body) : {}); });
+  });
+}
+
+function ruleTerms() {
+  var terms = [];
+  rules.forEach(function(rule) {
+    rule.value.split(" OR ").forEach(function(term) { terms.push(term.replace(/"/g, "")); });
+  });
+  return terms;
+}
+
+function fakeTweet(terms, id) {
+  terms = terms || ruleTerms();
+  var term = terms.length > 0 ? terms[Math.floor(Math.random() * terms.length)] : "nothing";
+  id = id || "1000000000" + String(nextTweetId++).padStart(9, "0"); // 19 digits like real ids
+  var text = "Mock tweet about " + term + " #mock";
+  return {
+    data: {
+      id: id,
+      text: text,
+      author_id: "42",
+      created_at: new Date().toISOString(),
+      lang: "en",
+      entities: { hashtags: [{ start: text.length - 5, end: text.length, tag: "mock" }] },
+      public_metrics: { retweet_count: 0, reply_count: 0, like_count: 0, quote_count: 0 }
+    },
+    includes: { users: [{ id: "42", username: "mockuser", name: "Mock User", verified: false }] },
+    matching_rules: rules.filter(function(rule) { return rule.value.indexOf(term) > -1; })
+      .map(function(rule) { return { id: rule.id, tag: rule.tag }; })
+  };
+}
+
+// one page of search or timeline results; the pagination token is simply the offset
+function searchPage(query) {
+  var terms = (query.query || "API").split(" OR ").map(function(term) { return term.replace(/"/g, ""); });
+  var offset = Number(query.next_token || query.pagination_token || 0);
+  var count = Math.min(Number(query.max_results) || 10, searchResults - offset);
+  var tweets = [];
+  for(var i = 0; i < count; i++) {
+    tweets.push(fakeTweet(terms, "2000000000" + String(offset + i).padStart(9, "0")));
+  }
+  var next = offset + count < searchResults ? String(offset + count) : undefined;
+  return {
+    data: tweets.map(function(it) { return it.data; }),
+    includes: { users: tweets.length > 0 ? tweets[0].includes.users : [] },
+    meta: { result_count: tweets.length, next_token: next }
+  };
+}
+
+var server = http.createServer(function(req, res) {
+  var parsed = url.parse(req.url, true);
+  var path = parsed.pathname;
+
+  if(path === "/2/tweets/search/recent" || /^\/2\/users\/\d+\/tweets$/.test(path)) {
+    console.log(`search: ${path} offset ${parsed.query.next_token || parsed.query.pagination_token || 0}`);
+    return send(res, 200, searchPage(parsed.query));
+  }
+
+  if(/^\/2\/users\/by\/username\//.test(path)) {
+    return send(res, 200, { data: { id: "42", username: path.split("/").pop(), name: "Mock User" } });
+  }
+
+  if(path === "/2/tweets/search/stream/rules" && req.method === "GET") {
+    return send(res, 200, { data: rules, meta: { result_count: rules.length } });
+  }
+
+  if(path === "/2/tweets/search/stream/rules" && req.method === "POST") {
+    return readBody(req).then(function(body) {
+      if(body.delete) {
+        rules = rules.filter(function(rule) { return body.delete.ids.indexOf(rule.id) < 0; });
+      }
+      var added = (body.add || []).map(function(rule) {
+        return { id: String(nextRuleId++), value: rule.value, tag: rule.tag };
+      });
+      rules = rules.concat(added);
+      console.log(`rules: ${added.length} added, ${body.delete ? body.delete.ids.length : 0} deleted, ${rules.length} total`);
+      send(res, 201, { data: added, meta: { summary: { created: added.length } } });
+    });
+  }
+
+  if(path === "/2/tweets/search/stream") {
+    if(failCount > 0) {
+      failCount--;
+      console.log(`stream: failing connection with HTTP ${argv.failWith}`);
+      return send(res, argv.failWith || 503, { title: "Mock failure" });
+    }
+    console.log("stream: client connected");
+    res.writeHead(200, { "Content-Type": "application/json" });
+    var timer = setInterval(function() {
+      res.write(JSON.stringify(fakeTweet()) + "\r\n");
+      res.write("\r\n"); // keep-alive
+    }, interval);
+    req.on("close", function() { clearInterval(timer); console.log("stream: client disconnected"); });
+    return;
+  }
+
+  if(path === "/2/users/me") {
+    return send(res, 200, { data: { id: "4242", username: "mockaccount", name: "Mock Account" } });
+  }
+
+  var action = /^\/2\/(users|lists)\/([^/]+)\/(retweets|likes|members)$/.exec(path);
+  if(action && req.method === "POST") {
+    return readBody(req).then(function(body) {
+      if(actionFailCount > 0) {
+        actionFailCount--;
+        console.log(`action: failing ${action[3]} with HTTP ${argv.actionFailWith}`);
+        res.setHeader("x-rate-limit-reset", String(Math.ceil(Date.now() / 1000) + 60));
+        return send(res, argv.actionFailWith || 503, { title: "Mock failure" });
+      }
+      console.log(`action: ${action[3]} ${action[1] === "lists" ? "list " + action[2] + " user " + body.user_id : "tweet " + body.tweet_id}`);
+      var answers = { retweets: { retweeted: true }, likes: { liked: true }, members: { is_member: true } };
+      send(res, 200, { data: answers[action[3]] });
+    });
+  }
+
+  send(res, 404, { title: "Not Found" });
+});
+
+server.listen(port, function() {
+  console.log(`Mock Twitter API listening on http://localhost:${port}`);
+});
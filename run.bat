@@ -3,6 +3,7 @@ export TWITTER_CONSUMER_KEY=
 export TWITTER_CONSUMER_SECRET=
 export TWITTER_ACCESS_TOKEN_KEY=
 export TWITTER_ACCESS_TOKEN_SECRET=
+export TWITTER_BEARER_TOKEN=
 REM obtain your own Rosette key via: https://developer.rosette.com/
 export ROSETTE_API_KEY=
 
@@ -0,0 +1,99 @@
+/*
+Backfill against the mock Twitter API's recent search and timeline paging (mock/twitterStream.js)
+
+  node test/backfill.js
+
+The mock has 25 tweets per query, read in pages of 10. A run whose consumer fails on the second page
+has only the first one checkpointed, and the same run started again picks up at the second page,
+skipping ids already stored. A timeline backfill looks the user up and pages with its own token.
+*/
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var logger = require("../lib/logger");
+var createBackfill = require("../lib/backfill");
+var startMock = require("./mock");
+
+logger.configure({ level: "silent" });
+
+var timeout = setTimeout(function() {
+  console.error("Backfill test timed out");
+  process.exit(1);
+}, 20000);
+
+function id(n) {
+  return "2000000000" + String(n).padStart(9, "0");
+}
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), "backfill-"));
+var since = new Date(Date.now() - 3600 * 1000);
+var until = new Date(Date.now() - 60000);
+
+startMock(18091, ["--searchResults", "25"]).then(function(mock) {
+  var options = { apiUrl: mock.url, bearerToken: "test", since: since, until: until, pageSize: 10 };
+  var checkpointFile = path.join(dir, "search.checkpoint.json");
+  var first = [];
+  var resumed = [];
+  var pages = 0;
+
+  function checkpoint() {
+    return JSON.parse(fs.readFileSync(checkpointFile, "utf8")).jobs.API;
+  }
+
+  // the consumer fails on the second page: the run stops with the first page checkpointed
+  return createBackfill(Object.assign({ checkpointFile: checkpointFile }, options))
+    .run(["API"], function(event) { first.push(event.id_str); }, [], function() {
+      pages++;
+      if(pages === 1) assert.ok(!fs.existsSync(checkpointFile), "checkpoint written before the page was done");
+      if(pages === 2) throw new Error("killed");
+    })
+    .then(function() {
+      throw new Error("Backfill should have failed on the second page");
+    }, function(err) {
+      assert.strictEqual(err.message, "killed");
+      assert.strictEqual(first.length, 20, "events handed over");
+      assert.deepStrictEqual(checkpoint(), { nextToken: "10", done: false, pages: 1 });
+
+      // started again, with the first page and two of the second stored: the second page is read again
+      var stored = first.slice(0, 12);
+      return createBackfill(Object.assign({ checkpointFile: checkpointFile }, options))
+        .run(["API"], function(event) { resumed.push(event.id_str); }, stored);
+    })
+    .then(function(summary) {
+      assert.deepStrictEqual(summary, { fetched: 15, skipped: 2, processed: 13 });
+      assert.strictEqual(resumed[0], id(12));
+      assert.strictEqual(resumed[12], id(24));
+      assert.deepStrictEqual(checkpoint(), { nextToken: null, done: true, pages: 3 });
+
+      // and once more: the job is done, nothing is fetched
+      return createBackfill(Object.assign({ checkpointFile: checkpointFile }, options))
+        .run(["API"], function() { throw new Error("Nothing should be read again"); }, []);
+    })
+    .then(function(summary) {
+      assert.deepStrictEqual(summary, { fetched: 0, skipped: 0, processed: 0 });
+
+      // a user's timeline, one tweet of it stored
+      var events = [];
+      return createBackfill(Object.assign({ checkpointFile: path.join(dir, "timeline.checkpoint.json"), timeline: "paulsbruce" }, options))
+        .run(["API"], function(event) { events.push(event); }, [id(0)])
+        .then(function(summary) {
+          assert.deepStrictEqual(summary, { fetched: 25, skipped: 1, processed: 24 });
+          assert.strictEqual(events[0].user.screen_name, "mockuser");
+        });
+    })
+    .then(function() {
+      console.log("Backfill test passed: paged search resumed from its checkpoint, stored ids skipped, timeline paged");
+    })
+    .finally(function() {
+      mock.stop();
+    });
+})
+  .catch(function(err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .then(function() {
+    clearTimeout(timeout);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
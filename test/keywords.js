@@ -0,0 +1,104 @@
+/*
+Keyword refresh (lib/keywords)
+
+  node test/keywords.js
+
+A manager reading a text file and a CSV file: the first refresh loads both, an edited file shows up as
+a change on the next refresh (or the next scheduled one), a source that fails keeps its last good
+keywords, every source failing keeps the list, and a restart without reachable sources falls back
+to the saved list, or the static defaults without sources.
+*/
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var logger = require("../lib/logger");
+var keywords = require("../lib/keywords");
+
+logger.configure({ level: "silent" });
+
+var timeout = setTimeout(function() {
+  console.error("Keywords test timed out");
+  process.exit(1);
+}, 10000);
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), "keywords-"));
+var textFile = path.join(dir, "topics.txt");
+var csvFile = path.join(dir, "topics.csv");
+var cacheFile = path.join(dir, "keywords.cache.json");
+
+fs.writeFileSync(textFile, "# topics\nAPI\n\nTesting\n");
+fs.writeFileSync(csvFile, "keyword,weight\n\"API design\",3\napi,2\n");
+
+var options = { sources: ["text:" + textFile, "csv:" + csvFile + "#weight=2"], cacheFile: cacheFile };
+var manager = keywords.createKeywordManager(options);
+var changes = [];
+manager.on("change", function(change) { changes.push(change); });
+
+manager.refresh()
+  .then(function(change) {
+    assert.deepStrictEqual(change.keywords, ["API", "API design", "Testing"]);
+    assert.deepStrictEqual(change.weights, { "API design": 6, "API": 4, "Testing": 1 }, "weights: the highest per keyword");
+    assert.strictEqual(change.initial, true);
+    assert.strictEqual(change.changed, false, "nothing to compare a first list to");
+
+    fs.writeFileSync(textFile, "API\nperformance\n");
+    return manager.refresh();
+  })
+  .then(function(change) {
+    assert.deepStrictEqual([change.added, change.removed, change.changed, change.from], [["performance"], ["Testing"], true, "sources"]);
+
+    // the CSV source goes away: its keywords stay, from the cache
+    fs.unlinkSync(csvFile);
+    return manager.refresh();
+  })
+  .then(function(change) {
+    assert.deepStrictEqual(change.keywords, ["API", "API design", "performance"]);
+    assert.strictEqual(change.changed, false);
+    assert.strictEqual(changes.length, 2, "no change event for an unchanged list");
+
+    // and every source failing keeps the list as it is
+    fs.unlinkSync(textFile);
+    return manager.refresh();
+  })
+  .then(function(change) {
+    assert.strictEqual(change, null);
+    assert.deepStrictEqual(manager.keywords, ["API", "API design", "performance"]);
+
+    // a restart with no source reachable starts from the saved list
+    return keywords.createKeywordManager(options).refresh();
+  })
+  .then(function(change) {
+    assert.deepStrictEqual([change.from, change.keywords], ["cache", ["API", "API design", "performance"]]);
+
+    // without sources, the static defaults
+    return keywords.createKeywordManager({ cacheFile: cacheFile, defaults: ["load testing", "API"] }).refresh();
+  })
+  .then(function(change) {
+    assert.deepStrictEqual([change.from, change.keywords], ["defaults", ["API", "load testing"]]);
+
+    // the schedule picks up an edit by itself
+    fs.writeFileSync(textFile, "API\nmonitoring\n");
+    return new Promise(function(resolve) {
+      manager.once("change", resolve);
+      manager.start(50);
+    });
+  })
+  .then(function(change) {
+    manager.stop();
+    assert.deepStrictEqual([change.added, change.removed], [["monitoring"], ["performance"]]);
+    assert.strictEqual(JSON.parse(fs.readFileSync(cacheFile, "utf8")).keywords.indexOf("monitoring") > -1, true, "saved list");
+
+    var point = keywords.toAnnotationPoint(change);
+    assert.strictEqual(point.fields.title, "Keywords changed: +monitoring, -performance");
+    console.log("Keywords test passed: refreshed on demand and on schedule, failing sources fell back");
+  })
+  .catch(function(err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .then(function() {
+    manager.stop();
+    clearTimeout(timeout);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
@@ -0,0 +1,43 @@
+/*
+Line protocol serialization (lib/lineProtocol.js)
+
+  node test/lineProtocol.js
+
+Escaping, field types from the schema, timestamps per precision, and numbers line protocol can't
+carry (NaN, Infinity), which are left out rather than failing the batch.
+*/
+var assert = require("assert");
+var FieldType = require("influx").FieldType;
+var lineProtocol = require("../lib/lineProtocol");
+
+var schema = [{
+  measurement: "tweets",
+  tags: ["keywords"],
+  fields: { tweetid: FieldType.INTEGER, relevance: FieldType.FLOAT, volatile: FieldType.BOOLEAN, user: FieldType.STRING }
+}];
+
+assert.strictEqual(lineProtocol.toLine({
+  measurement: "tweets",
+  tags: { keywords: "api design,testing", empty: "" },
+  fields: { tweetid: "902518220000000001", relevance: 0.5, volatile: false, user: "say \"hi\"" },
+  timestamp: new Date("2017-08-29T13:08:09.000Z")
+}, schema, "ms"), "tweets,keywords=api\\ design\\,testing tweetid=902518220000000001i,relevance=0.5,volatile=false,user=\"say \\\"hi\\\"\" 1504012089000");
+
+// NaN and infinite numbers are dropped, typed or not; the rest of the point is written
+assert.strictEqual(lineProtocol.toLine({
+  measurement: "tweets",
+  fields: { relevance: NaN, tweetid: Infinity, score: -Infinity, note: "NaN", user: "a" },
+  timestamp: 1504012089000
+}, schema, "s"), "tweets note=\"NaN\",user=\"a\" 1504012089");
+
+assert.strictEqual(lineProtocol.format([
+  { measurement: "alerts", fields: { zscore: NaN, count: 3 } },
+  { measurement: "alerts", fields: { zscore: Infinity, message: "spike" } }
+], [{ measurement: "alerts", fields: { zscore: FieldType.FLOAT, count: FieldType.INTEGER } }], "ns"), "alerts count=3i\nalerts message=\"spike\"");
+
+// nothing left to write is still an error
+assert.throws(function() {
+  lineProtocol.toLine({ measurement: "alerts", fields: { zscore: NaN } }, [], "ns");
+}, /no fields/);
+
+console.log("Line protocol test passed");
@@ -0,0 +1,55 @@
+/*
+Keyword matching (lib/matcher.js)
+
+  node test/matcher.js
+
+Whole words and phrases after normalization, hashtags, cashtags and mentions, exclusions, and a long
+tweet whose keywords, hashtag and cashtag are only in its full text (extended_tweet).
+*/
+var assert = require("assert");
+var createMatcher = require("../lib/matcher").createMatcher;
+
+var matcher = createMatcher({
+  keywords: ["API", "API design", "load testing", "$INFX", "#influxdb", "@paulsbruce"],
+  weights: { "API design": 2 },
+  exclusions: ["hiring"]
+});
+
+function keywords(event) {
+  return matcher.match(event).matches.map(function(it) { return it.keyword; }).sort();
+}
+
+// whole words only, after folding width, accents and case
+assert.deepStrictEqual(keywords({ text: "Rapid prototyping" }), []);
+assert.deepStrictEqual(keywords({ text: "The ＡＰＩ's docs" }), ["API"]);
+assert.deepStrictEqual(keywords({ text: "Good   api\ndesign matters" }), ["API", "API design"]);
+
+// hashtags, cashtags and mentions; plain keywords stay out of mentions and URLs
+assert.deepStrictEqual(keywords({ text: "#APIDesign and #InfluxDB up with $INFX" }), ["#influxdb", "$INFX", "API design"]);
+assert.deepStrictEqual(keywords({ text: "thanks @paulsbruce, see https://example.com/api" }), ["@paulsbruce"]);
+assert.deepStrictEqual(keywords({ text: "@api_team hello" }), []);
+
+// an exclusion matches first
+assert.deepStrictEqual(keywords({ text: "We're hiring an API designer" }), []);
+assert.deepStrictEqual(matcher.match({ text: "We're hiring an API designer" }).excluded, ["hiring"]);
+
+// relevance from the weights: API design counts twice
+var result = matcher.match({ text: "API design" });
+assert.strictEqual(result.score, 3);
+assert.strictEqual(result.relevance, 1);
+
+// a long tweet: the truncated text has none of it, the full text and its entities have it all
+var long = {
+  text: "Notes from a week of hunting slow endpoints, what we measured, what we changed and what we'd do differently next time… https://t.co/abc",
+  truncated: true,
+  entities: { hashtags: [], symbols: [], user_mentions: [], urls: [{ url: "https://t.co/abc" }] },
+  extended_tweet: {
+    full_text: "Notes from a week of hunting slow endpoints, what we measured, what we changed and what we'd do differently next time: " +
+      "load testing every release, #APIDesign reviews up front, and watching $INFX while we're at it.",
+    entities: { hashtags: [{ text: "APIDesign" }], symbols: [{ text: "INFX" }], user_mentions: [], urls: [] }
+  }
+};
+assert.deepStrictEqual(keywords(long), ["$INFX", "API design", "load testing"]);
+assert.deepStrictEqual(matcher.match(long).matches.map(function(it) { return it.kind; }).sort(), ["cashtag", "hashtag", "text"]);
+
+console.log("Matcher test passed");
@@ -0,0 +1,27 @@
+// start mock/twitterStream.js for a test; resolves { url, output, stop } once it listens
+//
+//   startMock(18089, ["--failWith", "429", "--failCount", "2"]).then(function(mock) { ... mock.stop(); })
+//
+// output collects what the mock printed (rules, stream connections, actions) for the test to check.
+var childProcess = require("child_process");
+var path = require("path");
+
+function startMock(port, args) {
+  var child = childProcess.spawn(process.execPath,
+    [path.join(__dirname, "..", "mock", "twitterStream.js"), "--port", String(port)].concat(args || []),
+    { stdio: ["ignore", "pipe", "inherit"] });
+  var mock = {
+    url: "http://127.0.0.1:" + port,
+    output: "",
+    stop: function() { child.kill(); }
+  };
+  return new Promise(function(resolve, reject) {
+    child.stdout.on("data", function(chunk) {
+      mock.output += chunk;
+      if(mock.output.indexOf("listening on") > -1) resolve(mock);
+    });
+    child.on("exit", function(code) { reject(new Error("Mock Twitter API exited with code " + code)); });
+  });
+}
+
+module.exports = startMock;
@@ -0,0 +1,130 @@
+/*
+Keyword source providers (lib/keywords/providers)
+
+  node test/providers.js
+
+Each provider against a local HTTP server or files: RSS and Atom categories, text and CSV lists
+(a file:// URL, quoted cells, a header row, weights), a sitemap index and its sitemaps, WordPress
+tags and categories over two pages, and GitHub topics of a repository and of an owner
+(GITHUB_API_URL pointing at the server). Then source specs with their weight and max.
+*/
+var assert = require("assert");
+var fs = require("fs");
+var http = require("http");
+var os = require("os");
+var path = require("path");
+var url = require("url");
+var providers = require("../lib/keywords/providers");
+
+var port = 18092;
+var base = "http://127.0.0.1:" + port;
+
+var rss = "<rss><channel><item><category><![CDATA[API design]]></category><category>Q&amp;A</category></item>" +
+  "<item><category domain=\"tag\">testing</category></item></channel></rss>";
+var atom = "<feed><entry><category term=\"load testing\"/><category term='APIs' label=\"ignored\"/></entry></feed>";
+
+var routes = {
+  "/feed": rss,
+  "/atom": atom,
+  "/sitemap_index.xml": "<sitemapindex><sitemap><loc>" + base + "/tag-sitemap.xml</loc></sitemap>" +
+    "<sitemap><loc>" + base + "/category-sitemap.xml</loc></sitemap></sitemapindex>",
+  "/tag-sitemap.xml": "<urlset><url><loc>" + base + "/tag/api-design/</loc></url><url><loc>" + base + "/tag/load_testing?x=1</loc></url></urlset>",
+  "/category-sitemap.xml": "<urlset><url><loc>" + base + "/category/devops/</loc></url></urlset>",
+  "/repos/influxdata/telegraf/topics": JSON.stringify({ names: ["time-series", "monitoring"] }),
+  "/users/influxdata/repos": JSON.stringify([{ topics: ["go"] }, { topics: [] }, { topics: ["influxdb", "time-series"] }])
+};
+
+// WordPress: 100 tags on the first page, one on the second; one category
+function wordpress(req, res, parsed) {
+  var page = Number(parsed.query.page);
+  var items = [];
+  if(/tags$/.test(parsed.pathname)) {
+    for(var i = 0; page === 1 && i < 100; i++) items.push({ name: "tag " + i });
+    if(page === 2) items.push({ name: "last &amp; least" });
+    res.setHeader("X-WP-TotalPages", "2");
+  } else {
+    items.push({ name: "Performance" });
+  }
+  res.end(JSON.stringify(items));
+}
+
+var server = http.createServer(function(req, res) {
+  var parsed = url.parse(req.url, true);
+  if(parsed.pathname.indexOf("/wp-json/wp/v2/") === 0) return wordpress(req, res, parsed);
+  if(routes[parsed.pathname] === undefined) {
+    res.statusCode = 404;
+    return res.end();
+  }
+  res.end(routes[parsed.pathname]);
+});
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), "providers-"));
+fs.writeFileSync(path.join(dir, "topics.txt"), "# our topics\nAPI\n\n  observability  \n");
+fs.writeFileSync(path.join(dir, "topics.csv"), "Keyword,Weight\n\"API, REST\",3\ntesting,not a number\n\"say \"\"hi\"\"\"\n");
+process.env.GITHUB_API_URL = base;
+
+function fetch(spec) {
+  var source = providers.parseSourceSpec(spec);
+  return providers.providers[source.type].fetch(source);
+}
+
+new Promise(function(resolve) { server.listen(port, "127.0.0.1", resolve); })
+  .then(function() { return fetch("rss:" + base + "/feed"); })
+  .then(function(keywords) {
+    assert.deepStrictEqual(keywords, ["API design", "Q&A", "testing"], "rss");
+    return fetch("rss:" + base + "/atom");
+  })
+  .then(function(keywords) {
+    assert.deepStrictEqual(keywords, ["load testing", "APIs"], "atom");
+    return fetch("text:" + url.pathToFileURL(path.join(dir, "topics.txt")).href);
+  })
+  .then(function(keywords) {
+    assert.deepStrictEqual(keywords, ["API", "observability"], "text");
+    return fetch("csv:" + path.join(dir, "topics.csv"));
+  })
+  .then(function(keywords) {
+    assert.deepStrictEqual(keywords, [{ keyword: "API, REST", weight: 3 }, "testing", "say \"hi\""], "csv");
+    return fetch("sitemap:" + base + "/sitemap_index.xml");
+  })
+  .then(function(keywords) {
+    assert.deepStrictEqual(keywords, ["api design", "load testing", "devops"], "sitemap");
+    return fetch("wordpress:" + base);
+  })
+  .then(function(keywords) {
+    assert.strictEqual(keywords.length, 102, "wordpress: both pages and the categories");
+    assert.deepStrictEqual(keywords.slice(99), ["tag 99", "last & least", "Performance"], "wordpress");
+    return fetch("github:influxdata/telegraf");
+  })
+  .then(function(keywords) {
+    assert.deepStrictEqual(keywords, ["time series", "monitoring"], "github repository");
+    return fetch("github:influxdata");
+  })
+  .then(function(keywords) {
+    assert.deepStrictEqual(keywords, ["go", "influxdb", "time series"], "github owner");
+
+    // weights multiply, max keeps the first entries
+    return providers.fetchSource(providers.parseSourceSpec("csv:" + path.join(dir, "topics.csv") + "#weight=2&max=2"));
+  })
+  .then(function(entries) {
+    assert.deepStrictEqual(entries, [{ keyword: "API, REST", weight: 6 }, { keyword: "testing", weight: 2 }], "weight and max");
+    return providers.fetchSource({ type: "rss", target: base + "/missing" }).then(function() {
+      throw new Error("A missing feed should fail");
+    }, function(err) {
+      assert.match(err.message, /HTTP 404/);
+      return providers.fetchSource({ type: "yaml", target: "x" });
+    });
+  })
+  .then(function() {
+    throw new Error("An unknown type should fail");
+  }, function(err) {
+    assert.match(err.message, /Unknown keyword source type 'yaml'/);
+    console.log("Providers test passed: rss, atom, text, csv, sitemap, wordpress and github sources read");
+  })
+  .catch(function(err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .then(function() {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
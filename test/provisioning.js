@@ -0,0 +1,156 @@
+/*
+Provisioning (lib/provisioning) through the InfluxDB 1.x driver, against a fake influx client that
+keeps databases, retention policies, continuous queries and migration records in memory
+
+  node test/provisioning.js
+
+A new database is set up step by step in order; provisioning again changes nothing. Without rollups
+the rollup history migration is left for later, and runs once rollups are configured. A database
+that was there before keeps its default retention policy, which the rollups read from.
+*/
+var assert = require("assert");
+var logger = require("../lib/logger");
+var provisioning = require("../lib/provisioning");
+var createInfluxDbDriver = require("../lib/provisioning/influxdb");
+var schemaMapping = require("../lib/schema");
+
+logger.configure({ level: "silent" });
+
+// the calls of the influx client the driver uses, answered from memory and logged in order
+function fakeInflux(state) {
+  var calls = [];
+  function call(name, detail) {
+    calls.push(name + (detail ? " " + detail : ""));
+  }
+  return {
+    calls: calls,
+    getDatabaseNames: function() {
+      call("getDatabaseNames");
+      return Promise.resolve(Object.keys(state));
+    },
+    createDatabase: function(database) {
+      call("createDatabase", database);
+      state[database] = { policies: [], cqs: {}, migrations: [] };
+      return Promise.resolve();
+    },
+    showRetentionPolicies: function(database) {
+      call("showRetentionPolicies");
+      return Promise.resolve(state[database].policies.slice());
+    },
+    createRetentionPolicy: function(name, options) {
+      call("createRetentionPolicy", name + " " + options.duration + (options.isDefault ? " default" : ""));
+      var policies = state[options.database].policies;
+      if(options.isDefault) policies.forEach(function(it) { it.default = false; });
+      policies.push({ name: name, duration: options.duration, replicaN: 1, default: options.isDefault });
+      return Promise.resolve();
+    },
+    alterRetentionPolicy: function(name, options) {
+      call("alterRetentionPolicy", name + " " + options.duration);
+      return Promise.resolve();
+    },
+    createContinuousQuery: function(name, query, database, resample) {
+      call("createContinuousQuery", name);
+      state[database].cqs[name] = `CREATE CONTINUOUS QUERY "${name}" ON "${database}" ${resample} BEGIN ${query} END`;
+      return Promise.resolve();
+    },
+    dropContinuousQuery: function(name, database) {
+      call("dropContinuousQuery", name);
+      delete state[database].cqs[name];
+      return Promise.resolve();
+    },
+    queryRaw: function(query, options) {
+      var db = state[options.database];
+      var series = [];
+      if(query === "SHOW CONTINUOUS QUERIES") {
+        call("showContinuousQueries");
+        series = [{ name: options.database, columns: ["name", "query"], values: Object.keys(db.cqs).map(function(name) { return [name, db.cqs[name]]; }) }];
+      } else if(query === "SHOW FIELD KEYS") {
+        call("showFieldKeys");
+        series = [{ name: "tweets", columns: ["fieldKey", "fieldType"], values: [["relevance", "float"], ["volatile", "string"]] }];
+      } else if(/_migrations/.test(query)) {
+        call("selectMigrations");
+        series = (db.migrations.length > 0 ? [{ name: "_migrations", columns: ["time", "name", "version"],
+          values: db.migrations.map(function(version) { return [0, "", String(version)]; }) }] : []);
+      } else {
+        call("query", query);
+      }
+      return Promise.resolve({ results: [{ series: series }] });
+    },
+    writePoints: function(points, options) {
+      call("writePoints", options.retentionPolicy + " " + points[0].measurement + " " + points[0].tags.version);
+      state[options.database].migrations.push(Number(points[0].tags.version));
+      return Promise.resolve();
+    }
+  };
+}
+
+var tweetSchema = schemaMapping.createSchema(schemaMapping.defaultMapping);
+var rollups = provisioning.rollupsFor(tweetSchema, {});
+var options = { retention: { raw: "INF", rollups: "365d" }, rollups: [], schema: tweetSchema.influxSchema, retries: 0 };
+
+function run(state, more) {
+  var influx = fakeInflux(state);
+  return provisioning.provision(createInfluxDbDriver(influx, "twitter"), Object.assign({}, options, more))
+    .then(function(summary) { return { summary: summary, calls: influx.calls }; });
+}
+
+var state = {};
+run(state)
+  .then(function(result) {
+    // every step, in order
+    assert.deepStrictEqual(result.calls, [
+      "getDatabaseNames", "createDatabase twitter",
+      "showRetentionPolicies", "createRetentionPolicy raw INF default", "createRetentionPolicy rollups 365d", "createRetentionPolicy meta INF",
+      "showContinuousQueries",
+      "showFieldKeys",
+      "selectMigrations"
+    ]);
+    assert.deepStrictEqual(result.summary.actions, ["database twitter", "retention policy raw (INF, default)", "retention policy rollups (365d)", "retention policy meta (INF)"]);
+    assert.deepStrictEqual(result.summary.conflicts, [{ measurement: "tweets", field: "volatile", stored: "string", schema: "boolean" }]);
+    assert.deepStrictEqual(result.summary.migrations, [], "no rollups, no history to roll up yet");
+
+    // again: nothing to do
+    return run(state);
+  })
+  .then(function(result) {
+    assert.deepStrictEqual(result.summary.actions, []);
+    assert.deepStrictEqual(result.summary.migrations, []);
+    assert.deepStrictEqual(result.calls.filter(function(it) { return /^(create|alter|drop|writePoints|query)/.test(it); }), []);
+
+    // rollups configured later: the continuous query, then the history migration
+    return run(state, { rollups: rollups });
+  })
+  .then(function(result) {
+    assert.deepStrictEqual(result.summary.actions, ["continuous query tweets_hourly"]);
+    assert.deepStrictEqual(result.summary.migrations, [2]);
+    var history = result.calls.filter(function(it) { return /^query /.test(it); });
+    assert.strictEqual(history.length, 1);
+    assert.match(history[0], /^query SELECT count\("relevance"\) AS "tweets", mean\("relevance"\) AS "relevance", mean\("sentiment_score"\) AS "sentiment" INTO "twitter"\."rollups"\."tweets_hourly" FROM "twitter"\."raw"\."tweets" GROUP BY time\(1h\), "keywords", "platform"$/);
+    assert.strictEqual(result.calls[result.calls.length - 1], "writePoints meta _migrations 2");
+
+    // and again: nothing changes, nothing runs twice
+    return run(state, { rollups: rollups });
+  })
+  .then(function(result) {
+    assert.deepStrictEqual([result.summary.actions, result.summary.migrations], [[], []]);
+
+    // a changed rollup is recreated
+    return run(state, { rollups: provisioning.rollupsFor(tweetSchema, { interval: "30m" }) });
+  })
+  .then(function(result) {
+    assert.deepStrictEqual(result.summary.actions, ["continuous query tweets_hourly (changed)"]);
+    assert.deepStrictEqual(result.calls.filter(function(it) { return /ContinuousQuery /.test(it); }), ["dropContinuousQuery tweets_hourly", "createContinuousQuery tweets_hourly"]);
+
+    // a database that was there before keeps its default policy; the rollups read from it
+    var existing = { twitter: { policies: [{ name: "autogen", duration: "0s", replicaN: 1, default: true }], cqs: {}, migrations: [] } };
+    return run(existing, { rollups: rollups });
+  })
+  .then(function(result) {
+    assert.deepStrictEqual(result.summary.actions, ["retention policy rollups (365d)", "retention policy meta (INF)", "continuous query tweets_hourly"]);
+    assert.ok(result.calls.some(function(it) { return /^query .* FROM "twitter"\."autogen"\."tweets" /.test(it); }), "history read from autogen");
+    console.log("Provisioning test passed: steps in order, idempotent, rollup history once rollups exist");
+  })
+  .catch(function(err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
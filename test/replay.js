@@ -0,0 +1,151 @@
+/*
+Replay the recorded fixture sessions through the collector and compare the points written
+
+  node test/replay.js [--update]
+
+Each case runs collectTweets.js --test on its session with the memory sink and --assert against its
+expected points (--update rewrites them, through --updateAssert, after an intended change). Dead
+letters go to a temporary directory and are checked per case: the stages events were expected to
+fail in, in order. A case's args may be a function of that directory, for other files it writes,
+and check(dir) looks at them afterwards.
+
+A case with mock runs against the mock Twitter API (mock/twitterStream.js started with those
+arguments; args(dir, mock) gets its url). A case with measurement compares only the points of that
+measurement, read from the stdout sink, without their timestamps: they are wall-clock times, which
+only have to be distinct.
+*/
+var assert = require("assert");
+var childProcess = require("child_process");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var startMock = require("./mock");
+
+var root = path.join(__dirname, "..");
+var update = process.argv.indexOf("--update") > -1;
+
+var cases = [
+  {
+    // originals, retweets, a duplicate, a limit notice, a delete, a message that's no tweet, and a
+    // Mastodon and a webhook post
+    name: "session",
+    session: "fixtures/session.jsonl.gz",
+    expected: "fixtures/expected-points.json",
+    deadLetters: ["ingest"]
+  },
+  {
+    // four retweets under the drop policy: none is spam, the original's count reaches 4; and a long
+    // tweet whose profanity is only in the full text, which is enough to drop it
+    name: "retweets",
+    session: "fixtures/retweets.jsonl.gz",
+    expected: "fixtures/expected-retweets.json",
+    args: ["--moderation.policy", "drop"]
+  },
+  {
+    // the same under the redact policy: the long tweet is written with its profanity masked
+    name: "redact",
+    session: "fixtures/retweets.jsonl.gz",
+    expected: "fixtures/expected-redacted.json",
+    args: ["--moderation.policy", "redact"],
+    check: function() {
+      var points = JSON.parse(fs.readFileSync(path.join(root, "fixtures/expected-redacted.json"), "utf8"));
+      var grump = points.filter(function(point) { return point.fields.user === "api_grump"; })[0];
+      assert.strictEqual(grump.fields.moderation_reasons, "profanity", "redact: reasons");
+      assert.ok(grump.fields.raw.indexOf("damn") < 0 && grump.fields.raw.indexOf("the **** problem") > -1, "redact: the word is masked");
+    }
+  },
+  {
+    // a tweet a minute about "api", then a burst of twelve, five of them volatile, in one minute
+    name: "alerts",
+    session: "fixtures/alerts.jsonl.gz",
+    expected: "fixtures/expected-alerts.json",
+    args: function(dir) {
+      return ["--alerts.interval", "60", "--alerts.warmup", "2", "--alerts.notify", "file:" + path.join(dir, "alerts.jsonl")];
+    },
+    check: function(dir) {
+      var notified = fs.readFileSync(path.join(dir, "alerts.jsonl"), "utf8").trim().split("\n").map(JSON.parse);
+      assert.deepStrictEqual(notified.map(function(alert) { return [alert.kind, alert.keyword, alert.time]; }),
+        [["spike", "api", "2017-08-29T15:03:36.000Z"], ["volatile", "api", "2017-08-29T15:03:40.000Z"]], "alerts: notified");
+    }
+  },
+  {
+    // retweet, like and list rules taken on the mock API, whose first call answers 429: that retweet
+    // fails, the next one waits for the rate limit reset, likes and the list go on
+    name: "actions",
+    session: "fixtures/session.jsonl.gz",
+    expected: "fixtures/expected-actions.json",
+    deadLetters: ["ingest"],
+    mock: ["--actionFailWith", "429", "--actionFailCount", "1"],
+    measurement: "actions",
+    args: function(dir, mock) {
+      return ["--twitterApiUrl", mock.url, "--actions.enabled", "true", "--actions.dryRun", "false",
+        "--actions.rules", "retweet#minRelevance=0.6", "--actions.rules", "like#minRelevance=0.6", "--actions.rules", "list:1234#minRelevance=0.9"];
+    }
+  }
+];
+
+function deadLetterStages(file) {
+  if(!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8").trim().split("\n").map(function(line) { return JSON.parse(line).stage; });
+}
+
+// the points of one measurement the stdout sink printed, without their timestamps, which must differ
+function measurementPoints(testCase, stdout) {
+  var points = stdout.split("\n")
+    .filter(function(line) { return line.indexOf("{") === 0; })
+    .map(JSON.parse)
+    .filter(function(point) { return point.measurement === testCase.measurement; });
+  var times = points.map(function(point) { return point.timestamp; });
+  assert.strictEqual(new Set(times).size, times.length, testCase.name + ": distinct timestamps " + times.join(", "));
+  var actual = points.map(function(point) { return { measurement: point.measurement, tags: point.tags, fields: point.fields }; })
+    .sort(function(a, b) { return JSON.stringify(a) < JSON.stringify(b) ? -1 : 1; });
+  if(update) {
+    fs.writeFileSync(path.join(root, testCase.expected), JSON.stringify(actual, null, 2) + "\n");
+    return console.log(`${testCase.name}: Wrote ${actual.length} expected points to ${testCase.expected}`);
+  }
+  assert.deepStrictEqual(actual, JSON.parse(fs.readFileSync(path.join(root, testCase.expected), "utf8")), testCase.name + ": points");
+  console.log(`${testCase.name}: ${actual.length} ${testCase.measurement} points match ${testCase.expected}`);
+}
+
+function run(testCase, dir, mock) {
+  var deadLetterFile = path.join(dir, testCase.name + ".deadletter.jsonl");
+  var sink = (testCase.measurement ? ["--sink", "stdout:jsonl"] : ["--sink", "memory", "--assert", testCase.expected]);
+  var args = [path.join(root, "collectTweets.js"), "--test", "--replay", testCase.session, "--speed", "max",
+    "--pipeline.deadLetter", deadLetterFile]
+    .concat(sink)
+    .concat(typeof testCase.args === "function" ? testCase.args(dir, mock) : (testCase.args || []))
+    .concat(update && !testCase.measurement ? ["--updateAssert"] : []);
+  var result = childProcess.spawnSync(process.execPath, args, { cwd: root, encoding: "utf8", timeout: 60000 });
+  if(result.status !== 0) {
+    process.stderr.write(result.stdout + result.stderr);
+    throw new Error(`Replay case ${testCase.name} failed with exit code ${result.status}`);
+  }
+  if(testCase.measurement) {
+    measurementPoints(testCase, result.stdout);
+  } else {
+    process.stdout.write(testCase.name + ": " + result.stdout);
+  }
+  assert.deepStrictEqual(deadLetterStages(deadLetterFile), testCase.deadLetters || [], testCase.name + ": dead letters");
+  if(testCase.check) testCase.check(dir);
+}
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), "replay-"));
+cases.reduce(function(chain, testCase) {
+  return chain.then(function() {
+    if(!testCase.mock) return run(testCase, dir);
+    return startMock(18090, testCase.mock).then(function(mock) {
+      try {
+        run(testCase, dir, mock);
+      } finally {
+        mock.stop();
+      }
+    });
+  });
+}, Promise.resolve())
+  .catch(function(err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .then(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
@@ -0,0 +1,71 @@
+/*
+Offline sentiment (lib/sentiment/lexicon.js, through lib/sentiment's createAnalyzer)
+
+  node test/sentiment.js
+
+Word valences squashed into a compound score, then what adjusts them: negation, intensifiers, ALL
+CAPS, exclamation marks and "but". Keyword entities are scored by their own sentences, and an extra
+lexicon file overrides the bundled words.
+*/
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var sentiment = require("../lib/sentiment");
+
+var analyzer = sentiment.createAnalyzer("lexicon", {});
+
+function score(text) {
+  return analyzer.analyze(text).then(function(result) { return result.score; });
+}
+
+function close(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-4, actual + " is not " + expected);
+}
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), "sentiment-"));
+var lexiconFile = path.join(dir, "lexicon.json");
+fs.writeFileSync(lexiconFile, JSON.stringify({ "janky": -3, "slow": 1 }));
+
+Promise.all([
+  "The API is good", "The API is not good", "The API is very good", "The API is GOOD now", "The API is good!!",
+  "The API is good but slow", "The API is", "The docs are great. The API is terrible."
+].map(function(text) { return analyzer.analyze(text, { terms: ["api", "#docs"] }); }))
+  .then(function(results) {
+    var scores = results.map(function(result) { return result.score; });
+    var good = scores[0];
+    close(good, 3 / Math.sqrt(9 + 15));
+    assert.deepStrictEqual(results.slice(0, 7).map(function(result) { return result.label; }), ["pos", "neg", "pos", "pos", "pos", "neg", "neu"]);
+    assert.strictEqual(results[0].provider, "lexicon");
+    assert.strictEqual(results[0].confidence, good);
+    close(scores[1], -0.74 * 3 / Math.sqrt(0.74 * 0.74 * 9 + 15)); // negated
+    assert.ok(scores[2] > good, "very good is better than good");
+    assert.ok(scores[3] > good, "GOOD among lower case is better than good");
+    assert.ok(scores[4] > good, "good!! is better than good");
+    assert.strictEqual(scores[6], 0);
+
+    // each keyword by the sentence it's in
+    var mixed = results[7];
+    assert.deepStrictEqual(mixed.entities.map(function(it) { return [it.mention, it.type, it.sentiment.label]; }),
+      [["api", "KEYWORD", "neg"], ["#docs", "KEYWORD", "pos"]]);
+
+    // words from an extra lexicon, overriding the bundled ones
+    var custom = sentiment.createAnalyzer("lexicon", { lexicon: lexiconFile });
+    return Promise.all([score("janky tests"), custom.analyze("janky tests"), custom.analyze("slow")]);
+  })
+  .then(function(results) {
+    assert.strictEqual(results[0], 0);
+    assert.strictEqual(results[1].label, "neg");
+    assert.strictEqual(results[2].label, "pos");
+
+    assert.strictEqual(sentiment.createAnalyzer("none"), null);
+    assert.throws(function() { sentiment.createAnalyzer("vader"); }, /Unknown sentiment provider 'vader'/);
+    console.log("Sentiment test passed");
+  })
+  .catch(function(err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .then(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
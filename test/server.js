@@ -0,0 +1,148 @@
+/*
+The collector's HTTP server (lib/server.js and the routes collectTweets.js adds)
+
+  node test/server.js
+
+Runs the collector with only the webhook source, which keeps it listening without Twitter, and an
+admin token. Checks /healthz, /readyz and /metrics, that admin routes turn away requests without the
+token, what the keyword, author, alert and action routes answer, and that a post sent to the webhook
+shows up in the metrics.
+*/
+var assert = require("assert");
+var childProcess = require("child_process");
+var fs = require("fs");
+var http = require("http");
+var os = require("os");
+var path = require("path");
+
+var port = 18093;
+var root = path.join(__dirname, "..");
+var token = "test-admin-token";
+
+var timeout = setTimeout(function() {
+  console.error("Server test timed out");
+  finish(1);
+}, 30000);
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), "server-"));
+var collector = childProcess.spawn(process.execPath, [path.join(root, "collectTweets.js"),
+  "--source", "webhook", "--sink", "memory", "--log.level", "error",
+  "--server.port", String(port), "--server.adminToken", token,
+  "--reputation.file", path.join(dir, "reputation.json"), "--pipeline.deadLetter", path.join(dir, "deadletter.jsonl")],
+{ cwd: root, stdio: ["ignore", "ignore", "inherit"] });
+var output = "";
+
+function finish(code) {
+  clearTimeout(timeout);
+  collector.kill();
+  fs.rmSync(dir, { recursive: true, force: true });
+  process.exitCode = code;
+}
+
+// resolves { status, type, body } with JSON bodies parsed
+function call(method, route, headers, body) {
+  return new Promise(function(resolve, reject) {
+    var req = http.request({ host: "127.0.0.1", port: port, method: method, path: route, headers: headers || {} }, function(res) {
+      var text = "";
+      res.setEncoding("utf8");
+      res.on("data", function(chunk) { text += chunk; });
+      res.on("end", function() {
+        var type = res.headers["content-type"];
+        resolve({ status: res.statusCode, type: type, body: (/json/.test(type) ? JSON.parse(text) : text) });
+      });
+    });
+    req.on("error", reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+var admin = { "Authorization": "Bearer " + token };
+
+// until the server answers and the collector says it's ready
+function ready(tries) {
+  return call("GET", "/readyz").catch(function() { return null; }).then(function(res) {
+    if(res && res.status === 200) return res;
+    if(tries < 1) throw new Error("The collector never got ready");
+    return new Promise(function(resolve) { setTimeout(resolve, 200); }).then(function() { return ready(tries - 1); });
+  });
+}
+
+function metric(name) {
+  return call("GET", "/metrics").then(function(res) {
+    var line = res.body.split("\n").filter(function(it) { return it.indexOf(name + " ") === 0; })[0];
+    return line ? Number(line.split(" ")[1]) : null;
+  });
+}
+
+// the metric once it reaches a value, polled while the pipeline works
+function metricReaches(name, value, tries) {
+  return metric(name).then(function(actual) {
+    if(actual === value || tries < 1) return actual;
+    return new Promise(function(resolve) { setTimeout(resolve, 100); }).then(function() { return metricReaches(name, value, tries - 1); });
+  });
+}
+
+collector.on("exit", function(code) {
+  output += "collector exited with " + code;
+});
+
+ready(100)
+  .then(function(res) {
+    assert.deepStrictEqual(res.body, { ready: true, checks: { initialized: true, sources: true, sinks: {} } });
+    return call("GET", "/healthz");
+  })
+  .then(function(res) {
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, "ok");
+    return call("GET", "/metrics");
+  })
+  .then(function(res) {
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.type, "text/plain; version=0.0.4");
+    assert.match(res.body, /# TYPE collector_events_received_total counter\ncollector_events_received_total 0\n/);
+    assert.match(res.body, /collector_sentiment_seconds_bucket\{le="\+Inf"\} 0/);
+
+    // the admin routes want the token, the others don't
+    return Promise.all([
+      call("GET", "/admin/keywords"),
+      call("GET", "/admin/keywords", { "Authorization": "Bearer wrong" }),
+      call("POST", "/admin/keywords/reload"),
+      call("GET", "/admin/keywords", admin),
+      call("POST", "/admin/keywords/reload", admin),
+      call("GET", "/admin/keywords/reload", admin),
+      call("GET", "/admin/authors", admin),
+      call("GET", "/admin/alerts", admin),
+      call("GET", "/admin/actions", admin),
+      call("POST", "/admin/actions/approve?id=nope", admin),
+      call("GET", "/nothing/here")
+    ]);
+  })
+  .then(function(res) {
+    assert.deepStrictEqual(res.map(function(it) { return it.status; }), [401, 401, 401, 200, 200, 405, 200, 200, 200, 404, 404]);
+    assert.deepStrictEqual(res[3].body.keywords, ["API", "API design", "API documentation", "testing"]);
+    assert.deepStrictEqual(res[4].body, { changed: false }, "no sources, nothing to reload");
+    assert.deepStrictEqual(Object.keys(res[6].body), ["authors", "lists"]);
+    assert.deepStrictEqual(Object.keys(res[7].body), ["recent", "trending"]);
+    assert.deepStrictEqual(res[8].body, { enabled: false });
+    assert.strictEqual(res[9].body.error, "Curation actions are not enabled");
+
+    return call("POST", "/ingest", { "Content-Type": "application/json" },
+      { id: "42", text: "Loving the new API", author: "someone", timestamp: "2017-08-29T13:08:09Z", lang: "en" });
+  })
+  .then(function(res) {
+    assert.strictEqual(res.status, 202);
+    return metricReaches("collector_events_matched_total", 1, 50);
+  })
+  .then(function(matched) {
+    assert.strictEqual(matched, 1, "matched events");
+    return metric("collector_events_received_total");
+  })
+  .then(function(received) {
+    assert.strictEqual(received, 1, "received events");
+    console.log("Server test passed: health, readiness, metrics and admin routes answered");
+    finish(0);
+  })
+  .catch(function(err) {
+    console.error(err.message + (output ? " (" + output + ")" : ""));
+    finish(1);
+  });
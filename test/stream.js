@@ -0,0 +1,97 @@
+/*
+The filtered stream against the mock Twitter API (mock/twitterStream.js)
+
+  node test/stream.js
+
+Syncs keywords into stream rules twice, leaving a rule managed elsewhere alone and an unchanged rule
+with its tag, then connects while
+the mock answers the first two connections with HTTP 429 and checks the rate limit backoff (scaled
+down from minutes) and the v1.1 events read once the stream is through.
+*/
+var assert = require("assert");
+var _ = require("lodash");
+var logger = require("../lib/logger");
+var twitterV2 = require("../lib/sources/twitterV2");
+var startMock = require("./mock");
+
+logger.configure({ level: "silent" });
+
+var timeout = setTimeout(function() {
+  console.error("Stream test timed out");
+  process.exit(1);
+}, 20000);
+
+// the rules on the mock as { value: tag }
+function ruleTags(api) {
+  return api("GET", "/2/tweets/search/stream/rules").then(function(res) {
+    return _.fromPairs(res.data.map(function(rule) { return [rule.value, rule.tag]; }));
+  });
+}
+
+startMock(18089, ["--interval", "50", "--failWith", "429", "--failCount", "2"]).then(function(mock) {
+  var options = { apiUrl: mock.url, bearerToken: "test", maxRules: 2, maxRuleLength: 20, backoffScale: 0.01 };
+  var api = twitterV2.createApiClient(options);
+  var stream = twitterV2.createFilteredStream(options);
+  var first;
+
+  return api("POST", "/2/tweets/search/stream/rules", { add: [{ value: "someone else's", tag: "other" }] })
+    .then(function() { return stream.syncRules(["API", "API design", "testing", "load testing", "performance"]); })
+    .then(function(skipped) {
+      assert.deepStrictEqual(skipped, ["load testing", "performance"]);
+      return ruleTags(api);
+    })
+    .then(function(rules) {
+      assert.deepStrictEqual(Object.keys(rules).sort(), ["API OR \"API design\"", "someone else's", "testing"]);
+      assert.match(rules.testing, /^influxtwitter:[0-9a-f]{12}$/);
+      assert.notStrictEqual(rules.testing, rules["API OR \"API design\""]);
+      first = rules;
+      return stream.syncRules(["testing", "performance"]);
+    })
+    .then(function(skipped) {
+      assert.deepStrictEqual(skipped, []);
+      return ruleTags(api);
+    })
+    .then(function(rules) {
+      // "testing" keeps its rule and tag, the first rule goes, the foreign rule stays
+      assert.deepStrictEqual(Object.keys(rules).sort(), ["performance", "someone else's", "testing"]);
+      assert.strictEqual(rules.testing, first.testing);
+      assert.strictEqual(rules["someone else's"], "other");
+      assert.match(rules.performance, /^influxtwitter:[0-9a-f]{12}$/);
+      assert.notStrictEqual(rules.performance, rules.testing);
+
+      var delays = [];
+      var errors = [];
+      var events = [];
+      stream.on("reconnect", function(delay) { delays.push(delay); });
+      stream.on("error", function(err) { errors.push(err); });
+      return new Promise(function(resolve) {
+        stream.on("data", function(event) {
+          events.push(event);
+          if(events.length === 3) resolve();
+        });
+        stream.start();
+      }).then(function() {
+        stream.stop();
+        mock.stop();
+        assert.deepStrictEqual(delays, [600, 1200]);
+        assert.deepStrictEqual(errors.map(function(err) { return err.statusCode; }), [429, 429]);
+        events.forEach(function(event) {
+          assert.ok(/^\d{19}$/.test(event.id_str), "19 digit id " + event.id_str);
+          assert.strictEqual(event.user.screen_name, "mockuser");
+          assert.ok(/^Mock tweet about (testing|performance|someone else's) #mock$/.test(event.text), event.text);
+          assert.deepStrictEqual(event.entities.hashtags.map(function(tag) { return tag.text; }), ["mock"]);
+        });
+      });
+    })
+    .then(function() {
+      clearTimeout(timeout);
+      console.log("Stream test passed: rules synced, 2 rate limited connections backed off, 3 events read");
+    }, function(err) {
+      stream.stop();
+      mock.stop();
+      throw err;
+    });
+}).catch(function(err) {
+  console.error(err.stack || err);
+  process.exit(1);
+});
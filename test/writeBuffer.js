@@ -0,0 +1,75 @@
+/*
+Buffered writes (lib/writeBuffer.js)
+
+  node test/writeBuffer.js
+
+A sink that fails forces batches to the on-disk spill queue; once it recovers the queue is replayed
+in order ahead of new batches, and every point reaches the sink exactly once,
+with its Date timestamp back.
+*/
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var logger = require("../lib/logger");
+var createWriteBuffer = require("../lib/writeBuffer");
+
+logger.configure({ level: "silent" });
+
+var down = true;
+var written = [];
+var sink = {
+  name: "flaky",
+  init: function() {},
+  write: function(points) {
+    if(down) return Promise.reject(new Error("sink is down"));
+    points.forEach(function(point) { assert.ok(point.timestamp instanceof Date, "timestamp of point " + point.fields.n); });
+    written.push.apply(written, points.map(function(point) { return point.fields.n; }));
+    return Promise.resolve();
+  },
+  close: function() { return Promise.resolve(); }
+};
+
+function points(from, to) {
+  var result = [];
+  for(var n = from; n <= to; n++) {
+    result.push({ measurement: "test", fields: { n: n }, timestamp: new Date(Date.UTC(2017, 7, 29, 0, 0, n)) });
+  }
+  return result;
+}
+
+var spillDir = fs.mkdtempSync(path.join(os.tmpdir(), "spill-"));
+var buffer = createWriteBuffer(sink, { batchSize: 2, flushInterval: 60000, retries: 1, minTimeout: 1, maxTimeout: 1, spillDir: spillDir });
+
+buffer.init()
+  .then(function() { return buffer.write(points(1, 2)); }) // fails, retried, spilled
+  .then(function() { return buffer.write(points(3, 5)); }) // queued behind the spilled batch
+  .then(function() { return buffer.flush(); })
+  .then(function() {
+    var stats = buffer.stats();
+    assert.deepStrictEqual(written, [], "nothing written while the sink is down");
+    assert.strictEqual(stats.spilled, 5, "spilled points");
+    assert.strictEqual(stats.spillQueue, 3, "spilled batches");
+    assert.strictEqual(fs.readdirSync(spillDir).length, 3, "spill files");
+    down = false;
+    return buffer.write(points(6, 7));
+  })
+  .then(function() { return buffer.write(points(8, 8)); })
+  .then(function() { return buffer.close(); })
+  .then(function() {
+    var stats = buffer.stats();
+    assert.deepStrictEqual(written, [1, 2, 3, 4, 5, 6, 7, 8], "every point written once, in order");
+    assert.strictEqual(stats.flushed, 8, "flushed points");
+    assert.strictEqual(stats.replayed, 5, "replayed points");
+    assert.strictEqual(stats.dropped, 0, "dropped points");
+    assert.strictEqual(stats.spillQueue, 0, "spill queue");
+    assert.deepStrictEqual(fs.readdirSync(spillDir), [], "spill files left");
+    console.log("Write buffer test passed: 5 points spilled and replayed, 8 written once");
+  })
+  .catch(function(err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .then(function() {
+    fs.rmSync(spillDir, { recursive: true, force: true });
+  });